@@ -3,6 +3,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const mongoSanitize = require('express-mongo-sanitize');
 const morgan = require('morgan');
+const keystore = require('./libs/keystore');
+const { AppError, NotFoundError } = require('./libs/errors');
 
 const app = express();
 
@@ -41,11 +43,19 @@ const authRoutes = require('./managers/auth/auth.routes');
 const schoolRoutes = require('./managers/school/school.routes');
 const classroomRoutes = require('./managers/classroom/classroom.routes');
 const studentRoutes = require('./managers/student/student.routes');
+const userRoutes = require('./managers/user/user.routes');
+const guardianRoutes = require('./managers/guardian/guardian.routes');
+const apiKeyRoutes = require('./managers/apiKey/apiKey.routes');
+const auditRoutes = require('./managers/audit/audit.routes');
 
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/schools', schoolRoutes);
 app.use('/api/v1/classrooms', classroomRoutes);
 app.use('/api/v1/students', studentRoutes);
+app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/guardians', guardianRoutes);
+app.use('/api/v1/api-keys', apiKeyRoutes);
+app.use('/api/v1/audit', auditRoutes);
 
 
 // ============================================
@@ -61,6 +71,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying access tokens without the secret
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(keystore.jwks());
+});
+
 
 
 // ============================================
@@ -69,14 +85,16 @@ app.get('/health', (req, res) => {
 
 // 404 handler
 app.use('*', (req, res) => {
-  res.status(404).json({
-    error: `Route ${req.originalUrl} not found`,
-    code: 'ROUTE_NOT_FOUND'
-  });
+  const error = new NotFoundError('ROUTE_NOT_FOUND', { path: req.originalUrl });
+  res.status(error.status).json(error);
 });
 
 // Global error handler
 app.use((error, req, res, next) => {
+  if (error instanceof AppError) {
+    return res.status(error.status).json(error);
+  }
+
   console.error('Global error handler:', error);
   
   res.status(error.statusCode || 500).json({
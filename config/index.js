@@ -1,7 +1,11 @@
+const path = require('path');
+
 module.exports = {
   // Server
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
+  // Public URL used in links sent by mail
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
 
   // Database
   database: {
@@ -13,7 +17,87 @@ module.exports = {
     secret: process.env.JWT_SECRET || 'secret-key-change-in-production',
     expiresIn: process.env.JWT_EXPIRES_IN || '1h',
     refreshSecret: process.env.JWT_REFRESH_SECRET || 'refresh-secret',
-    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    // PEM keys for RS256/ES256 access tokens (libs/keystore.js); empty means HS256 with `secret`
+    keysDir: process.env.JWT_KEYS_DIR || '',
+    // Key new tokens are signed with; defaults to the last private key by file name
+    signingKeyId: process.env.JWT_SIGNING_KEY_ID || '',
+    // Date until which HS256 tokens without a kid still verify once keys are configured
+    legacyHs256Until: process.env.JWT_LEGACY_HS256_UNTIL || ''
+  },
+
+  // Account provisioning
+  auth: {
+    // Required by POST /auth/bootstrap when set
+    bootstrapSecret: process.env.BOOTSTRAP_SECRET,
+    invitationExpiresIn: process.env.INVITATION_EXPIRES_IN || '7d',
+    guardianClaimExpiresIn: process.env.GUARDIAN_CLAIM_EXPIRES_IN || '7d',
+    passwordResetExpiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || '1h',
+    emailVerificationExpiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+    // Lifetime of impersonation tokens; they can't be refreshed
+    impersonationExpiresIn: process.env.IMPERSONATION_EXPIRES_IN || '15m',
+    // Rules for new passwords
+    passwordPolicy: {
+      minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+      requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+      requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+      requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+      requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+      // One common or breached password per line, matched case-insensitively
+      blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || path.join(__dirname, 'common-passwords.txt'),
+      // Older passwords must be changed at the next login; empty means never
+      maxAge: process.env.PASSWORD_MAX_AGE || '',
+      // Number of previous passwords that can't be reused
+      historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5'),
+      // Lifetime of the token that only allows changing an expired password
+      changeTokenExpiresIn: process.env.PASSWORD_CHANGE_TOKEN_EXPIRES_IN || '10m'
+    },
+    // Sign-ins and credential changes (SecurityEvent); empty keeps them forever
+    securityEvents: {
+      retention: process.env.SECURITY_EVENT_RETENTION || '365d',
+      // Most rows a CSV export returns
+      exportLimit: parseInt(process.env.SECURITY_EVENT_EXPORT_LIMIT) || 10000
+    },
+    // Block login until the email address is verified
+    requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+    // Per-account lockout; each further lock doubles the duration up to the max
+    lockout: {
+      maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS) || 5,
+      baseDuration: process.env.LOCKOUT_BASE_DURATION || '5m',
+      maxDuration: process.env.LOCKOUT_MAX_DURATION || '24h'
+    },
+    twoFactor: {
+      issuer: process.env.TWO_FACTOR_ISSUER || 'School Management API',
+      // Roles that must enroll in 2FA, e.g. "superadmin"
+      requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+      // Lifetime of the token bridging password and code steps
+      challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+    }
+  },
+
+  // OpenID Connect single sign-on; disabled while no issuer is set
+  oidc: {
+    issuer: process.env.OIDC_ISSUER || '',
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    // Where the identity provider sends the browser back; the client posts code and state to /auth/oidc/callback
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.APP_URL || 'http://localhost:3000'}/auth/callback`,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    // Lifetime of a login between the redirect and the callback
+    stateExpiresIn: process.env.OIDC_STATE_EXPIRES_IN || '10m',
+    // How long to wait for each request to the identity provider
+    requestTimeout: process.env.OIDC_REQUEST_TIMEOUT || '10s',
+    // Just-in-time provisioning of unknown users; empty role disables it
+    provisionRole: process.env.OIDC_PROVISION_ROLE || '',
+    provisionSchoolId: process.env.OIDC_PROVISION_SCHOOL_ID || ''
+  },
+
+  // Mail
+  mail: {
+    // console | file | memory
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'no-reply@school-management.local',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || 'tmp/outbox'
   },
 
   // Bcrypt
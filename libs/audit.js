@@ -0,0 +1,51 @@
+/**
+ * Audit Diffs
+ *
+ * Field-level differences between two stored versions of a record, as
+ * written to the audit log by cortex.executeManager(). Nested objects
+ * are compared field by field (address.city); arrays as a whole.
+ */
+
+// Bookkeeping fields that change with every write, and secrets that
+// must not end up in the log
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password', 'keyHash'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// ObjectIds and Dates compare by their JSON form
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * List the fields that differ between two versions
+ * @param {Object|null} before - Lean document, null for creations
+ * @param {Object|null} after - Lean document, null for hard deletes
+ * @param {string} prefix - Path of the nested object being compared
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+function diffRecords(before, after, prefix = '') {
+  const from = before || {};
+  const to = after || {};
+  const changes = [];
+
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+
+    const field = `${prefix}${key}`;
+    const nested = [from[key], to[key]].every(value => value == null || isPlainObject(value));
+    if (nested && (isPlainObject(from[key]) || isPlainObject(to[key]))) {
+      changes.push(...diffRecords(from[key], to[key], `${field}.`));
+    } else if (!isEqual(from[key], to[key])) {
+      changes.push({ field, from: from[key], to: to[key] });
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  diffRecords
+};
@@ -12,7 +12,30 @@
  */
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { nanoid } = require('nanoid');
 const config = require('../config');
+const { User, RevokedToken, Session, ImpersonationLog, ApiKey, AuditLog } = require('../loaders');
+const { hasPermission, isSchoolScoped, isClassroomScoped } = require('./permissions');
+const { diffRecords } = require('./audit');
+const { AppError, statusFor } = require('./errors');
+const { linkHeader } = require('./pagination');
+const keystore = require('./keystore');
+
+// lastSeenAt is written at most this often per session (and lastUsedAt per API key)
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+// Restricted tokens carry a `pending` step the user must complete first
+const PENDING_ERRORS = {
+  mfa_enroll: {
+    error: 'Two-factor authentication must be set up before continuing',
+    code: 'TWO_FACTOR_SETUP_REQUIRED'
+  },
+  password_change: {
+    error: 'Password has expired and must be changed',
+    code: 'PASSWORD_EXPIRED'
+  }
+};
 
 class Cortex {
   constructor() {
@@ -21,13 +44,43 @@ class Cortex {
 
   /**
    * Generate JWT access token
+   * Signed with the keystore's signing key (kid header), or the HS256 secret
+   * when no keys are configured
+   * @param {Object} payload
+   * @param {Object} options
+   * @param {string} options.expiresIn - Override the configured lifetime
    */
-  generateToken(payload) {
-    return jwt.sign(payload, this.config.jwt.secret, {
-      expiresIn: this.config.jwt.expiresIn
+  generateToken(payload, options = {}) {
+    const key = keystore.signingKey();
+    return jwt.sign(payload, key ? key.privateKey : this.config.jwt.secret, {
+      algorithm: key ? key.alg : 'HS256',
+      ...(key && { keyid: key.kid }),
+      expiresIn: options.expiresIn || this.config.jwt.expiresIn,
+      jwtid: nanoid()
     });
   }
 
+  /**
+   * Generate a short-lived single-purpose token (e.g. 2FA login challenge)
+   * Purpose tokens are never accepted as access tokens
+   */
+  generatePurposeToken(purpose, payload, expiresIn) {
+    return this.generateToken({ ...payload, purpose }, { expiresIn });
+  }
+
+  /**
+   * Verify a purpose token
+   * @returns {Object|null} Decoded payload, or null if invalid or for another purpose
+   */
+  verifyPurposeToken(token, purpose) {
+    try {
+      const decoded = this.verifyToken(token);
+      return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Generate refresh token
    */
@@ -37,24 +90,137 @@ class Cortex {
     });
   }
 
+  /**
+   * Whether HS256 tokens without a kid are still accepted next to signing keys
+   */
+  acceptsLegacyHs256() {
+    const until = Date.parse(this.config.jwt.legacyHs256Until);
+    return !Number.isNaN(until) && Date.now() < until;
+  }
+
   /**
    * Verify token
+   * Tokens with a kid header need that key in the keystore. Tokens without
+   * one are checked against the HS256 secret, but only while no keys are
+   * configured or until jwt.legacyHs256Until has passed
    */
   verifyToken(token) {
-    try {
-      return jwt.verify(token, this.config.jwt.secret);
-    } catch (error) {
-      throw error;
+    const { header } = jwt.decode(token, { complete: true }) || {};
+
+    if (header && header.kid) {
+      const key = keystore.verificationKey(header.kid);
+      if (!key) {
+        throw new jwt.JsonWebTokenError('Unknown signing key');
+      }
+      return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+    }
+
+    if (keystore.getKeys().size > 0 && !this.acceptsLegacyHs256()) {
+      throw new jwt.JsonWebTokenError('Token has no signing key id');
+    }
+
+    return jwt.verify(token, this.config.jwt.secret, { algorithms: ['HS256'] });
+  }
+
+  /**
+   * Verify refresh token
+   */
+  verifyRefreshToken(token) {
+    return jwt.verify(token, this.config.jwt.refreshSecret);
+  }
+
+  /**
+   * Decode token payload without verifying it
+   */
+  decodeToken(token) {
+    return jwt.decode(token);
+  }
+
+  /**
+   * Check the denylist for a decoded access token
+   * Logout-all moves the user's tokenVersion on instead, see authenticate()
+   */
+  async isTokenRevoked(decoded) {
+    if (!decoded.jti) {
+      return false;
+    }
+
+    const revoked = await RevokedToken.exists({ jti: decoded.jti });
+    return Boolean(revoked);
+  }
+
+  /**
+   * Check that a session is still live and record activity on it
+   * @returns {Promise<boolean>} false if the session was revoked or has expired
+   */
+  async touchSession(sessionId) {
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt lastSeenAt');
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return false;
     }
+
+    if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL) {
+      await Session.updateOne({ _id: sessionId }, { lastSeenAt: new Date() });
+    }
+
+    return true;
+  }
+
+  /**
+   * Resolve an X-API-Key header into a token
+   * The key acts as its creator, limited to its school and to the key's
+   * permissions the creator still holds there
+   * @returns {Promise<Object|null>} __token, or null if the key is unusable
+   */
+  async apiKeyToken(rawKey, ip) {
+    const apiKey = await ApiKey.findUsable(rawKey);
+    const creator = apiKey && await User.findById(apiKey.createdBy).select('isActive role schoolId memberships');
+
+    if (!creator || !creator.isActive) {
+      return null;
+    }
+
+    const creatorToken = { role: creator.role, memberships: creator.schoolMemberships() };
+    const permissions = apiKey.permissions.filter(permission =>
+      this.canInSchool(creatorToken, permission, apiKey.schoolId)
+    );
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip });
+    }
+
+    return {
+      userId: apiKey.createdBy.toString(),
+      schoolId: apiKey.schoolId.toString(),
+      memberships: [{ schoolId: apiKey.schoolId.toString(), permissions }],
+      classroomIds: [],
+      apiKeyId: apiKey._id.toString()
+    };
   }
 
   /**
    * Authentication middleware - AXION PATTERN
    * Extracts token and attaches __token to request
+   * Also accepts API keys in the X-API-Key header
+   * @param {Object} options
+   * @param {string[]} options.allowPending - Pending steps this route accepts (e.g. 'mfa_enroll')
    */
-  authenticate() {
-    return (req, res, next) => {
+  authenticate({ allowPending = [] } = {}) {
+    return async (req, res, next) => {
       try {
+        const apiKey = req.headers['x-api-key'];
+        if (apiKey) {
+          req.__token = await this.apiKeyToken(apiKey, req.ip);
+          if (!req.__token) {
+            return res.status(401).json({
+              error: 'Invalid API key',
+              code: 'INVALID_API_KEY'
+            });
+          }
+          return next();
+        }
+
         const authHeader = req.headers['authorization'];
         const token = authHeader && authHeader.split(' ')[1];
 
@@ -66,13 +232,80 @@ class Cortex {
         }
 
         const decoded = this.verifyToken(token);
+
+        // Purpose tokens (2FA challenges, ...) are not access tokens
+        if (decoded.purpose) {
+          return res.status(401).json({
+            error: 'Invalid token',
+            code: 'INVALID_TOKEN'
+          });
+        }
+
+        if (decoded.pending && !allowPending.includes(decoded.pending)) {
+          return res.status(403).json(PENDING_ERRORS[decoded.pending] || {
+            error: 'Insufficient permissions',
+            code: 'FORBIDDEN'
+          });
+        }
+
+        if (await this.isTokenRevoked(decoded)) {
+          return res.status(401).json({
+            error: 'Token has been revoked',
+            code: 'TOKEN_REVOKED'
+          });
+        }
+
+        // Tokens die with the account or when its security version moves on
+        const user = await User.findById(decoded.userId).select('isActive tokenVersion');
+
+        if (!user || !user.isActive) {
+          return res.status(401).json({
+            error: 'Account is no longer active',
+            code: 'ACCOUNT_INACTIVE'
+          });
+        }
+
+        if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+          return res.status(401).json({
+            error: 'Token has been revoked',
+            code: 'TOKEN_REVOKED'
+          });
+        }
+
+        if (decoded.sid && !await this.touchSession(decoded.sid)) {
+          return res.status(401).json({
+            error: 'Session has been revoked',
+            code: 'TOKEN_REVOKED'
+          });
+        }
+
+        // Impersonation ends as soon as the real user's own tokens would
+        if (decoded.act) {
+          const actor = await User.findById(decoded.act.userId).select('isActive tokenVersion');
+          if (!actor || !actor.isActive || (decoded.act.ver || 0) !== (actor.tokenVersion || 0)) {
+            return res.status(401).json({
+              error: 'Token has been revoked',
+              code: 'TOKEN_REVOKED'
+            });
+          }
+
+          this.logImpersonatedRequest(req, res, decoded);
+        }
         
         // AXION PATTERN: Attach with __ prefix
         req.__token = {
           userId: decoded.userId,
           email: decoded.email,
           role: decoded.role,
-          schoolId: decoded.schoolId
+          schoolId: decoded.schoolId,
+          memberships: decoded.memberships,
+          classroomIds: decoded.classroomIds,
+          jti: decoded.jti,
+          sid: decoded.sid,
+          exp: decoded.exp,
+          pending: decoded.pending,
+          // Real identity behind an impersonation token
+          actor: decoded.act && { userId: decoded.act.userId, email: decoded.act.email }
         };
 
         next();
@@ -98,22 +331,126 @@ class Cortex {
   }
 
   /**
-   * Authorization middleware - Check roles
+   * Record a request made with an impersonation token once it has been answered
    */
-  authorize(...allowedRoles) {
+  logImpersonatedRequest(req, res, decoded) {
+    res.on('finish', () => ImpersonationLog.create({
+      actorId: decoded.act.userId,
+      userId: decoded.userId,
+      action: 'request',
+      jti: decoded.jti,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip
+    }).catch(error => console.error('Impersonation log error:', error)));
+  }
+
+  /**
+   * Refuse requests made while impersonating another user
+   * Guards credential changes (passwords, 2FA, sessions, API keys) and invitations
+   */
+  requireDirectLogin() {
     return (req, res, next) => {
-      if (!req.__token) {
-        return res.status(401).json({
-          error: 'Authentication required',
-          code: 'NO_AUTH'
+      if (req.__token && req.__token.actor) {
+        return res.status(403).json({
+          error: 'Not allowed while impersonating another user',
+          code: 'IMPERSONATION_FORBIDDEN'
         });
       }
 
-      if (!allowedRoles.includes(req.__token.role)) {
-        return res.status(403).json({
-          error: 'Insufficient permissions',
-          code: 'FORBIDDEN'
-        });
+      next();
+    };
+  }
+
+  /**
+   * Check a permission against the roles in a token
+   * Holds if the user's role, or their role in any of their schools, grants it
+   * @param {Object} token - __token
+   * @param {string} permission - e.g. 'student:transfer'
+   */
+  can(token, permission) {
+    if (!token) return false;
+    return hasPermission(token.role, permission) ||
+      this.membershipsOf(token).some(membership => this.membershipGrants(membership, permission));
+  }
+
+  /**
+   * Check a permission for one school
+   * Users with school:access_all hold their permissions in every school
+   * @param {Object} token
+   * @param {string} permission
+   * @param {string} schoolId
+   */
+  canInSchool(token, permission, schoolId) {
+    if (this.can(token, 'school:access_all')) return this.can(token, permission);
+    const membership = this.membershipIn(token, schoolId);
+    return Boolean(membership) && this.membershipGrants(membership, permission);
+  }
+
+  /**
+   * Helper: Whether a membership grants a permission
+   * API key memberships list their permissions instead of holding a role
+   */
+  membershipGrants(membership, permission) {
+    return membership.permissions
+      ? membership.permissions.includes(permission)
+      : hasPermission(membership.role, permission);
+  }
+
+  /**
+   * Helper: Memberships that tie the token to a school
+   */
+  schoolMembershipsOf(token) {
+    return this.membershipsOf(token).filter(membership =>
+      membership.permissions || isSchoolScoped(membership.role)
+    );
+  }
+
+  /**
+   * Helper: Schools in a token with the role held in each
+   * Tokens issued before memberships existed only carry schoolId
+   * @returns {Object[]} [{ schoolId, role }]
+   */
+  membershipsOf(token) {
+    if (!token) return [];
+    if (token.memberships) return token.memberships;
+    return token.schoolId ? [{ schoolId: token.schoolId, role: token.role }] : [];
+  }
+
+  /**
+   * Helper: Narrow a token to the schools where the user holds a permission
+   * Applied by executeManager(), so school checks in managers honour the
+   * role held in each school
+   */
+  scopeToken(token, permission) {
+    if (!token) return token;
+    return {
+      ...token,
+      memberships: this.membershipsOf(token).filter(membership => this.membershipGrants(membership, permission))
+    };
+  }
+
+  /**
+   * Result of a failed permission check, in manager error format
+   */
+  permissionError(token) {
+    return token
+      ? { error: 'Insufficient permissions', code: 'FORBIDDEN' }
+      : { error: 'Authentication required', code: 'NO_AUTH' };
+  }
+
+  /**
+   * Authorization middleware - Check permissions
+   * For routes that don't go through a manager; manager methods
+   * declare theirs with `static permissions`
+   * @param {string} permission
+   */
+  requirePermission(permission) {
+    return (req, res, next) => {
+      if (!this.can(req.__token, permission)) {
+        const result = this.permissionError(req.__token);
+        return res.status(this.getStatusCode(result.code)).json(result);
       }
 
       next();
@@ -125,6 +462,7 @@ class Cortex {
    * 
    * This is the heart of Axion architecture:
    * - Instantiates manager class per request
+   * - Validates the input contract declared for the method
    * - Prepares unified params object with __ metadata
    * - Executes manager method
    * - Handles response/errors consistently
@@ -132,18 +470,40 @@ class Cortex {
   executeManager(ManagerClass, methodName) {
     return async (req, res) => {
       try {
+        // Permission declared by the manager for this method
+        const permission = ManagerClass.permissions && ManagerClass.permissions[methodName];
+        if (permission && !this.can(req.__token, permission)) {
+          const result = this.permissionError(req.__token);
+          return res.status(this.getStatusCode(result.code)).json(result);
+        }
+
+        // API keys only reach methods that declare a permission; the rest
+        // (profile, sessions, credentials) belong to a signed-in person
+        if (req.__token && req.__token.apiKeyId && !permission) {
+          return res.status(403).json({
+            error: 'Not available to API keys',
+            code: 'API_KEY_FORBIDDEN'
+          });
+        }
+
+        // Only schools where the user's role grants the permission stay in scope
+        const token = permission ? this.scopeToken(req.__token, permission) : req.__token;
+
+        // Declared input of the method, or all request data for methods without a contract
+        const input = this.inputOf(ManagerClass, methodName, req);
+        if (input.error) {
+          return res.status(this.getStatusCode(input.code)).json(input);
+        }
+
         // Instantiate manager (fresh instance per request)
         const manager = new ManagerClass();
 
         // AXION PATTERN: Prepare unified params object
         const params = {
-          // Merge all request data
-          ...req.body,
-          ...req.query,
-          ...req.params,
+          ...input.fields,
           
           // AXION PATTERN: Metadata with __ prefix
-          __token: req.__token,           // From authenticate middleware
+          __token: token,                  // From authenticate middleware
           __headers: req.headers,          // All HTTP headers
           __device: req.headers['user-agent'] || 'unknown',
           __ip: req.ip || req.connection.remoteAddress,
@@ -152,6 +512,12 @@ class Cortex {
           __timestamp: new Date().toISOString()
         };
 
+        // Audited methods: keep the record as it was before the change
+        const audit = this.auditSpec(ManagerClass, methodName);
+        const before = audit && audit.action !== 'create'
+          ? await this.auditSnapshot(audit, this.auditTargetId(audit, params))
+          : null;
+
         // Execute manager method
         const result = await manager[methodName](params);
 
@@ -161,6 +527,24 @@ class Cortex {
           return res.status(statusCode).json(result);
         }
 
+        if (audit) {
+          await this.recordAudit(audit, { params, before, result });
+        }
+
+        // File downloads (e.g. CSV exports): { __download: { filename, contentType, content } }
+        if (result && result.__download) {
+          const { filename, contentType, content } = result.__download;
+          res.set('Content-Type', contentType);
+          res.set('Content-Disposition', `attachment; filename="${filename}"`);
+          return res.status(200).send(content);
+        }
+
+        // Paginated lists: Link header to the neighbouring pages
+        if (result && result.pagination) {
+          const links = linkHeader(req.originalUrl || req.path, result.pagination);
+          if (links) res.set('Link', links);
+        }
+
         // Success response
         return res.status(200).json({
           success: true,
@@ -168,6 +552,11 @@ class Cortex {
         });
 
       } catch (error) {
+        // Registered errors thrown by the manager
+        if (error instanceof AppError) {
+          return res.status(error.status).json(error);
+        }
+
         console.error(`❌ Manager execution error [${ManagerClass.name}.${methodName}]:`, error);
         
         // Handle Mongoose validation errors
@@ -212,6 +601,139 @@ class Cortex {
     };
   }
 
+  /**
+   * Request data a manager method receives
+   * Managers declare a Joi contract per method for each part of the request as
+   * `static contracts = { update: { params: idSchema, body: updateSchema } }`.
+   * Each declared part is validated and coerced on its own, unknown fields are
+   * dropped, and parts without a schema pass nothing. Methods without a
+   * contract get body, query and path params merged as they come.
+   * @returns {Object} { fields } or a VALIDATION_ERROR in manager error format
+   */
+  inputOf(ManagerClass, methodName, req) {
+    const contract = ManagerClass.contracts && ManagerClass.contracts[methodName];
+    if (!contract) {
+      return { fields: { ...req.body, ...req.query, ...req.params } };
+    }
+
+    const fields = {};
+    const details = [];
+
+    // Later parts win on clashes, as in the merge above
+    for (const part of ['body', 'query', 'params']) {
+      if (!contract[part]) continue;
+
+      const { error, value } = contract[part].validate(req[part] || {}, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        details.push(...error.details.map(detail => ({
+          location: part,
+          field: detail.path.join('.'),
+          message: detail.message
+        })));
+      } else {
+        Object.assign(fields, value);
+      }
+    }
+
+    if (details.length) {
+      return {
+        error: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        details
+      };
+    }
+
+    return { fields };
+  }
+
+  /**
+   * Helper: Params without the __ metadata added by executeManager()
+   * For managers that pass the rest of their params on, e.g. as an update
+   */
+  withoutMetadata(params) {
+    return Object.fromEntries(Object.entries(params).filter(([key]) => !key.startsWith('__')));
+  }
+
+  /**
+   * Audit declaration of a manager method
+   * Managers list the methods to audit as
+   * `static audit = { entity: 'Student', actions: { transfer: 'transfer', ... } }`.
+   * The record is found by the `<entity>Id` or `id` param, or by
+   * `target(params)` when given, and for creations by the `<entity>` key
+   * of the result.
+   * @returns {Object|null} { entity, action, key, target }
+   */
+  auditSpec(ManagerClass, methodName) {
+    const audit = ManagerClass.audit;
+    if (!audit || !audit.actions[methodName]) return null;
+
+    return {
+      entity: audit.entity,
+      action: audit.actions[methodName],
+      key: audit.entity.charAt(0).toLowerCase() + audit.entity.slice(1),
+      target: audit.target
+    };
+  }
+
+  /**
+   * Id of the record an audited call works on
+   */
+  auditTargetId(audit, params) {
+    if (audit.target) return audit.target(params);
+    return params[`${audit.key}Id`] || params.id;
+  }
+
+  /**
+   * Stored state of an audited record
+   * @returns {Promise<Object|null>} Lean document
+   */
+  async auditSnapshot(audit, id) {
+    if (!id || !mongoose.isValidObjectId(id)) return null;
+    return mongoose.model(audit.entity).findById(id).lean();
+  }
+
+  /**
+   * Write the audit log entry of a successful audited call
+   * Calls that changed nothing aren't recorded
+   * @param {Object} audit - From auditSpec()
+   * @param {Object} context
+   * @param {Object} context.params - Params the manager received
+   * @param {Object} context.before - Snapshot taken before the call
+   * @param {Object} context.result - Manager result
+   */
+  async recordAudit(audit, { params, before, result }) {
+    try {
+      const created = audit.action === 'create' && result && result[audit.key];
+      const entityId = created ? created._id : this.auditTargetId(audit, params);
+      const after = await this.auditSnapshot(audit, entityId);
+
+      const changes = diffRecords(before, after);
+      if (!changes.length) return;
+
+      const token = params.__token || {};
+      const record = after || before;
+
+      await AuditLog.record({
+        actorId: token.userId,
+        apiKeyId: token.apiKeyId,
+        impersonatorId: token.actor ? token.actor.userId : undefined,
+        schoolId: audit.entity === 'School' ? record._id : record.schoolId,
+        entity: audit.entity,
+        entityId: record._id,
+        action: audit.action,
+        changes,
+        ip: params.__ip,
+        device: params.__device
+      });
+    } catch (error) {
+      console.error('Audit log error:', error);
+    }
+  }
+
   /**
    * Validation middleware using Joi
    */
@@ -243,44 +765,10 @@ class Cortex {
 
   /**
    * Map error codes to HTTP status codes
+   * Codes and their statuses are registered in libs/errors.js
    */
   getStatusCode(code) {
-    const statusMap = {
-      // 400 Bad Request
-      'VALIDATION_ERROR': 400,
-      'INVALID_INPUT': 400,
-      'INVALID_ID': 400,
-      
-      // 401 Unauthorized
-      'NO_TOKEN': 401,
-      'INVALID_TOKEN': 401,
-      'TOKEN_EXPIRED': 401,
-      'INVALID_CREDENTIALS': 401,
-      'AUTH_FAILED': 401,
-      
-      // 403 Forbidden
-      'FORBIDDEN': 403,
-      'ACCESS_DENIED': 403,
-      'NO_PERMISSION': 403,
-      
-      // 404 Not Found
-      'NOT_FOUND': 404,
-      'USER_NOT_FOUND': 404,
-      'SCHOOL_NOT_FOUND': 404,
-      
-      // 409 Conflict
-      'DUPLICATE': 409,
-      'DUPLICATE_ERROR': 409,
-      'USER_EXISTS': 409,
-      'CONFLICT': 409,
-      
-      // 422 Unprocessable Entity
-      'BUSINESS_ERROR': 422,
-      'CAPACITY_FULL': 422,
-      'INVALID_OPERATION': 422
-    };
-
-    return statusMap[code] || 400;
+    return statusFor(code);
   }
 
   /**
@@ -292,26 +780,61 @@ class Cortex {
   }
 
   /**
-   * Helper: Check if user is superadmin
+   * Helper: Membership a token holds in a school, if any
    */
-  isSuperadmin(token) {
-    return token && token.role === 'superadmin';
+  membershipIn(token, schoolId) {
+    if (!schoolId) return undefined;
+    return this.schoolMembershipsOf(token).find(membership =>
+      membership.schoolId.toString() === schoolId.toString()
+    );
   }
 
   /**
-   * Helper: Check if user is school admin
+   * Helper: Verify the user can access a school's resources
+   * Requires school:access_all, or a school-scoped membership of that school
    */
-  isSchoolAdmin(token) {
-    return token && token.role === 'school_admin';
+  canAccessSchool(token, schoolId) {
+    if (this.can(token, 'school:access_all')) return true;
+    return Boolean(this.membershipIn(token, schoolId));
   }
 
   /**
-   * Helper: Verify school admin can access resource
+   * Helper: Verify the user can access a classroom's resources
+   * Classroom-scoped users (teachers) only reach the classrooms assigned to them
+   * @param {Object} token
+   * @param {Object} classroom - Classroom document (needs _id and schoolId)
    */
-  canAccessSchool(token, schoolId) {
-    if (this.isSuperadmin(token)) return true;
-    if (!this.isSchoolAdmin(token)) return false;
-    return token.schoolId && token.schoolId.toString() === schoolId.toString();
+  canAccessClassroom(token, classroom) {
+    const schoolId = classroom.schoolId && (classroom.schoolId._id || classroom.schoolId);
+    if (this.can(token, 'school:access_all')) return true;
+
+    const membership = this.membershipIn(token, schoolId);
+    if (!membership) return false;
+    if (!isClassroomScoped(membership.role)) return true;
+    return (token.classroomIds || []).some(id => id.toString() === classroom._id.toString());
+  }
+
+  /**
+   * Helper: Schools a user's listings are limited to
+   * @returns {string[]|undefined} undefined when the user sees every school
+   */
+  schoolScope(token) {
+    if (this.can(token, 'school:access_all')) return undefined;
+    return this.schoolMembershipsOf(token).map(membership => membership.schoolId.toString());
+  }
+
+  /**
+   * Helper: schoolId condition for listings
+   * Narrows to the requested school, or to every school the user reaches
+   * @param {Object} token
+   * @param {string} schoolId - Optional school requested by the client
+   * @returns {*} Query condition; undefined for none, null if the school is out of reach
+   */
+  schoolFilter(token, schoolId) {
+    const scope = this.schoolScope(token);
+    if (scope === undefined) return schoolId || undefined;
+    if (schoolId) return scope.includes(schoolId.toString()) ? schoolId : null;
+    return { $in: scope };
   }
 }
 
@@ -0,0 +1,43 @@
+/**
+ * CSV Export
+ *
+ * Turns rows into RFC 4180 CSV for downloads. Managers return the result
+ * as `__download` and cortex.executeManager() sends it as a file.
+ */
+
+/**
+ * Quote a single value
+ * Values that spreadsheets would run as formulas are prefixed with '
+ * @param {*} value
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Object[]} rows
+ * @param {Array<{ header: string, value: Function }>} columns - value(row) gives the cell
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeCell,
+  toCsv
+};
@@ -0,0 +1,376 @@
+/**
+ * Error Registry
+ *
+ * Every error code the API returns, with its HTTP status, default message
+ * and what it means. Managers return or throw the error classes below;
+ * cortex answers them (and any plain `{ error, code }` object) with the
+ * status registered here.
+ *
+ * Messages are templates: `{field}` is filled from the params given to
+ * the error, e.g. new BusinessRuleError('CAPACITY_FULL', { capacity: 30 }).
+ */
+
+const ERRORS = {
+  // 400 Bad Request
+  VALIDATION_ERROR: {
+    status: 400,
+    message: 'Validation failed',
+    description: 'The request is malformed; `details` lists the offending fields when known'
+  },
+  INVALID_ID: {
+    status: 400,
+    message: 'Invalid ID format',
+    description: 'An id in the path or body is not a valid ObjectId'
+  },
+  INVALID_INVITATION: {
+    status: 400,
+    message: 'Invitation is invalid or has expired',
+    description: 'The invitation token is unknown, used, expired or for another email address'
+  },
+  INVALID_CLAIM: {
+    status: 400,
+    message: 'Claim code is invalid or has expired',
+    description: 'The guardian claim code is unknown, used or expired'
+  },
+  INVALID_RESET_TOKEN: {
+    status: 400,
+    message: 'Reset token is invalid or has expired',
+    description: 'The password reset token is unknown, used or expired'
+  },
+  INVALID_VERIFICATION_TOKEN: {
+    status: 400,
+    message: 'Verification token is invalid or has expired',
+    description: 'The email verification token is unknown, used or expired'
+  },
+  PASSWORD_REUSED: {
+    status: 400,
+    message: 'New password must not match a recently used password',
+    description: 'The new password is the current one or in the password history'
+  },
+
+  // 401 Unauthorized
+  NO_TOKEN: {
+    status: 401,
+    message: 'Access token required',
+    description: 'The request carries neither a bearer token nor an API key'
+  },
+  NO_AUTH: {
+    status: 401,
+    message: 'Authentication required',
+    description: 'The endpoint needs a signed-in user'
+  },
+  AUTH_FAILED: {
+    status: 401,
+    message: 'Authentication failed',
+    description: 'The access token could not be checked'
+  },
+  INVALID_TOKEN: {
+    status: 401,
+    message: 'Invalid token',
+    description: 'The token is malformed, badly signed, of the wrong kind or no longer matches the account'
+  },
+  TOKEN_EXPIRED: {
+    status: 401,
+    message: 'Token has expired',
+    description: 'Refresh the access token and retry'
+  },
+  TOKEN_REUSED: {
+    status: 401,
+    message: 'Refresh token has already been used',
+    description: 'A used refresh token was replayed; its whole session is revoked'
+  },
+  TOKEN_REVOKED: {
+    status: 401,
+    message: 'Token has been revoked',
+    description: 'The token or its session was logged out'
+  },
+  INVALID_CREDENTIALS: {
+    status: 401,
+    message: 'Invalid email or password',
+    description: 'Login failed; the failure counts towards the account lockout'
+  },
+  INVALID_PASSWORD: {
+    status: 401,
+    message: 'Current password is incorrect',
+    description: 'The current password confirming a sensitive change is wrong'
+  },
+  INVALID_TWO_FACTOR_CODE: {
+    status: 401,
+    message: 'Invalid two-factor authentication code',
+    description: 'The TOTP or recovery code is wrong or was already used'
+  },
+  INVALID_API_KEY: {
+    status: 401,
+    message: 'Invalid API key',
+    description: 'The X-API-Key is unknown, revoked, expired, or its creator was deactivated'
+  },
+  ACCOUNT_INACTIVE: {
+    status: 401,
+    message: 'Account has been deactivated',
+    description: 'An administrator deactivated the account; its tokens stop working too'
+  },
+  SSO_FAILED: {
+    status: 401,
+    message: 'Single sign-on login failed',
+    description: 'The identity provider response, state or linked identity was rejected'
+  },
+
+  // 403 Forbidden
+  FORBIDDEN: {
+    status: 403,
+    message: 'Insufficient permissions',
+    description: 'The role lacks the permission, or the record belongs to a school out of reach'
+  },
+  EMAIL_NOT_VERIFIED: {
+    status: 403,
+    message: 'Email address has not been verified',
+    description: 'Login requires a verified email address (REQUIRE_EMAIL_VERIFICATION)'
+  },
+  PASSWORD_RESET_REQUIRED: {
+    status: 403,
+    message: 'Password must be reset before logging in',
+    description: 'An administrator forced a password reset'
+  },
+  PASSWORD_EXPIRED: {
+    status: 403,
+    message: 'Password has expired and must be changed',
+    description: 'The restricted token only allows changing the password'
+  },
+  TWO_FACTOR_SETUP_REQUIRED: {
+    status: 403,
+    message: 'Two-factor authentication must be set up before continuing',
+    description: 'The role requires 2FA; the restricted token only allows enrollment'
+  },
+  TWO_FACTOR_REQUIRED: {
+    status: 403,
+    message: 'Two-factor authentication is mandatory for your role',
+    description: '2FA can not be turned off for this role'
+  },
+  IMPERSONATION_FORBIDDEN: {
+    status: 403,
+    message: 'Not allowed while impersonating another user',
+    description: 'Credential and session endpoints need the user\'s own login'
+  },
+  API_KEY_FORBIDDEN: {
+    status: 403,
+    message: 'Not available to API keys',
+    description: 'The endpoint belongs to a signed-in person'
+  },
+  SSO_NO_ACCOUNT: {
+    status: 403,
+    message: 'No account matches this single sign-on identity',
+    description: 'No linked or verified-email account exists and provisioning is off'
+  },
+
+  // 404 Not Found
+  NOT_FOUND: {
+    status: 404,
+    message: 'Resource not found',
+    description: 'The record does not exist'
+  },
+  USER_NOT_FOUND: {
+    status: 404,
+    message: 'User not found',
+    description: 'The user does not exist'
+  },
+  SCHOOL_NOT_FOUND: {
+    status: 404,
+    message: 'School not found',
+    description: 'The school does not exist'
+  },
+  SESSION_NOT_FOUND: {
+    status: 404,
+    message: 'Session not found',
+    description: 'The session does not exist or belongs to another user'
+  },
+  SSO_NOT_CONFIGURED: {
+    status: 404,
+    message: 'Single sign-on is not configured',
+    description: 'OIDC_ISSUER is not set'
+  },
+  ROUTE_NOT_FOUND: {
+    status: 404,
+    message: 'Route {path} not found',
+    description: 'No endpoint matches the method and path'
+  },
+
+  // 409 Conflict
+  CONFLICT: {
+    status: 409,
+    message: 'Request conflicts with the current state',
+    description: 'The change clashes with existing data'
+  },
+  DUPLICATE_ERROR: {
+    status: 409,
+    message: 'Duplicate {field}',
+    description: 'A unique field already holds this value'
+  },
+  USER_EXISTS: {
+    status: 409,
+    message: 'User with this email already exists',
+    description: 'The email address is taken'
+  },
+  ALREADY_BOOTSTRAPPED: {
+    status: 409,
+    message: 'System has already been bootstrapped',
+    description: 'Bootstrap only creates the first superadmin'
+  },
+  TWO_FACTOR_ALREADY_ENABLED: {
+    status: 409,
+    message: 'Two-factor authentication is already enabled',
+    description: 'Disable 2FA before enrolling again'
+  },
+  TWO_FACTOR_NOT_ENABLED: {
+    status: 409,
+    message: 'Two-factor authentication is not enabled',
+    description: 'There is no 2FA to disable'
+  },
+
+  // 422 Unprocessable Entity
+  BUSINESS_ERROR: {
+    status: 422,
+    message: 'The change breaks a business rule',
+    description: 'e.g. deleting a classroom with active students'
+  },
+  CAPACITY_FULL: {
+    status: 422,
+    message: 'Classroom is at full capacity ({capacity}/{capacity})',
+    description: 'The classroom has no free seat'
+  },
+  INVALID_OPERATION: {
+    status: 422,
+    message: 'Operation not allowed',
+    description: 'The request is valid but makes no sense for this record, e.g. a transfer to the same classroom'
+  },
+
+  // 423 Locked
+  ACCOUNT_LOCKED: {
+    status: 423,
+    message: 'Account is temporarily locked due to too many failed login attempts',
+    description: 'Retry after `retryAfter` seconds or ask a superadmin to unlock the account'
+  },
+
+  // 429 Too Many Requests
+  RATE_LIMIT_EXCEEDED: {
+    status: 429,
+    message: 'Too many requests, please try again later',
+    description: 'The per-IP API rate limit was hit'
+  },
+  AUTH_RATE_LIMIT_EXCEEDED: {
+    status: 429,
+    message: 'Too many authentication attempts, please try again later',
+    description: 'The per-IP limit of the login and registration endpoints was hit'
+  },
+
+  // 500 Internal Server Error
+  SERVER_ERROR: {
+    status: 500,
+    message: 'Internal server error',
+    description: 'Unexpected failure; details are logged on the server'
+  }
+};
+
+/**
+ * Fill `{name}` placeholders of a message template
+ */
+function formatMessage(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Registered error, in the `{ error, code, ...details }` format managers return
+ * @param {string} code - Key of ERRORS
+ * @param {Object} params - Template values, sent along as details;
+ *   `message` replaces the registered message
+ */
+class AppError extends Error {
+  constructor(code, { message, ...params } = {}) {
+    const entry = ERRORS[code];
+    if (!entry) {
+      throw new Error(`Unregistered error code: ${code}`);
+    }
+
+    super(message || formatMessage(entry.message, params));
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = entry.status;
+    this.details = params;
+  }
+
+  // Same shape as the plain error objects, so `result.error` checks keep working
+  get error() {
+    return this.message;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+// Default code per kind; any registered code can be passed instead
+
+class InputError extends AppError {
+  constructor(code = 'VALIDATION_ERROR', params) {
+    super(code, params);
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(code = 'NO_AUTH', params) {
+    super(code, params);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(code = 'FORBIDDEN', params) {
+    super(code, params);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(code = 'NOT_FOUND', params) {
+    super(code, params);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(code = 'CONFLICT', params) {
+    super(code, params);
+  }
+}
+
+class BusinessRuleError extends AppError {
+  constructor(code = 'BUSINESS_ERROR', params) {
+    super(code, params);
+  }
+}
+
+/**
+ * HTTP status of an error code
+ * Unregistered codes are logged and answered with 400; tests/unit/errors.test.js
+ * fails for any code used in the source that isn't registered
+ * @param {string} code
+ */
+function statusFor(code) {
+  if (ERRORS[code]) return ERRORS[code].status;
+
+  console.error(`Unregistered error code: ${code}`);
+  return 400;
+}
+
+module.exports = {
+  ERRORS,
+  AppError,
+  InputError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BusinessRuleError,
+  formatMessage,
+  statusFor
+};
@@ -0,0 +1,129 @@
+/**
+ * Keystore
+ *
+ * Asymmetric keys for signing access tokens. Every PEM file in
+ * JWT_KEYS_DIR is a key whose id (`kid`) is the file name without
+ * extension. RSA keys sign with RS256, P-256 EC keys with ES256.
+ *
+ * - Private keys can sign and verify; public keys only verify
+ * - JWT_SIGNING_KEY_ID picks the signing key (default: last kid in sort order)
+ * - Every key is published in the JWKS so tokens it signed keep verifying
+ *
+ * Without JWT_KEYS_DIR, tokens are signed with the HS256 secret (JWT_SECRET).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * JWT algorithm for a key
+ * @param {crypto.KeyObject} publicKey
+ */
+function algorithmFor(publicKey) {
+  const { asymmetricKeyType, asymmetricKeyDetails } = publicKey;
+  if (asymmetricKeyType === 'rsa') return 'RS256';
+  if (asymmetricKeyType === 'ec' && asymmetricKeyDetails.namedCurve === 'prime256v1') return 'ES256';
+  throw new Error(`Unsupported signing key type: ${asymmetricKeyType} ${asymmetricKeyDetails.namedCurve || ''}`.trim());
+}
+
+/**
+ * Build a key entry from a PEM string or KeyObject
+ * @param {string} kid
+ * @param {string|crypto.KeyObject} pem
+ */
+function buildKey(kid, pem) {
+  const isPrivate = typeof pem === 'string' ? pem.includes('PRIVATE KEY') : pem.type === 'private';
+  const privateKey = isPrivate ? crypto.createPrivateKey(pem) : null;
+  const publicKey = typeof pem === 'string' || isPrivate ? crypto.createPublicKey(privateKey || pem) : pem;
+
+  return { kid, alg: algorithmFor(publicKey), privateKey, publicKey };
+}
+
+class Keystore {
+  constructor() {
+    this.config = config;
+    this.keys = null;
+    this.signingKid = null;
+  }
+
+  /**
+   * Read the configured keys directory on first use
+   */
+  getKeys() {
+    if (!this.keys) {
+      const { keysDir, signingKeyId } = this.config.jwt;
+      const keys = {};
+
+      if (keysDir) {
+        fs.readdirSync(keysDir)
+          .filter(file => file.endsWith('.pem'))
+          .sort()
+          .forEach(file => {
+            keys[path.basename(file, '.pem')] = fs.readFileSync(path.join(keysDir, file), 'utf8');
+          });
+      }
+
+      this.setKeys(keys, signingKeyId);
+    }
+    return this.keys;
+  }
+
+  /**
+   * Replace the keys (e.g. from a secrets manager, or in tests)
+   * @param {Object} keys - kid => PEM string or KeyObject
+   * @param {string} signingKid - Defaults to the last private key in kid order
+   */
+  setKeys(keys, signingKid) {
+    const entries = Object.keys(keys).sort().map(kid => buildKey(kid, keys[kid]));
+    const signers = entries.filter(key => key.privateKey);
+    const signer = signingKid
+      ? signers.find(key => key.kid === signingKid)
+      : signers[signers.length - 1];
+
+    if (signingKid && !signer) {
+      throw new Error(`Signing key "${signingKid}" not found or has no private key`);
+    }
+    if (entries.length && !signer) {
+      throw new Error('No private key available to sign tokens');
+    }
+
+    this.keys = new Map(entries.map(key => [key.kid, key]));
+    this.signingKid = signer ? signer.kid : null;
+  }
+
+  /**
+   * Key new tokens are signed with
+   * @returns {Object|null} { kid, alg, privateKey }, or null to use the HS256 secret
+   */
+  signingKey() {
+    return this.getKeys().get(this.signingKid) || null;
+  }
+
+  /**
+   * Key that verifies tokens carrying a kid
+   * @param {string} kid
+   * @returns {Object|undefined} { kid, alg, publicKey }
+   */
+  verificationKey(kid) {
+    return this.getKeys().get(kid);
+  }
+
+  /**
+   * Public keys as a JSON Web Key Set
+   */
+  jwks() {
+    return {
+      keys: [...this.getKeys().values()].map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new Keystore();
@@ -0,0 +1,100 @@
+/**
+ * Mailer
+ *
+ * Sends mail through a pluggable transport. A transport is any object
+ * with an async send(message) method, where message is
+ * { from, to, subject, text, date }.
+ *
+ * Built-in transports (MAIL_TRANSPORT):
+ * - console: prints messages to stdout
+ * - file:    writes every message as a JSON file into MAIL_OUTBOX_DIR
+ * - memory:  keeps messages in an array (tests)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const config = require('../config');
+
+class ConsoleTransport {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}
+
+class FileTransport {
+  constructor(outboxDir) {
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    const file = path.join(this.outboxDir, `${Date.now()}-${nanoid(8)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+  }
+}
+
+class MemoryTransport {
+  constructor() {
+    this.outbox = [];
+  }
+
+  async send(message) {
+    this.outbox.push(message);
+  }
+}
+
+class Mailer {
+  constructor() {
+    this.config = config;
+    this.transport = null;
+  }
+
+  /**
+   * Create the transport named in config on first use
+   */
+  getTransport() {
+    if (!this.transport) {
+      const { transport, outboxDir } = this.config.mail;
+
+      if (transport === 'file') {
+        this.transport = new FileTransport(outboxDir);
+      } else if (transport === 'memory') {
+        this.transport = new MemoryTransport();
+      } else {
+        this.transport = new ConsoleTransport();
+      }
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport (e.g. with an SMTP adapter)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a plain-text message
+   * @param {Object} message
+   * @param {string} message.to
+   * @param {string} message.subject
+   * @param {string} message.text
+   */
+  async send({ to, subject, text }) {
+    return this.getTransport().send({
+      from: this.config.mail.from,
+      to,
+      subject,
+      text,
+      date: new Date().toISOString()
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new Mailer();
+module.exports.ConsoleTransport = ConsoleTransport;
+module.exports.FileTransport = FileTransport;
+module.exports.MemoryTransport = MemoryTransport;
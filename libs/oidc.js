@@ -0,0 +1,196 @@
+/**
+ * OpenID Connect Client
+ *
+ * Authorization code flow with PKCE against the identity provider in
+ * config.oidc. Provider metadata comes from its discovery document and
+ * ID tokens are verified against its published JWKS.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ms = require('ms');
+const config = require('../config');
+
+/**
+ * A failed exchange with the identity provider or an unacceptable ID token
+ */
+class OidcError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OidcError';
+  }
+}
+
+/**
+ * S256 PKCE challenge for a code verifier
+ */
+function codeChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+class OidcClient {
+  constructor() {
+    this.config = config;
+    this.metadata = null;
+    this.keys = new Map();
+  }
+
+  /**
+   * Whether single sign-on is configured
+   */
+  isEnabled() {
+    return Boolean(this.config.oidc.issuer);
+  }
+
+  /**
+   * Forget cached provider metadata and keys (e.g. after changing the issuer)
+   */
+  reset() {
+    this.metadata = null;
+    this.keys = new Map();
+  }
+
+  /**
+   * Fetch JSON from the identity provider
+   * Gives up after config.oidc.requestTimeout
+   */
+  async fetchJson(url, options) {
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal: AbortSignal.timeout(ms(this.config.oidc.requestTimeout)) });
+    } catch (error) {
+      throw new OidcError(error.name === 'TimeoutError'
+        ? 'Identity provider did not respond in time'
+        : `Identity provider unreachable: ${error.message}`);
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new OidcError(body.error_description || body.error || `Identity provider responded ${response.status}`);
+    }
+    return body;
+  }
+
+  /**
+   * Provider metadata from its discovery document (fetched once)
+   */
+  async getMetadata() {
+    if (!this.metadata) {
+      const issuer = this.config.oidc.issuer.replace(/\/$/, '');
+      const metadata = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+      if (typeof metadata.issuer !== 'string') {
+        throw new OidcError('Discovery document has no issuer');
+      }
+      if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+        throw new OidcError('Discovery document is for another issuer');
+      }
+      this.metadata = metadata;
+    }
+    return this.metadata;
+  }
+
+  /**
+   * Provider signing key by kid; the JWKS is refetched for unknown kids
+   * so key rotation at the provider is picked up
+   */
+  async getKey(kid) {
+    if (!this.keys.has(kid)) {
+      const { jwks_uri: jwksUri } = await this.getMetadata();
+      const { keys } = await this.fetchJson(jwksUri);
+      this.keys = new Map(keys
+        .filter(key => !key.use || key.use === 'sig')
+        .map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })]));
+    }
+    return this.keys.get(kid);
+  }
+
+  /**
+   * URL to send the browser to
+   * @param {Object} params
+   * @param {string} params.state
+   * @param {string} params.nonce
+   * @param {string} params.codeVerifier - Sent as its S256 challenge
+   */
+  async authorizationUrl({ state, nonce, codeVerifier }) {
+    const { authorization_endpoint: endpoint } = await this.getMetadata();
+    const { clientId, redirectUri, scopes } = this.config.oidc;
+
+    const url = new URL(endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    });
+    return url.toString();
+  }
+
+  /**
+   * Trade an authorization code for the user's verified ID token claims
+   * @param {Object} params
+   * @param {string} params.code
+   * @param {string} params.codeVerifier
+   * @param {string} params.nonce - Must match the ID token
+   * @returns {Promise<Object>} ID token claims
+   */
+  async exchangeCode({ code, codeVerifier, nonce }) {
+    const { token_endpoint: endpoint } = await this.getMetadata();
+    const { clientId, clientSecret, redirectUri } = this.config.oidc;
+
+    const tokens = await this.fetchJson(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+      })
+    });
+
+    if (!tokens.id_token) {
+      throw new OidcError('Identity provider returned no ID token');
+    }
+
+    return this.verifyIdToken(tokens.id_token, nonce);
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   * @returns {Promise<Object>} Claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const { header } = jwt.decode(idToken, { complete: true }) || {};
+    const key = header && await this.getKey(header.kid);
+    if (!key) {
+      throw new OidcError('ID token is signed with an unknown key');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'ES256'],
+        issuer: (await this.getMetadata()).issuer,
+        audience: this.config.oidc.clientId
+      });
+    } catch (error) {
+      throw new OidcError(`ID token rejected: ${error.message}`);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new OidcError('ID token nonce does not match');
+    }
+    return claims;
+  }
+}
+
+// Export singleton instance
+module.exports = new OidcClient();
+module.exports.OidcError = OidcError;
+module.exports.codeChallenge = codeChallenge;
@@ -0,0 +1,201 @@
+/**
+ * Pagination
+ *
+ * Shared paging for list endpoints. Two modes:
+ * - Pages: `?page=2&limit=20`, with totals. Simple, but skips get slow
+ *   deep into large collections.
+ * - Cursors: `?cursor=...&limit=20`, keyset pagination on createdAt/_id.
+ *   Every page in the default order carries the `nextCursor` that continues
+ *   after its last item.
+ *
+ * Limits are bounded by config.pagination. cortex.executeManager() turns
+ * the `pagination` of a result into a Link header.
+ */
+
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const config = require('../config');
+const { InputError } = require('./errors');
+
+// Newest first; _id breaks ties between records created in the same millisecond
+const SORT = { createdAt: -1, _id: -1 };
+
+// Query fields for list contracts, e.g. Joi.object({ ...paginationQuery, search })
+const paginationQuery = {
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(config.pagination.maxLimit),
+  cursor: Joi.string().max(200)
+};
+
+/**
+ * Opaque cursor pointing after an item
+ */
+function encodeCursor(item) {
+  return Buffer.from(JSON.stringify([item.createdAt, item._id])).toString('base64url');
+}
+
+/**
+ * Position encoded in a cursor
+ * @returns {Object|null} { createdAt, _id }, null when the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check paging params
+ * Managers may be called without the contract, so raw query values are checked again
+ * @returns {Object} { page, limit, after }
+ * @throws {InputError} For out-of-range or malformed values
+ */
+function pagingOptions({ page, limit, cursor } = {}) {
+  const { defaultLimit, maxLimit } = config.pagination;
+
+  const size = limit === undefined ? defaultLimit : Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > maxLimit) {
+    throw new InputError('VALIDATION_ERROR', { message: `limit must be an integer between 1 and ${maxLimit}` });
+  }
+
+  if (cursor !== undefined) {
+    if (page !== undefined) {
+      throw new InputError('VALIDATION_ERROR', { message: 'Use either page or cursor, not both' });
+    }
+
+    const after = decodeCursor(cursor);
+    if (!after) {
+      throw new InputError('VALIDATION_ERROR', { message: 'Invalid cursor' });
+    }
+
+    return { limit: size, after };
+  }
+
+  const number = page === undefined ? 1 : Number(page);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InputError('VALIDATION_ERROR', { message: 'page must be a positive integer' });
+  }
+
+  return { page: number, limit: size };
+}
+
+/**
+ * Run a list query one page at a time
+ * @param {mongoose.Query} query - Filtered find(), with populates; it is sorted here
+ * @param {Object} params - page, limit and cursor from the request
+ * @param {Object} params.sort - Requested order, e.g. { grade: -1 }; newest first by default
+ * @returns {Promise<Object>} { items, pagination }
+ * @throws {InputError} For invalid paging params
+ */
+async function paginate(query, { sort, ...params } = {}) {
+  const { page, limit, after } = pagingOptions(params);
+
+  if (after) {
+    if (sort) {
+      throw new InputError('VALIDATION_ERROR', { message: 'Cursors only follow the default order; drop sort to use them' });
+    }
+
+    // Keyset: only items sorting after the cursor, one extra to see if more follow.
+    // Wrapped in $and so it doesn't merge into an $or of the list's own filter
+    const items = await query
+      .where({
+        $and: [{
+          $or: [
+            { createdAt: { $lt: after.createdAt } },
+            { createdAt: after.createdAt, _id: { $lt: after._id } }
+          ]
+        }]
+      })
+      .sort(SORT)
+      .limit(limit + 1);
+
+    const hasMore = items.length > limit;
+    const pageItems = items.slice(0, limit);
+
+    return {
+      items: pageItems,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1]) : null
+      }
+    };
+  }
+
+  // _id keeps the order of equal values stable across pages
+  const order = sort ? { ...sort, _id: sort._id || -1 } : SORT;
+
+  const [items, total] = await Promise.all([
+    query.clone().sort(order).skip((page - 1) * limit).limit(limit),
+    query.model.countDocuments(query.getFilter())
+  ]);
+
+  const pages = Math.ceil(total / limit);
+  const hasMore = page < pages;
+  const continues = hasMore && !sort && items.length > 0;
+
+  return {
+    items,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages,
+      hasMore,
+      nextCursor: continues ? encodeCursor(items[items.length - 1]) : null
+    }
+  };
+}
+
+/**
+ * Link header (RFC 8288) for a paginated response
+ * @param {string} url - Request URL, e.g. req.originalUrl
+ * @param {Object} pagination - From paginate(), or { page, limit, pages } of older lists
+ * @returns {string|null}
+ */
+function linkHeader(url, pagination) {
+  const base = new URL(url, 'http://localhost');
+
+  const link = (rel, name, value) => {
+    const target = new URL(base);
+    target.searchParams.set(name, value);
+    return `<${target.pathname}${target.search}>; rel="${rel}"`;
+  };
+
+  const links = [];
+
+  // Cursor mode only knows the way forward
+  if (!pagination.page) {
+    if (pagination.nextCursor) {
+      links.push(link('next', 'cursor', pagination.nextCursor));
+    }
+    return links.length ? links.join(', ') : null;
+  }
+
+  if (pagination.page < pagination.pages) {
+    links.push(link('next', 'page', pagination.page + 1));
+  }
+  if (pagination.page > 1) {
+    links.push(link('prev', 'page', pagination.page - 1));
+  }
+  links.push(link('first', 'page', 1));
+  if (pagination.pages) {
+    links.push(link('last', 'page', pagination.pages));
+  }
+
+  return links.join(', ');
+}
+
+module.exports = {
+  paginationQuery,
+  encodeCursor,
+  decodeCursor,
+  pagingOptions,
+  paginate,
+  linkHeader
+};
@@ -0,0 +1,93 @@
+/**
+ * Password Policy
+ *
+ * Per-deployment rules for new passwords (config.auth.passwordPolicy):
+ * minimum length, required character classes and a local list of
+ * common or breached passwords. Expiry and reuse are handled by the
+ * User model and the Auth manager.
+ */
+
+const fs = require('fs');
+const ms = require('ms');
+const Joi = require('joi');
+const config = require('../config');
+
+// Longest password accepted; bcrypt ignores anything past 72 bytes anyway
+const MAX_LENGTH = 128;
+
+let blocklist;
+
+/**
+ * Lowercased passwords from the configured blocklist file (read once)
+ */
+function loadBlocklist() {
+  if (!blocklist) {
+    const content = fs.readFileSync(config.auth.passwordPolicy.blocklistFile, 'utf8');
+    blocklist = new Set(
+      content.split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return blocklist;
+}
+
+/**
+ * Check a password against the policy
+ * @param {string} password
+ * @param {Object} policy - Defaults to config.auth.passwordPolicy
+ * @returns {string[]} Unmet requirements, empty when the password is acceptable
+ */
+function checkPassword(password, policy = config.auth.passwordPolicy) {
+  const problems = [];
+
+  if (password.length < policy.minLength) {
+    problems.push(`be at least ${policy.minLength} characters long`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('contain an uppercase letter');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    problems.push('contain a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('contain a symbol');
+  }
+  if (loadBlocklist().has(password.toLowerCase())) {
+    problems.push('not be a commonly used password');
+  }
+
+  return problems;
+}
+
+/**
+ * Joi schema for a new password that enforces the policy
+ */
+function passwordSchema() {
+  return Joi.string().max(MAX_LENGTH).custom((value, helpers) => {
+    const problems = checkPassword(value);
+    if (problems.length) {
+      return helpers.message(`Password must ${problems.join(', ')}`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Whether a password set at `changedAt` has outlived the maximum age
+ * @param {Date} changedAt
+ * @param {Object} policy - Defaults to config.auth.passwordPolicy
+ */
+function isPasswordExpired(changedAt, policy = config.auth.passwordPolicy) {
+  if (!policy.maxAge || !changedAt) return false;
+  return Date.now() - new Date(changedAt).getTime() > ms(policy.maxAge);
+}
+
+module.exports = {
+  checkPassword,
+  passwordSchema,
+  isPasswordExpired
+};
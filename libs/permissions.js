@@ -0,0 +1,160 @@
+/**
+ * Permission Registry
+ *
+ * Named permissions bundled into roles. Managers declare the permission
+ * each method needs (static permissions = { method: 'permission' }) and
+ * cortex.executeManager() enforces it before the method runs.
+ *
+ * Permissions decide WHAT a role may do. WHERE it may do it is still
+ * checked by the manager: roles marked schoolScoped are tied to their
+ * schools (User.schoolId and User.memberships), unless they hold
+ * school:access_all. A membership may carry its own role. Roles
+ * marked classroomScoped only reach their own classrooms (User.classroomIds).
+ * Guardians only reach the students linked to them (User.studentIds).
+ *
+ * API keys hold an explicit list of permissions (from API_KEY_PERMISSIONS)
+ * for a single school instead of a role.
+ */
+
+const PERMISSIONS = {
+  // Cross-school access; without it users are limited to their own school
+  'school:access_all': 'Access every school',
+
+  'school:list': 'List schools',
+  'school:read': 'View a school',
+  'school:create': 'Create schools',
+  'school:update': 'Update schools',
+  'school:delete': 'Delete schools',
+  'school:stats': 'View school statistics',
+
+  'classroom:list': 'List classrooms',
+  'classroom:read': 'View a classroom',
+  'classroom:create': 'Create classrooms',
+  'classroom:update': 'Update classrooms',
+  'classroom:delete': 'Delete classrooms',
+  'classroom:roster': 'View the students of a classroom',
+
+  'student:list': 'List students',
+  'student:read': 'View a student',
+  'student:create': 'Enroll students',
+  'student:update': 'Update students',
+  'student:delete': 'Withdraw students',
+  'student:transfer': 'Transfer students between classrooms',
+
+  'user:list': 'List users',
+  'user:read': 'View a user',
+  'user:update_status': 'Activate and deactivate users',
+  'user:update_role': 'Change roles and school assignments',
+  'user:reset_password': 'Force password resets',
+  'user:unlock': 'Unlock locked accounts',
+  'user:assign_classrooms': 'Assign teachers to classrooms',
+  'user:impersonate': 'Act as another user and review impersonation logs',
+  'user:security_events': 'Review the sign-ins and account changes of any user',
+
+  'api_key:manage': 'Create and revoke API keys for their school',
+
+  'audit:read': 'Review changes to schools, classrooms and students',
+
+  'invitation:create': 'Invite users to their school',
+  'invitation:create_any': 'Invite users with any role to any school',
+
+  'guardian:issue_claim': 'Issue claim codes linking guardians to students',
+  'guardian:link': 'Link a child with a claim code',
+  'guardian:children': 'View linked children'
+};
+
+const ROLES = {
+  superadmin: {
+    permissions: Object.keys(PERMISSIONS)
+  },
+  school_admin: {
+    schoolScoped: true,
+    permissions: [
+      'school:read',
+      'school:stats',
+      'classroom:list',
+      'classroom:read',
+      'classroom:create',
+      'classroom:update',
+      'classroom:delete',
+      'classroom:roster',
+      'student:list',
+      'student:read',
+      'student:create',
+      'student:update',
+      'student:delete',
+      'student:transfer',
+      'user:assign_classrooms',
+      'api_key:manage',
+      'audit:read',
+      'invitation:create',
+      'guardian:issue_claim'
+    ]
+  },
+  teacher: {
+    schoolScoped: true,
+    classroomScoped: true,
+    permissions: [
+      'classroom:roster'
+    ]
+  },
+  guardian: {
+    permissions: [
+      'guardian:link',
+      'guardian:children'
+    ]
+  }
+};
+
+// Permissions an API key may carry: what school-scoped roles do with school
+// data, never account management or API keys themselves
+const API_KEY_PERMISSIONS = Object.keys(PERMISSIONS).filter(permission =>
+  /^(school|classroom|student):/.test(permission) &&
+  Object.values(ROLES).some(role => role.schoolScoped && role.permissions.includes(permission))
+);
+
+/**
+ * Permissions granted to a role (empty for unknown roles)
+ * @param {string} role
+ * @returns {string[]}
+ */
+function permissionsFor(role) {
+  return ROLES[role] ? [...ROLES[role].permissions] : [];
+}
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role
+ * @param {string} permission
+ */
+function hasPermission(role, permission) {
+  return Boolean(ROLES[role]) && ROLES[role].permissions.includes(permission);
+}
+
+/**
+ * Whether users with this role belong to a single school
+ * @param {string} role
+ */
+function isSchoolScoped(role) {
+  return Boolean(ROLES[role] && ROLES[role].schoolScoped);
+}
+
+/**
+ * Whether users with this role only reach the classrooms assigned to them
+ * @param {string} role
+ */
+function isClassroomScoped(role) {
+  return Boolean(ROLES[role] && ROLES[role].classroomScoped);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  API_KEY_PERMISSIONS,
+  ROLE_NAMES: Object.keys(ROLES),
+  SCHOOL_SCOPED_ROLES: Object.keys(ROLES).filter(isSchoolScoped),
+  permissionsFor,
+  hasPermission,
+  isSchoolScoped,
+  isClassroomScoped
+};
@@ -0,0 +1,173 @@
+/**
+ * List Query Language
+ *
+ * Filters, sort order and field selection for list endpoints, limited to
+ * what each list allows:
+ * - Filters: `status=active`, `grade[gte]=9`, `status[in]=active,transferred`,
+ *   `enrollmentDate[lt]=2024-09-01`
+ * - Sort: `sort=-grade,name` (descending with -)
+ * - Fields: `fields=name,grade` (_id and createdAt are always returned)
+ *
+ * A list declares what it allows as
+ * `{ filters: { grade: { type: 'number' } }, sort: ['grade'], fields: ['name', 'grade'] }`.
+ * Filter names can't contain dots (express-mongo-sanitize drops such query
+ * keys), so nested fields get a plain name and their document path:
+ * `city: { type: 'string', path: 'address.city' }`.
+ * listQueryFields() gives the Joi fields for its query contract, and
+ * buildListQuery() the MongoDB filter, sort and projection.
+ */
+
+const Joi = require('joi');
+const { InputError } = require('./errors');
+
+// Comma-separated values, e.g. status[in]=active,transferred
+const ListJoi = Joi.extend(joi => ({
+  type: 'list',
+  base: joi.array(),
+  coerce: {
+    from: 'string',
+    method: value => ({ value: value.split(',').map(item => item.trim()) })
+  }
+}));
+
+// Operators per filter type; the equality ones work for all types
+const EQUALITY_OPERATORS = ['eq', 'ne', 'in', 'nin'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const RANGE_TYPES = ['number', 'date'];
+
+/**
+ * Joi schema of a single filter value
+ * @param {Object} filter - { type, values }
+ */
+function valueSchema({ type, values }) {
+  switch (type) {
+    case 'number':
+      return Joi.number();
+    case 'date':
+      return Joi.date();
+    case 'boolean':
+      return Joi.boolean();
+    case 'objectId':
+      return Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+        'string.pattern.base': '{{#label}} must be a valid ID'
+      });
+    default:
+      return values ? Joi.string().valid(...values) : Joi.string().trim().max(100);
+  }
+}
+
+/**
+ * Joi schema of a filter: a plain value, or operators with their values
+ */
+function filterSchema(filter) {
+  const value = valueSchema(filter);
+  const operators = RANGE_TYPES.includes(filter.type)
+    ? [...EQUALITY_OPERATORS, ...RANGE_OPERATORS]
+    : EQUALITY_OPERATORS;
+
+  const keys = Object.fromEntries(operators.map(operator => [
+    operator,
+    ['in', 'nin'].includes(operator) ? ListJoi.list().items(value).min(1).max(50) : value
+  ]));
+
+  return Joi.alternatives().try(value, Joi.object(keys).min(1));
+}
+
+/**
+ * Joi schema of a comma-separated list of allowed field names
+ * @param {string[]} allowed
+ * @param {boolean} descending - Whether names may start with -
+ */
+function fieldListSchema(allowed, descending) {
+  return Joi.string().custom((value, helpers) => {
+    const names = value.split(',').map(name => name.trim());
+    const unknown = names.find(name => !allowed.includes(descending ? name.replace(/^-/, '') : name));
+    if (unknown !== undefined) {
+      return helpers.message(`{{#label}} only accepts ${allowed.join(', ')}`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Joi fields of the query contract of a list
+ * e.g. Joi.object({ ...paginationQuery, ...listQueryFields(spec), search })
+ * @param {Object} spec - { filters, sort, fields }
+ */
+function listQueryFields(spec) {
+  const fields = {};
+
+  for (const [name, filter] of Object.entries(spec.filters || {})) {
+    fields[name] = filterSchema(filter);
+  }
+  if (spec.sort) {
+    fields.sort = fieldListSchema(spec.sort, true);
+  }
+  if (spec.fields) {
+    fields.fields = fieldListSchema(spec.fields, false);
+  }
+
+  return fields;
+}
+
+/**
+ * MongoDB condition of a validated filter value
+ */
+function condition(value) {
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([operator, operand]) => [`$${operator}`, operand]));
+}
+
+/**
+ * Translate list params into a MongoDB query
+ * Managers may be called without the contract, so the params are validated again
+ * @param {Object} spec - { filters, sort, fields }
+ * @param {Object} params - Manager params; only the declared ones are read
+ * @returns {Object} { filter, sort, select } - sort and select are undefined unless requested
+ * @throws {InputError} For values outside the grammar or the whitelist
+ */
+function buildListQuery(spec, params = {}) {
+  const fields = listQueryFields(spec);
+  const input = Object.fromEntries(Object.keys(fields)
+    .filter(name => params[name] !== undefined)
+    .map(name => [name, params[name]]));
+
+  const { error, value } = Joi.object(fields).validate(input, { abortEarly: false });
+  if (error) {
+    throw new InputError('VALIDATION_ERROR', {
+      details: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    });
+  }
+
+  const filter = {};
+  for (const [name, declared] of Object.entries(spec.filters || {})) {
+    if (value[name] !== undefined) {
+      filter[declared.path || name] = condition(value[name]);
+    }
+  }
+
+  let sort;
+  if (value.sort) {
+    sort = {};
+    for (const name of value.sort.split(',').map(item => item.trim())) {
+      sort[name.replace(/^-/, '')] = name.startsWith('-') ? -1 : 1;
+    }
+  }
+
+  const select = value.fields
+    ? ['createdAt', ...value.fields.split(',').map(item => item.trim())].join(' ')
+    : undefined;
+
+  return { filter, sort, select };
+}
+
+module.exports = {
+  listQueryFields,
+  buildListQuery
+};
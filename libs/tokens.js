@@ -0,0 +1,62 @@
+/**
+ * Opaque Tokens
+ *
+ * Random one-time tokens handed out to users (invitations, resets, ...).
+ * Only the SHA-256 hash is persisted - the raw token is shown once.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a URL-safe random token
+ * @param {number} bytes - Amount of randomness
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Unambiguous characters for codes people read and type
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a short human-friendly code, e.g. "K7QM-2XRP"
+ * @param {number} length - Characters, excluding the separator
+ */
+function generateCode(length = 8) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code.match(/.{1,4}/g).join('-');
+}
+
+/**
+ * Normalize a typed code: case and separators don't matter
+ */
+function normalizeCode(code) {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Hash a token for storage and lookup
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+  generateToken,
+  generateCode,
+  normalizeCode,
+  hashToken,
+  safeEqual
+};
@@ -0,0 +1,148 @@
+/**
+ * TOTP - Time-based One-Time Passwords (RFC 6238)
+ *
+ * Compatible with common authenticator apps:
+ * SHA-1, 6 digits, 30 second time step, base32 secrets.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Encode a buffer as unpadded base32
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 secret
+ * @param {number} bytes - 20 bytes matches the SHA-1 block recommendation
+ */
+function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ */
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, '0');
+}
+
+/**
+ * Time step for a timestamp
+ */
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Current code for a secret
+ */
+function generate(secret, time = Date.now()) {
+  return hotp(secret, timeStep(time));
+}
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {string} code - Code entered by the user
+ * @param {string} secret - Base32 secret
+ * @param {Object} options
+ * @param {number} options.window - Steps accepted before/after the current one
+ * @param {number} options.time - Reference timestamp in ms
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+function verify(code, secret, { window = 1, time = Date.now() } = {}) {
+  const candidate = Buffer.from(String(code));
+  const current = timeStep(time);
+
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = Buffer.from(hotp(secret, step));
+    if (expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate)) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Provisioning URI for authenticator apps (render it as a QR code)
+ * @param {Object} params
+ * @param {string} params.secret
+ * @param {string} params.account - Usually the user's email
+ * @param {string} params.issuer - Service name shown in the app
+ */
+function keyUri({ secret, account, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generate,
+  verify,
+  keyUri
+};
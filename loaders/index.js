@@ -1,22 +1,108 @@
 // User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const ms = require('ms');
 const config = require('../config');
+const { generateToken, hashToken, normalizeCode } = require('../libs/tokens');
+const { ROLE_NAMES, SCHOOL_SCOPED_ROLES, API_KEY_PERMISSIONS, isSchoolScoped } = require('../libs/permissions');
 
 const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true, lowercase: true, trim: true, match: /^\S+@\S+\.\S+$/ },
   password: { type: String, required: true, minlength: 8, select: false },
   firstName: { type: String, required: true, trim: true },
   lastName: { type: String, required: true, trim: true },
-  role: { type: String, enum: ['superadmin', 'school_admin'], required: true },
-  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: function() { return this.role === 'school_admin'; } },
-  isActive: { type: Boolean, default: true }
+  role: { type: String, enum: ROLE_NAMES, required: true },
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: function() { return isSchoolScoped(this.role); } },
+  // Further schools of a school-scoped user; role defaults to the user's role
+  memberships: [{
+    _id: false,
+    schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+    role: { type: String, enum: SCHOOL_SCOPED_ROLES }
+  }],
+  // Classrooms a classroom-scoped user (teacher) is assigned to
+  classroomIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Classroom' }],
+  // Students a guardian is linked to through claim codes
+  studentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Student' }],
+  isActive: { type: Boolean, default: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  // Subject (`sub`) at the OpenID Connect identity provider, set on first SSO login
+  oidcSubject: { type: String, unique: true, sparse: true },
+  // Brute-force protection: consecutive failures and current lock
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockUntil: Date,
+  // Number of locks since the last successful login (drives the backoff)
+  lockCount: { type: Number, default: 0 },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: { type: String, select: false },
+    // Hashed single-use recovery codes
+    recoveryCodes: { type: [String], select: false },
+    // Last accepted TOTP time step, prevents code replay
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
+  // Set by an administrator; login is refused until the password is reset
+  passwordResetRequired: { type: Boolean, default: false },
+  // Drives password expiry (config.auth.passwordPolicy.maxAge)
+  passwordChangedAt: Date,
+  // Previous password hashes, newest first; reuse is refused
+  passwordHistory: { type: [String], select: false },
+  // Embedded in every token; bumping it invalidates all tokens the user holds
+  tokenVersion: { type: Number, default: 0 }
 }, { timestamps: true });
 
+// Changes to these fields invalidate existing tokens
+const USER_SECURITY_FIELDS = ['password', 'role', 'schoolId', 'memberships', 'classroomIds'];
+
+userSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+  const deactivated = this.isModified('isActive') && !this.isActive;
+  if (deactivated || USER_SECURITY_FIELDS.some(field => this.isModified(field))) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
+
+/**
+ * Paths an update query writes, under any operator ($set, $push, $unset, ...)
+ */
+function updatedPaths(update) {
+  return Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith('$') ? Object.keys(value || {}) : [key]
+  );
+}
+
+userSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const { isActive } = { ...update, ...update.$set };
+  // Nested paths such as memberships.0.role count as their field
+  const touchesSecurity = updatedPaths(update).some(path =>
+    USER_SECURITY_FIELDS.some(field => path === field || path.startsWith(`${field}.`))
+  );
+  if (isActive === false || touchesSecurity) {
+    this.setUpdate({ ...update, $inc: { ...update.$inc, tokenVersion: 1 } });
+  }
+  next();
+});
+
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
+
+  // Keep the hash being replaced, up to the configured history size
+  if (!this.isNew) {
+    const previous = await this.constructor.findById(this._id).select('+password +passwordHistory');
+    if (previous) {
+      this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])]
+        .slice(0, config.auth.passwordPolicy.historySize);
+    }
+  }
+
   const salt = await bcrypt.genSalt(config.bcrypt.rounds);
   this.password = await bcrypt.hash(this.password, salt);
+  this.passwordChangedAt = new Date();
   next();
 });
 
@@ -24,14 +110,410 @@ userSchema.methods.comparePassword = async function(pwd) {
   return await bcrypt.compare(pwd, this.password);
 };
 
+/**
+ * Whether a candidate matches the current or a remembered password
+ * Needs the document loaded with +password +passwordHistory
+ * @param {string} pwd - Plain-text candidate
+ */
+userSchema.methods.isPasswordReused = async function(pwd) {
+  const { historySize } = config.auth.passwordPolicy;
+  const hashes = [this.password, ...(this.passwordHistory || []).slice(0, historySize)].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(pwd, hash)) return true;
+  }
+  return false;
+};
+
+/**
+ * Schools the user belongs to with the role held in each
+ * The primary school (schoolId) comes first
+ * @returns {Object[]} [{ schoolId, role }]
+ */
+userSchema.methods.schoolMemberships = function() {
+  if (!isSchoolScoped(this.role) || !this.schoolId) return [];
+  return [
+    { schoolId: this.schoolId, role: this.role },
+    ...(this.memberships || []).map(membership => ({
+      schoolId: membership.schoolId,
+      role: membership.role || this.role
+    }))
+  ];
+};
+
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.passwordHistory;
+  if (obj.twoFactor) {
+    delete obj.twoFactor.secret;
+    delete obj.twoFactor.pendingSecret;
+    delete obj.twoFactor.recoveryCodes;
+    delete obj.twoFactor.lastUsedStep;
+  }
   return obj;
 };
 
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1, schoolId: 1 });
+userSchema.index({ 'memberships.schoolId': 1 });
+
+// RefreshToken.js Model
+// Every issued refresh token is tracked so it can be used exactly once.
+// Tokens rotated from the same login share a family (the session id).
+const refreshTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  family: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  revokedAt: Date
+}, { timestamps: true });
+
+refreshTokenSchema.index({ userId: 1, family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// RevokedToken.js Model
+// Access token denylist. Entries expire together with the tokens they revoke.
+const revokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, unique: true, sparse: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Session.js Model
+// One record per login. Refresh token families and access tokens (sid claim)
+// point at it, so revoking the session ends both.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  device: { type: String, default: 'unknown', maxlength: 512 },
+  ip: String,
+  lastSeenAt: { type: Date, default: Date.now },
+  // Moves forward with every refresh; expired sessions are dropped by the TTL index
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Revoke sessions of a user together with their refresh tokens
+ * @param {string} userId
+ * @param {string[]} sessionIds - Sessions to revoke (all of the user's if omitted)
+ */
+sessionSchema.statics.revoke = async function(userId, sessionIds) {
+  const now = new Date();
+  const sessionFilter = { userId, revokedAt: null };
+  const tokenFilter = { userId, revokedAt: null };
+
+  if (sessionIds) {
+    // Families issued before sessions existed are not ObjectIds
+    sessionFilter._id = { $in: sessionIds.filter(id => mongoose.isValidObjectId(id)) };
+    tokenFilter.family = { $in: sessionIds.map(String) };
+  }
+
+  await this.updateMany(sessionFilter, { revokedAt: now });
+  await this.model('RefreshToken').updateMany(tokenFilter, { revokedAt: now });
+};
+
+/**
+ * Revoke every session of a user but one, e.g. the one making a security change
+ * @param {string} userId
+ * @param {string} keepSessionId - Session to keep; all are revoked if omitted
+ */
+sessionSchema.statics.revokeOthers = async function(userId, keepSessionId) {
+  if (!keepSessionId) {
+    return this.revoke(userId);
+  }
+
+  const others = await this.find({ userId, revokedAt: null, _id: { $ne: keepSessionId } }).distinct('_id');
+  return this.revoke(userId, others.map(String));
+};
+
+// ImpersonationLog.js Model
+// Trail of impersonations: when one started and every request made with it
+const impersonationLogSchema = new mongoose.Schema({
+  // Real identity (the superadmin) and the impersonated user
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: ['start', 'request'], required: true },
+  // Impersonation token the entry belongs to
+  jti: { type: String, required: true },
+  reason: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String
+}, { timestamps: true });
+
+impersonationLogSchema.index({ actorId: 1, createdAt: -1 });
+impersonationLogSchema.index({ userId: 1, createdAt: -1 });
+
+// SecurityEvent.js Model
+// Sign-ins and credential or profile changes of a user, for the user
+// and superadmins to review
+const SECURITY_EVENT_TYPES = [
+  'login',
+  'password_change',
+  'password_reset',
+  'profile_update',
+  'two_factor_enable',
+  'two_factor_disable'
+];
+
+const securityEventSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: SECURITY_EVENT_TYPES, required: true },
+  outcome: { type: String, enum: ['success', 'failure'], required: true },
+  // Error code of a failure, e.g. INVALID_CREDENTIALS
+  reason: String,
+  // How the user signed in: password or sso
+  method: String,
+  ip: String,
+  device: String,
+  // Superadmin acting through an impersonation token
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Event specifics, e.g. changed profile fields
+  details: mongoose.Schema.Types.Mixed,
+  expiresAt: Date
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Store an event; kept for SECURITY_EVENT_RETENTION
+ * Never fails the action being recorded - errors are only logged
+ * @param {Object} event - { userId, type, outcome, reason, method, ip, device, actorId, details }
+ */
+securityEventSchema.statics.record = async function(event) {
+  const { retention } = config.auth.securityEvents;
+
+  try {
+    await this.create({
+      ...event,
+      device: event.device ? event.device.slice(0, 512) : undefined,
+      expiresAt: retention ? new Date(Date.now() + ms(retention)) : undefined
+    });
+  } catch (error) {
+    console.error('Security event error:', error);
+  }
+};
+
+// AuditLog.js Model
+// Who changed a school, classroom, student, user or API key record and how; written by
+// cortex.executeManager() for methods listed in a manager's `static audit`
+const auditLogSchema = new mongoose.Schema({
+  // User the change was made as; API key and impersonating superadmin when involved
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+  impersonatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School' },
+  entity: { type: String, required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  action: { type: String, enum: ['create', 'update', 'delete', 'transfer'], required: true },
+  // Field-level diff of the stored record (libs/audit.js)
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  ip: String,
+  device: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ schoolId: 1, createdAt: -1 });
+
+/**
+ * Store an entry
+ * Never fails the change being recorded - errors are only logged
+ * @param {Object} entry - { actorId, apiKeyId, impersonatorId, schoolId, entity, entityId, action, changes, ip, device }
+ */
+auditLogSchema.statics.record = async function(entry) {
+  try {
+    await this.create({
+      ...entry,
+      device: entry.device ? entry.device.slice(0, 512) : undefined
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// UserToken.js Model
+// Hashed single-use tokens sent to a user (password reset, email verification)
+const userTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date
+}, { timestamps: true });
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Issue a new token, replacing any outstanding one for the same purpose
+ * @returns {Promise<string>} Raw token - only its hash is stored
+ */
+userTokenSchema.statics.issue = async function(userId, purpose, expiresIn) {
+  await this.deleteMany({ userId, purpose, usedAt: null });
+  const token = generateToken();
+  await this.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ms(expiresIn))
+  });
+  return token;
+};
+
+/**
+ * Atomically mark a valid token as used
+ * @returns {Promise<Object|null>} The token record, or null if invalid/expired/used
+ */
+userTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Invitation.js Model
+// Single-use invitation to register with a given role and school
+const invitationSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  role: { type: String, enum: ROLE_NAMES, required: true },
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: function() { return isSchoolScoped(this.role); } },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  usedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+invitationSchema.index({ email: 1 });
+
+// GuardianClaim.js Model
+// Single-use code a school admin issues so a guardian can link a student.
+// It is delivered to the guardian contact on the student record, so
+// redeeming it proves control of that email or phone.
+const guardianClaimSchema = new mongoose.Schema({
+  codeHash: { type: String, required: true, unique: true },
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  channel: { type: String, enum: ['email', 'phone'], required: true },
+  contact: { type: String, required: true },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  usedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+guardianClaimSchema.index({ studentId: 1, usedAt: 1 });
+guardianClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Atomically mark a valid claim code as used
+ * @returns {Promise<Object|null>} The claim, or null if invalid/expired/used
+ */
+guardianClaimSchema.statics.consume = function(code) {
+  return this.findOneAndUpdate(
+    { codeHash: hashToken(normalizeCode(code)), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Whether an account with this email may redeem the claim
+ * Email codes only work for the address they were sent to
+ */
+guardianClaimSchema.methods.isFor = function(email) {
+  return this.channel !== 'email' || this.contact.toLowerCase() === String(email).toLowerCase();
+};
+
+/**
+ * Make a consumed claim usable again, e.g. when redeeming it failed
+ */
+guardianClaimSchema.methods.release = function() {
+  return this.constructor.updateOne({ _id: this._id }, { $unset: { usedAt: 1 } });
+};
+
+// ApiKey.js Model
+// Key for service-to-service calls (X-API-Key), limited to one school and
+// a set of permissions. Only the hash is stored; the key is shown once.
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // First characters of the key, to tell keys apart in listings
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School', required: true },
+  permissions: { type: [{ type: String, enum: API_KEY_PERMISSIONS }], required: true },
+  // Requests run as this user, and never beyond what they may still do
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+apiKeySchema.index({ schoolId: 1, createdAt: -1 });
+
+apiKeySchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.keyHash;
+  return obj;
+};
+
+/**
+ * Find a usable key: not revoked and not expired
+ * @param {string} key - Raw key from the X-API-Key header
+ */
+apiKeySchema.statics.findUsable = function(key) {
+  return this.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// OidcState.js Model
+// An OpenID Connect login in progress, between the redirect to the
+// identity provider and the callback. Keyed by the hashed `state`.
+const oidcStateSchema = new mongoose.Schema({
+  stateHash: { type: String, required: true, unique: true },
+  nonce: { type: String, required: true },
+  // PKCE code verifier; only its S256 challenge leaves the server
+  codeVerifier: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Atomically remove and return a pending login
+ * @returns {Promise<Object|null>} The login, or null if unknown/expired/used
+ */
+oidcStateSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({ stateHash: hashToken(state), expiresAt: { $gt: new Date() } });
+};
+
+// Bootstrap.js Model
+// Marker of the one-time superadmin bootstrap. Its fixed _id makes a second,
+// concurrent bootstrap fail with a duplicate key instead of creating another superadmin.
+const bootstrapSchema = new mongoose.Schema({
+  _id: { type: String, default: 'superadmin' },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
 
 // School.js Model
 const schoolSchema = new mongoose.Schema({
@@ -57,6 +539,7 @@ const schoolSchema = new mongoose.Schema({
 
 schoolSchema.index({ name: 1 });
 schoolSchema.index({ isActive: 1 });
+schoolSchema.index({ createdAt: -1, _id: -1 });
 
 // Classroom.js Model
 const classroomSchema = new mongoose.Schema({
@@ -79,6 +562,7 @@ const classroomSchema = new mongoose.Schema({
 
 classroomSchema.index({ schoolId: 1, isActive: 1 });
 classroomSchema.index({ schoolId: 1, grade: 1, section: 1 });
+classroomSchema.index({ createdAt: -1, _id: -1 });
 
 classroomSchema.pre('save', function(next) {
   if (this.currentEnrollment > this.capacity) {
@@ -132,6 +616,7 @@ const studentSchema = new mongoose.Schema({
 studentSchema.index({ studentId: 1 }, { unique: true });
 studentSchema.index({ schoolId: 1, status: 1 });
 studentSchema.index({ classroomId: 1, status: 1 });
+studentSchema.index({ createdAt: -1, _id: -1 });
 
 studentSchema.pre('save', async function(next) {
   if (!this.isNew || this.studentId) return next();
@@ -142,7 +627,20 @@ studentSchema.pre('save', async function(next) {
 // Export all models
 module.exports = {
   User: mongoose.model('User', userSchema),
+  RefreshToken: mongoose.model('RefreshToken', refreshTokenSchema),
+  RevokedToken: mongoose.model('RevokedToken', revokedTokenSchema),
+  Session: mongoose.model('Session', sessionSchema),
+  ImpersonationLog: mongoose.model('ImpersonationLog', impersonationLogSchema),
+  SecurityEvent: mongoose.model('SecurityEvent', securityEventSchema),
+  AuditLog: mongoose.model('AuditLog', auditLogSchema),
+  UserToken: mongoose.model('UserToken', userTokenSchema),
+  Invitation: mongoose.model('Invitation', invitationSchema),
+  GuardianClaim: mongoose.model('GuardianClaim', guardianClaimSchema),
+  OidcState: mongoose.model('OidcState', oidcStateSchema),
+  Bootstrap: mongoose.model('Bootstrap', bootstrapSchema),
+  ApiKey: mongoose.model('ApiKey', apiKeySchema),
   School: mongoose.model('School', schoolSchema),
   Classroom: mongoose.model('Classroom', classroomSchema),
-  Student: mongoose.model('Student', studentSchema)
+  Student: mongoose.model('Student', studentSchema),
+  SECURITY_EVENT_TYPES
 };
@@ -0,0 +1,146 @@
+/**
+ * API Key Manager
+ * Pure business logic class for service-to-service API keys
+ * Keys are limited to one school and a set of permissions, and are
+ * shown only once
+ */
+
+const { ApiKey, School } = require('../../loaders');
+const cortex = require('../../libs/cortex');
+const { InputError, ForbiddenError, NotFoundError } = require('../../libs/errors');
+const { generateToken, hashToken } = require('../../libs/tokens');
+
+// Marks API keys in logs and secret scanners
+const KEY_PREFIX = 'sk_';
+
+class ApiKeyManager {
+  // Permission each method requires, enforced by cortex.executeManager()
+  static permissions = {
+    getAll: 'api_key:manage',
+    create: 'api_key:manage',
+    revoke: 'api_key:manage'
+  };
+
+  // Changes recorded in the audit log by cortex.executeManager()
+  static audit = {
+    entity: 'ApiKey',
+    actions: { create: 'create', revoke: 'update' }
+  };
+
+  constructor() {
+    this.ApiKey = ApiKey;
+    this.School = School;
+    this.cortex = cortex;
+  }
+
+  /**
+   * List API keys of the schools the caller manages
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.schoolId - Filter by school
+   * @param {string} params.includeRevoked - 'true' to include revoked keys
+   */
+  async getAll({ __token, schoolId, includeRevoked }) {
+    const schoolFilter = this.cortex.schoolFilter(__token, schoolId);
+
+    if (schoolFilter === null) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
+    }
+
+    const query = {};
+    if (schoolFilter) query.schoolId = schoolFilter;
+    if (String(includeRevoked) !== 'true') query.revokedAt = null;
+
+    const apiKeys = await this.ApiKey.find(query)
+      .populate('schoolId', 'name')
+      .populate('createdBy', 'email firstName lastName')
+      .sort({ createdAt: -1 });
+
+    return { apiKeys };
+  }
+
+  /**
+   * Create an API key
+   * The caller can only grant permissions they hold in the key's school
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.name - What the key is for, e.g. "Nightly SIS sync"
+   * @param {string} params.schoolId - Defaults to the caller's school
+   * @param {string[]} params.permissions
+   * @param {Date} params.expiresAt - Optional
+   */
+  async create({ __token, name, schoolId, permissions, expiresAt }) {
+    const targetSchoolId = schoolId || __token.schoolId;
+
+    if (!targetSchoolId) {
+      return new InputError('VALIDATION_ERROR', { message: 'School ID is required' });
+    }
+
+    if (!this.cortex.canAccessSchool(__token, targetSchoolId)) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
+    }
+
+    const notHeld = permissions.filter(permission =>
+      !this.cortex.canInSchool(__token, permission, targetSchoolId)
+    );
+    if (notHeld.length) {
+      return new ForbiddenError('FORBIDDEN', {
+        message: `You can't grant permissions you don't hold: ${notHeld.join(', ')}`
+      });
+    }
+
+    const school = await this.School.findById(targetSchoolId);
+    if (!school) {
+      return new NotFoundError('SCHOOL_NOT_FOUND');
+    }
+
+    const key = `${KEY_PREFIX}${generateToken()}`;
+    const apiKey = await this.ApiKey.create({
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashToken(key),
+      schoolId: school._id,
+      permissions,
+      createdBy: __token.userId,
+      expiresAt
+    });
+
+    return {
+      apiKey,
+      key,
+      message: 'API key created. Store it now, it will not be shown again'
+    };
+  }
+
+  /**
+   * Revoke an API key
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.id
+   */
+  async revoke({ __token, id }) {
+    const apiKey = await this.ApiKey.findById(id);
+
+    if (!apiKey) {
+      return new NotFoundError('NOT_FOUND', { message: 'API key not found' });
+    }
+
+    if (!this.cortex.canAccessSchool(__token, apiKey.schoolId)) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this API key' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = __token.userId;
+      await apiKey.save();
+    }
+
+    return {
+      apiKey,
+      message: 'API key revoked'
+    };
+  }
+}
+
+// Export class, NOT instance
+module.exports = ApiKeyManager;
@@ -0,0 +1,33 @@
+/**
+ * API Key Routes
+ * Uses cortex.executeManager() to execute ApiKeyManager methods
+ */
+
+const express = require('express');
+const router = express.Router();
+const cortex = require('../../libs/cortex');
+const ApiKeyManager = require('./ApiKey.manager');
+const { createApiKeySchema } = require('./apiKey.validators');
+
+// All routes require authentication
+router.use(cortex.authenticate());
+
+// GET /api/v1/api-keys - List API keys (Superadmin, School Admin)
+router.get('/',
+  cortex.executeManager(ApiKeyManager, 'getAll')
+);
+
+// POST /api/v1/api-keys - Create an API key; the key is only returned here
+router.post('/',
+  cortex.requireDirectLogin(),
+  cortex.validate(createApiKeySchema),
+  cortex.executeManager(ApiKeyManager, 'create')
+);
+
+// DELETE /api/v1/api-keys/:id - Revoke an API key
+router.delete('/:id',
+  cortex.requireDirectLogin(),
+  cortex.executeManager(ApiKeyManager, 'revoke')
+);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const Joi = require('joi');
+const { API_KEY_PERMISSIONS } = require('../../libs/permissions');
+
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  schoolId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': 'Invalid school ID format'
+  }),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...API_KEY_PERMISSIONS).messages({
+      'any.only': `Permissions must be among: ${API_KEY_PERMISSIONS.join(', ')}`
+    }))
+    .min(1)
+    .unique()
+    .required(),
+  expiresAt: Joi.date().greater('now')
+});
+
+module.exports = {
+  createApiKeySchema
+};
@@ -0,0 +1,80 @@
+/**
+ * Audit Manager
+ * Pure business logic class for reviewing the audit log
+ * Entries are written by cortex.executeManager() for the methods each
+ * manager lists in `static audit`
+ */
+
+const { AuditLog } = require('../../loaders');
+const cortex = require('../../libs/cortex');
+const { ForbiddenError } = require('../../libs/errors');
+const { paginate } = require('../../libs/pagination');
+const { listAuditQuerySchema } = require('./audit.validators');
+
+class AuditManager {
+  // Permission each method requires, enforced by cortex.executeManager()
+  static permissions = {
+    getAll: 'audit:read'
+  };
+
+  // Input each method accepts, validated by cortex.executeManager()
+  static contracts = {
+    getAll: { query: listAuditQuerySchema }
+  };
+
+  constructor() {
+    this.AuditLog = AuditLog;
+    this.cortex = cortex;
+  }
+
+  /**
+   * List audit entries of the schools the caller reaches, newest first
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.entity - School, Classroom, Student, User or ApiKey
+   * @param {string} params.entityId - One record
+   * @param {string} params.actorId - Changes made by this user
+   * @param {string} params.action - create, update, delete or transfer
+   * @param {string} params.schoolId - Filter by school
+   * @param {string} params.from - Earliest date
+   * @param {string} params.to - Latest date
+   * @param {number} params.page - Page number
+   * @param {number} params.limit - Items per page
+   * @param {string} params.cursor - Continue after a previous page instead of page
+   */
+  async getAll({ __token, entity, entityId, actorId, action, schoolId, from, to, page, limit, cursor }) {
+    const schoolFilter = this.cortex.schoolFilter(__token, schoolId);
+
+    if (schoolFilter === null) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
+    }
+
+    const query = {};
+    if (schoolFilter) query.schoolId = schoolFilter;
+    if (entity) query.entity = String(entity);
+    if (entityId) query.entityId = entityId;
+    if (actorId) query.actorId = actorId;
+    if (action) query.action = String(action);
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const { items, pagination } = await paginate(
+      this.AuditLog.find(query)
+        .populate('actorId', 'email firstName lastName')
+        .populate('impersonatorId', 'email firstName lastName'),
+      { page, limit, cursor }
+    );
+
+    return {
+      entries: items,
+      pagination
+    };
+  }
+}
+
+// Export class, NOT instance
+module.exports = AuditManager;
@@ -0,0 +1,19 @@
+/**
+ * Audit Routes
+ * Uses cortex.executeManager() to execute AuditManager methods
+ */
+
+const express = require('express');
+const router = express.Router();
+const cortex = require('../../libs/cortex');
+const AuditManager = require('./Audit.manager');
+
+// All routes require authentication
+router.use(cortex.authenticate());
+
+// GET /api/v1/audit - Review changes to schools, classrooms and students
+router.get('/',
+  cortex.executeManager(AuditManager, 'getAll')
+);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const Joi = require('joi');
+const { paginationQuery } = require('../../libs/pagination');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+  'string.pattern.base': '{{#label}} must be a valid ID'
+});
+
+const listAuditQuerySchema = Joi.object({
+  ...paginationQuery,
+  entity: Joi.string().valid('School', 'Classroom', 'Student', 'User', 'ApiKey'),
+  entityId: objectId,
+  actorId: objectId,
+  action: Joi.string().valid('create', 'update', 'delete', 'transfer'),
+  schoolId: objectId,
+  from: Joi.date(),
+  to: Joi.date()
+});
+
+module.exports = {
+  listAuditQuerySchema
+};
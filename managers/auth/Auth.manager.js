@@ -8,173 +8,1648 @@
  * - Cortex handles all HTTP concerns
  */
 
-const { User } = require('../../loaders');
+const crypto = require('crypto');
+const ms = require('ms');
+const { isValidObjectId } = require('mongoose');
+const { nanoid } = require('nanoid');
+const {
+  User,
+  School,
+  RefreshToken,
+  RevokedToken,
+  Session,
+  ImpersonationLog,
+  SecurityEvent,
+  UserToken,
+  Invitation,
+  GuardianClaim,
+  OidcState,
+  Bootstrap
+} = require('../../loaders');
 const cortex = require('../../libs/cortex');
+const {
+  AppError,
+  InputError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BusinessRuleError
+} = require('../../libs/errors');
+const mailer = require('../../libs/mailer');
+const totp = require('../../libs/totp');
+const oidc = require('../../libs/oidc');
+const { permissionsFor, hasPermission, isSchoolScoped } = require('../../libs/permissions');
+const { generateToken, hashToken, safeEqual } = require('../../libs/tokens');
+const { isPasswordExpired } = require('../../libs/passwordPolicy');
+const { toCsv } = require('../../libs/csv');
+const { paginate } = require('../../libs/pagination');
+const {
+  listImpersonationsQuerySchema,
+  userIdParamsSchema,
+  securityEventsQuerySchema
+} = require('./auth.validators');
+
+// Columns of the security events CSV export
+const SECURITY_EVENT_COLUMNS = [
+  { header: 'timestamp', value: event => event.createdAt },
+  { header: 'type', value: event => event.type },
+  { header: 'outcome', value: event => event.outcome },
+  { header: 'reason', value: event => event.reason },
+  { header: 'method', value: event => event.method },
+  { header: 'ip', value: event => event.ip },
+  { header: 'device', value: event => event.device },
+  { header: 'actorId', value: event => event.actorId },
+  { header: 'details', value: event => event.details && JSON.stringify(event.details) }
+];
 
 class Auth {
+  // Permission each method requires, enforced by cortex.executeManager()
+  static permissions = {
+    createInvitation: 'invitation:create',
+    unlockAccount: 'user:unlock',
+    impersonate: 'user:impersonate',
+    listImpersonations: 'user:impersonate',
+    listUserSecurityEvents: 'user:security_events'
+  };
+
+  // Input each method accepts, validated by cortex.executeManager()
+  static contracts = {
+    listImpersonations: { query: listImpersonationsQuerySchema },
+    getMySecurityEvents: { query: securityEventsQuerySchema },
+    listUserSecurityEvents: { params: userIdParamsSchema, query: securityEventsQuerySchema }
+  };
+
   constructor() {
     this.cortex = cortex;
     this.User = User;
+    this.School = School;
+    this.RefreshToken = RefreshToken;
+    this.RevokedToken = RevokedToken;
+    this.Session = Session;
+    this.ImpersonationLog = ImpersonationLog;
+    this.SecurityEvent = SecurityEvent;
+    this.UserToken = UserToken;
+    this.Invitation = Invitation;
+    this.GuardianClaim = GuardianClaim;
+    this.OidcState = OidcState;
+    this.Bootstrap = Bootstrap;
+    this.mailer = mailer;
+    this.totp = totp;
+    this.oidc = oidc;
+  }
+
+  /**
+   * Record a new session for a user and issue its first token pair
+   * @param {Object} user - User document
+   * @param {Object} context
+   * @param {string} context.__device - User agent of the client
+   * @param {string} context.__ip
+   */
+  async startSession(user, { __device, __ip } = {}) {
+    const session = await this.Session.create({
+      userId: user._id,
+      device: __device ? __device.slice(0, 512) : undefined,
+      ip: __ip,
+      expiresAt: new Date(Date.now() + ms(this.cortex.config.jwt.refreshExpiresIn))
+    });
+
+    return this.issueTokens(user, session._id.toString());
+  }
+
+  /**
+   * Issue an access/refresh token pair for a user
+   * The refresh token is persisted so it can only be used once
+   * @param {Object} user - User document
+   * @param {string} sessionId - Session the tokens belong to; also the refresh token family
+   */
+  async issueTokens(user, sessionId) {
+    const accessToken = this.cortex.generateToken({
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      schoolId: user.schoolId,
+      memberships: user.schoolMemberships(),
+      classroomIds: user.classroomIds,
+      ver: user.tokenVersion,
+      sid: sessionId
+    });
+
+    const jti = nanoid();
+    const refreshToken = this.cortex.generateRefreshToken({
+      userId: user._id,
+      email: user.email,
+      ver: user.tokenVersion,
+      family: sessionId,
+      jti
+    });
+
+    const { exp } = this.cortex.decodeToken(refreshToken);
+    await this.RefreshToken.create({
+      jti,
+      userId: user._id,
+      family: sessionId,
+      expiresAt: new Date(exp * 1000)
+    });
+
+    return { accessToken, refreshToken };
+  }
+
+  /**
+   * Mail an email verification link to a user
+   * @param {Object} user - User document
+   */
+  async sendVerificationEmail(user) {
+    const { appUrl, auth } = this.cortex.config;
+    const token = await this.UserToken.issue(user._id, 'email_verification', auth.emailVerificationExpiresIn);
+
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Please confirm your email address using the link below:',
+        `${appUrl}/verify-email?token=${token}`,
+        '',
+        `The link expires in ${auth.emailVerificationExpiresIn}.`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Count a failed login and lock the account once the limit is reached
+   * Lock duration doubles with every consecutive lock
+   * @param {Object} user - User document
+   * @returns {Promise<Date|null>} Lock expiry if the account is now locked
+   */
+  async recordFailedLogin(user) {
+    const { maxAttempts, baseDuration, maxDuration } = this.cortex.config.auth.lockout;
+
+    const updated = await this.User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    );
+
+    if (updated.failedLoginAttempts < maxAttempts) {
+      return null;
+    }
+
+    const duration = Math.min(ms(baseDuration) * 2 ** updated.lockCount, ms(maxDuration));
+    const lockUntil = new Date(Date.now() + duration);
+
+    await this.User.updateOne(
+      { _id: user._id },
+      { lockUntil, failedLoginAttempts: 0, $inc: { lockCount: 1 } }
+    );
+
+    return lockUntil;
+  }
+
+  /**
+   * Build the ACCOUNT_LOCKED error
+   */
+  lockedError(lockUntil) {
+    return new AppError('ACCOUNT_LOCKED', {
+      retryAfter: Math.ceil((lockUntil.getTime() - Date.now()) / 1000)
+    });
+  }
+
+  /**
+   * Build the PASSWORD_REUSED error
+   */
+  passwordReusedError() {
+    return new InputError('PASSWORD_REUSED');
+  }
+
+  /**
+   * Build the response for a user whose password has expired
+   * The restricted token is only accepted by the change-password route
+   * @param {Object} user - User document
+   */
+  passwordChangeRequired(user) {
+    return {
+      passwordChangeRequired: true,
+      accessToken: this.cortex.generateToken({
+        userId: user._id,
+        email: user.email,
+        role: user.role,
+        schoolId: user.schoolId,
+        ver: user.tokenVersion,
+        pending: 'password_change'
+      }, { expiresIn: this.cortex.config.auth.passwordPolicy.changeTokenExpiresIn }),
+      message: 'Password has expired and must be changed before continuing'
+    };
+  }
+
+  /**
+   * Record a security event of a user with the request's IP and device
+   * @param {Object} event - { userId, type, outcome, reason, method, details }
+   * @param {Object} context
+   * @param {Object} context.__token - Impersonation tokens record the superadmin as actor
+   * @param {string} context.__device
+   * @param {string} context.__ip
+   */
+  recordEvent(event, { __token, __device, __ip } = {}) {
+    return this.SecurityEvent.record({
+      ...event,
+      ip: __ip,
+      device: __device,
+      actorId: __token && __token.actor ? __token.actor.userId : undefined
+    });
+  }
+
+  /**
+   * Record how a login attempt ended and pass its result through
+   * Steps in between (2FA challenge, restricted tokens) are not logins yet;
+   * attempts on unknown accounts have nobody to record them for
+   * @param {Object} result - Login result or error
+   * @param {Object} context
+   * @param {Object} context.user - User document, if the account was found
+   * @param {string} context.method - password or sso
+   * @param {string} context.__device
+   * @param {string} context.__ip
+   */
+  async loginEvent(result, { user, method, __device, __ip }) {
+    if (user && (result.error || result.refreshToken)) {
+      await this.recordEvent({
+        userId: user._id,
+        type: 'login',
+        outcome: result.error ? 'failure' : 'success',
+        reason: result.code,
+        method
+      }, { __device, __ip });
+    }
+
+    return result;
+  }
+
+  /**
+   * Finish a login once the first factor (password or SSO) has been checked
+   * Hands out a 2FA challenge or restricted token when a step is missing,
+   * otherwise starts a session
+   * @param {Object} user - User document
+   * @param {Object} context
+   * @param {string} context.__device
+   * @param {string} context.__ip
+   * @param {boolean} context.sso - Signed in through the identity provider; password age doesn't apply
+   */
+  async completeLogin(user, { __device, __ip, sso = false }) {
+    const { twoFactor } = this.cortex.config.auth;
+
+    // Second step: the client trades the challenge and a code for tokens
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: this.cortex.generatePurposeToken(
+          'mfa_challenge',
+          { userId: user._id, ...(sso && { sso }) },
+          twoFactor.challengeExpiresIn
+        ),
+        message: 'Two-factor authentication code required'
+      };
+    }
+
+    if (!sso && isPasswordExpired(user.passwordChangedAt || user.createdAt)) {
+      return this.passwordChangeRequired(user);
+    }
+
+    // Role requires 2FA but the user hasn't enrolled: only allow enrollment
+    if (twoFactor.requiredRoles.includes(user.role)) {
+      return {
+        twoFactorSetupRequired: true,
+        accessToken: this.cortex.generateToken({
+          userId: user._id,
+          email: user.email,
+          role: user.role,
+          schoolId: user.schoolId,
+          ver: user.tokenVersion,
+          pending: 'mfa_enroll'
+        }, { expiresIn: twoFactor.challengeExpiresIn }),
+        message: 'Two-factor authentication must be set up before continuing'
+      };
+    }
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await this.startSession(user, { __device, __ip });
+
+    // Remove password from response
+    user.password = undefined;
+
+    return {
+      user: user.toJSON(),
+      accessToken,
+      refreshToken,
+      message: 'Login successful'
+    };
+  }
+
+  /**
+   * Sign in a newly created account
+   * Goes through completeLogin() so roles that require 2FA only get the
+   * enrollment token, like on login
+   * @param {Object} user - User document
+   * @param {string} message - Success message when a full session is issued
+   * @param {Object} context - { __device, __ip }
+   */
+  async signupSession(user, message, { __device, __ip }) {
+    const result = await this.completeLogin(user, { __device, __ip });
+
+    return {
+      ...result,
+      user: user.toJSON(),
+      message: result.refreshToken ? message : `${message}. ${result.message}`
+    };
+  }
+
+  /**
+   * Check a TOTP or recovery code for a user
+   * Accepted TOTP steps and recovery codes can't be used again
+   * @param {Object} user - User document with twoFactor secrets selected
+   * @param {Object} credentials
+   * @param {string} credentials.code - TOTP code
+   * @param {string} credentials.recoveryCode
+   */
+  async checkSecondFactor(user, { code, recoveryCode }) {
+    if (recoveryCode) {
+      const hash = hashToken(recoveryCode.toLowerCase().replace(/[^a-z0-9]/g, ''));
+      const result = await this.User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    const step = code ? this.totp.verify(code, user.twoFactor.secret) : null;
+    if (step === null) {
+      return false;
+    }
+
+    const result = await this.User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {{ codes: string[], hashes: string[] }}
+   */
+  generateRecoveryCodes(count = 10) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return {
+      codes,
+      hashes: codes.map(code => hashToken(code.replace('-', '')))
+    };
+  }
+
+  /**
+   * Bootstrap the first superadmin
+   * Only works once, and only while no superadmin exists
+   * @param {Object} params
+   * @param {string} params.email
+   * @param {string} params.password
+   * @param {string} params.firstName
+   * @param {string} params.lastName
+   * @param {string} params.bootstrapSecret - Must match BOOTSTRAP_SECRET when configured
+   * @param {string} params.__device
+   * @param {string} params.__ip
+   */
+  async bootstrap({ email, password, firstName, lastName, bootstrapSecret, __device, __ip }) {
+    try {
+      const { bootstrapSecret: expectedSecret } = this.cortex.config.auth;
+      if (expectedSecret && !safeEqual(bootstrapSecret || '', expectedSecret)) {
+        return new ForbiddenError('FORBIDDEN', { message: 'Invalid bootstrap secret' });
+      }
+
+      const superadminExists = await this.User.exists({ role: 'superadmin' });
+      if (superadminExists) {
+        return new ConflictError('ALREADY_BOOTSTRAPPED');
+      }
+
+      // Claim the one-time marker first so concurrent requests can't both get through
+      try {
+        await this.Bootstrap.create({ _id: 'superadmin' });
+      } catch (error) {
+        if (error.code === 11000) return new ConflictError('ALREADY_BOOTSTRAPPED');
+        throw error;
+      }
+
+      let user;
+      try {
+        user = await this.User.create({
+          email,
+          password,
+          firstName,
+          lastName,
+          role: 'superadmin'
+        });
+      } catch (error) {
+        // Free the marker so bootstrap can be retried with valid details
+        await this.Bootstrap.deleteOne({ _id: 'superadmin' });
+        throw error;
+      }
+
+      await this.Bootstrap.updateOne({ _id: 'superadmin' }, { userId: user._id });
+      await this.sendVerificationEmail(user);
+
+      return this.signupSession(user, 'Superadmin created successfully', { __device, __ip });
+    } catch (error) {
+      console.error('Bootstrap error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an invitation to register
+   * Without invitation:create_any, users may only invite school-scoped roles
+   * to their own school
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.email - Invitee email
+   * @param {string} params.role - e.g. 'superadmin' or 'school_admin'
+   * @param {string} params.schoolId - Required for school-scoped roles
+   */
+  async createInvitation({ __token, email, role, schoolId }) {
+    try {
+      if (!isSchoolScoped(role) && !this.cortex.can(__token, 'invitation:create_any')) {
+        return new ForbiddenError('FORBIDDEN', {
+          message: `Insufficient permissions to invite a ${role}`
+        });
+      }
+
+      if (isSchoolScoped(role)) {
+        if (!this.cortex.canAccessSchool(__token, schoolId)) {
+          return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
+        }
+
+        const school = await this.School.findById(schoolId);
+        if (!school) {
+          return new NotFoundError('SCHOOL_NOT_FOUND');
+        }
+      }
+
+      const existingUser = await this.User.findOne({ email });
+      if (existingUser) {
+        return new ConflictError('USER_EXISTS');
+      }
+
+      const invitationToken = generateToken();
+      const invitation = await this.Invitation.create({
+        tokenHash: hashToken(invitationToken),
+        email,
+        role,
+        schoolId: isSchoolScoped(role) ? schoolId : undefined,
+        invitedBy: __token.userId,
+        expiresAt: new Date(Date.now() + ms(this.cortex.config.auth.invitationExpiresIn))
+      });
+
+      return {
+        invitation: {
+          id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          schoolId: invitation.schoolId,
+          expiresAt: invitation.expiresAt
+        },
+        invitationToken,
+        message: 'Invitation created successfully'
+      };
+    } catch (error) {
+      console.error('Create invitation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register new user from an invitation
+   * Role and school come from the invitation, never from the request
+   * @param {Object} params - Unified params from cortex
+   * @param {string} params.invitationToken
+   * @param {string} params.email - Optional, must match the invitation
+   * @param {string} params.password
+   * @param {string} params.firstName
+   * @param {string} params.lastName
+   * @param {string} params.__device
+   * @param {string} params.__ip
+   */
+  async register({ invitationToken, email, password, firstName, lastName, __device, __ip }) {
+    try {
+      const tokenHash = hashToken(invitationToken);
+      const invitation = await this.Invitation.findOne({
+        tokenHash,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+
+      if (!invitation || (email && email.toLowerCase() !== invitation.email)) {
+        return new InputError('INVALID_INVITATION');
+      }
+
+      // Check if user already exists
+      const existingUser = await this.User.findOne({ email: invitation.email });
+      if (existingUser) {
+        return new ConflictError('USER_EXISTS');
+      }
+
+      // Claim the invitation atomically so it can't be used twice
+      const claimed = await this.Invitation.findOneAndUpdate(
+        { _id: invitation._id, usedAt: null },
+        { usedAt: new Date() },
+        { new: true }
+      );
+
+      if (!claimed) {
+        return new InputError('INVALID_INVITATION');
+      }
+
+      let user;
+      try {
+        user = await this.User.create({
+          email: invitation.email,
+          password,
+          firstName,
+          lastName,
+          role: invitation.role,
+          schoolId: invitation.schoolId
+        });
+      } catch (error) {
+        // Release the invitation so the invitee can try again
+        await this.Invitation.updateOne({ _id: invitation._id }, { $unset: { usedAt: 1 } });
+        throw error;
+      }
+
+      claimed.usedBy = user._id;
+      await claimed.save();
+
+      await this.sendVerificationEmail(user);
+
+      // No session until the address is confirmed when the policy demands it
+      if (this.cortex.config.auth.requireEmailVerification) {
+        return {
+          user: user.toJSON(),
+          message: 'User registered successfully. Please verify your email address before logging in'
+        };
+      }
+
+      // Generate tokens
+      return this.signupSession(user, 'User registered successfully', { __device, __ip });
+    } catch (error) {
+      console.error('Register error:', error);
+      throw error; // Let cortex handle the error
+    }
+  }
+
+  /**
+   * Register a guardian account with a claim code issued by a school
+   * The code links the first child. Codes sent by email also verify the
+   * address, so the account must use it.
+   * @param {Object} params
+   * @param {string} params.claimCode
+   * @param {string} params.email
+   * @param {string} params.password
+   * @param {string} params.firstName
+   * @param {string} params.lastName
+   * @param {string} params.__device
+   * @param {string} params.__ip
+   */
+  async registerGuardian({ claimCode, email, password, firstName, lastName, __device, __ip }) {
+    try {
+      const existingUser = await this.User.findOne({ email });
+      if (existingUser) {
+        return new ConflictError('USER_EXISTS');
+      }
+
+      // Claim the code atomically so it can't be used twice
+      const claim = await this.GuardianClaim.consume(claimCode);
+
+      if (!claim || !claim.isFor(email)) {
+        if (claim) await claim.release();
+        return new InputError('INVALID_CLAIM');
+      }
+
+      let user;
+      try {
+        user = await this.User.create({
+          email,
+          password,
+          firstName,
+          lastName,
+          role: 'guardian',
+          studentIds: [claim.studentId],
+          emailVerified: claim.channel === 'email',
+          emailVerifiedAt: claim.channel === 'email' ? new Date() : undefined
+        });
+      } catch (error) {
+        // Release the code so the guardian can try again
+        await claim.release();
+        throw error;
+      }
+
+      claim.usedBy = user._id;
+      await claim.save();
+
+      if (!user.emailVerified) {
+        await this.sendVerificationEmail(user);
+
+        if (this.cortex.config.auth.requireEmailVerification) {
+          return {
+            user: user.toJSON(),
+            message: 'Guardian registered successfully. Please verify your email address before logging in'
+          };
+        }
+      }
+
+      return this.signupSession(user, 'Guardian registered successfully', { __device, __ip });
+    } catch (error) {
+      console.error('Register guardian error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Login user
+   * @param {Object} params
+   * @param {string} params.email
+   * @param {string} params.password
+   * @param {string} params.__device
+   * @param {string} params.__ip
+   */
+  async login({ email, password, __device, __ip }) {
+    try {
+      // Find user with password field
+      const user = await this.User.findOne({ email }).select('+password');
+      
+      if (!user) {
+        return new AuthenticationError('INVALID_CREDENTIALS');
+      }
+
+      const context = { user, method: 'password', __device, __ip };
+
+      // Check if account is active
+      if (!user.isActive) {
+        return this.loginEvent(new AuthenticationError('ACCOUNT_INACTIVE'), context);
+      }
+
+      // Don't even look at the password while locked
+      if (user.lockUntil && user.lockUntil > new Date()) {
+        return this.loginEvent(this.lockedError(user.lockUntil), context);
+      }
+
+      // Verify password
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid) {
+        const lockUntil = await this.recordFailedLogin(user);
+        if (lockUntil) {
+          return this.loginEvent(this.lockedError(lockUntil), context);
+        }
+
+        return this.loginEvent(new AuthenticationError('INVALID_CREDENTIALS'), context);
+      }
+
+      if (user.passwordResetRequired) {
+        return this.loginEvent(new ForbiddenError('PASSWORD_RESET_REQUIRED'), context);
+      }
+
+      // Successful login clears the failure history
+      if (user.failedLoginAttempts || user.lockCount || user.lockUntil) {
+        await this.User.updateOne(
+          { _id: user._id },
+          { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } }
+        );
+      }
+
+      if (this.cortex.config.auth.requireEmailVerification && !user.emailVerified) {
+        return this.loginEvent(new ForbiddenError('EMAIL_NOT_VERIFIED'), context);
+      }
+
+      return await this.loginEvent(await this.completeLogin(user, { __device, __ip }), context);
+    } catch (error) {
+      console.error('Login error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a two-factor login
+   * @param {Object} params
+   * @param {string} params.challengeToken - From login()
+   * @param {string} params.code - TOTP code
+   * @param {string} params.recoveryCode - Alternative to code
+   * @param {string} params.__device
+   * @param {string} params.__ip
+   */
+  async verifyTwoFactor({ challengeToken, code, recoveryCode, __device, __ip }) {
+    try {
+      const challenge = this.cortex.verifyPurposeToken(challengeToken, 'mfa_challenge');
+      if (!challenge) {
+        return new AuthenticationError('INVALID_TOKEN', {
+          message: 'Two-factor challenge is invalid or has expired'
+        });
+      }
+
+      const user = await this.User.findById(challenge.userId)
+        .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+      if (!user || !user.isActive || !user.twoFactor.enabled) {
+        return new AuthenticationError('INVALID_TOKEN', {
+          message: 'Two-factor challenge is invalid or has expired'
+        });
+      }
+
+      const context = { user, method: challenge.sso ? 'sso' : 'password', __device, __ip };
+
+      if (user.lockUntil && user.lockUntil > new Date()) {
+        return this.loginEvent(this.lockedError(user.lockUntil), context);
+      }
+
+      // Wrong codes count towards the account lockout
+      if (!await this.checkSecondFactor(user, { code, recoveryCode })) {
+        const lockUntil = await this.recordFailedLogin(user);
+        if (lockUntil) {
+          return this.loginEvent(this.lockedError(lockUntil), context);
+        }
+
+        return this.loginEvent(new AuthenticationError('INVALID_TWO_FACTOR_CODE'), context);
+      }
+
+      if (!challenge.sso && isPasswordExpired(user.passwordChangedAt || user.createdAt)) {
+        return this.passwordChangeRequired(user);
+      }
+
+      const { accessToken, refreshToken } = await this.startSession(user, { __device, __ip });
+
+      return this.loginEvent({
+        user: user.toJSON(),
+        accessToken,
+        refreshToken,
+        message: 'Login successful'
+      }, context);
+    } catch (error) {
+      console.error('Verify two-factor error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a single sign-on login
+   * The client sends the browser to authorizationUrl; the identity provider
+   * returns it to OIDC_REDIRECT_URI with `code` and `state`
+   */
+  async oidcAuthorize() {
+    try {
+      if (!this.oidc.isEnabled()) {
+        return new NotFoundError('SSO_NOT_CONFIGURED');
+      }
+
+      const state = generateToken();
+      const nonce = generateToken();
+      const codeVerifier = generateToken();
+
+      await this.OidcState.create({
+        stateHash: hashToken(state),
+        nonce,
+        codeVerifier,
+        expiresAt: new Date(Date.now() + ms(this.cortex.config.oidc.stateExpiresIn))
+      });
+
+      return {
+        authorizationUrl: await this.oidc.authorizationUrl({ state, nonce, codeVerifier }),
+        state
+      };
+    } catch (error) {
+      console.error('OIDC authorize error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish a single sign-on login
+   * Finds the user by IdP subject, then by verified email (linking the
+   * subject), and provisions one when OIDC_PROVISION_ROLE is set
+   * @param {Object} params
+   * @param {string} params.code - Authorization code from the identity provider
+   * @param {string} params.state - From oidcAuthorize()
+   * @param {string} params.__device
+   * @param {string} params.__ip
+   */
+  async oidcCallback({ code, state, __device, __ip }) {
+    try {
+      if (!this.oidc.isEnabled()) {
+        return new NotFoundError('SSO_NOT_CONFIGURED');
+      }
+
+      const login = await this.OidcState.consume(state);
+      if (!login) {
+        return new AuthenticationError('SSO_FAILED', {
+          message: 'Single sign-on login is invalid or has expired'
+        });
+      }
+
+      let claims;
+      try {
+        claims = await this.oidc.exchangeCode({ code, codeVerifier: login.codeVerifier, nonce: login.nonce });
+      } catch (error) {
+        if (error.name !== 'OidcError') throw error;
+        console.error('OIDC callback rejected:', error.message);
+        return new AuthenticationError('SSO_FAILED');
+      }
+
+      const email = claims.email && claims.email.toLowerCase();
+      let user = await this.User.findOne({ oidcSubject: claims.sub });
+
+      // Unknown subject: only a verified email may link or create an account
+      if (!user && email && claims.email_verified === true) {
+        user = await this.User.findOne({ email });
+
+        if (user && user.oidcSubject) {
+          return this.loginEvent(new AuthenticationError('SSO_FAILED', {
+            message: 'Account is linked to another single sign-on identity'
+          }), { user, method: 'sso', __device, __ip });
+        }
+
+        if (user) {
+          user.oidcSubject = claims.sub;
+          await user.save();
+        } else if (this.cortex.config.oidc.provisionRole) {
+          user = await this.provisionOidcUser(claims);
+        }
+      }
+
+      if (!user) {
+        return new ForbiddenError('SSO_NO_ACCOUNT');
+      }
+
+      const context = { user, method: 'sso', __device, __ip };
+
+      if (!user.isActive) {
+        return this.loginEvent(new AuthenticationError('ACCOUNT_INACTIVE'), context);
+      }
+
+      if (user.passwordResetRequired) {
+        return this.loginEvent(new ForbiddenError('PASSWORD_RESET_REQUIRED'), context);
+      }
+
+      return await this.loginEvent(await this.completeLogin(user, { __device, __ip, sso: true }), context);
+    } catch (error) {
+      console.error('OIDC callback error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a user for a first-time SSO login with the configured default role
+   * @param {Object} claims - Verified ID token claims
+   */
+  async provisionOidcUser(claims) {
+    const { provisionRole: role, provisionSchoolId: schoolId } = this.cortex.config.oidc;
+
+    // Privileged accounts are never created from outside
+    if (hasPermission(role, 'user:impersonate')) {
+      throw new Error(`OIDC_PROVISION_ROLE "${role}" is too privileged to provision`);
+    }
+
+    const [firstName, ...rest] = (claims.name || '').trim().split(/\s+/);
+
+    return this.User.create({
+      email: claims.email,
+      // Random password nobody knows; "forgot password" can set a real one
+      password: generateToken(),
+      firstName: claims.given_name || firstName || 'SSO',
+      lastName: claims.family_name || rest.join(' ') || 'User',
+      role,
+      schoolId: isSchoolScoped(role) ? schoolId : undefined,
+      oidcSubject: claims.sub,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+  }
+
+  /**
+   * Start two-factor enrollment
+   * Returns the secret and an otpauth:// URI to render as a QR code
+   * @param {Object} params
+   * @param {Object} params.__token
+   */
+  async setupTwoFactor({ __token }) {
+    try {
+      const user = await this.User.findById(__token.userId);
+
+      if (!user) {
+        return new NotFoundError('USER_NOT_FOUND');
+      }
+
+      if (user.twoFactor.enabled) {
+        return new ConflictError('TWO_FACTOR_ALREADY_ENABLED');
+      }
+
+      const secret = this.totp.generateSecret();
+      user.twoFactor.pendingSecret = secret;
+      await user.save();
+
+      return {
+        secret,
+        otpauthUrl: this.totp.keyUri({
+          secret,
+          account: user.email,
+          issuer: this.cortex.config.auth.twoFactor.issuer
+        }),
+        message: 'Scan the QR code and confirm with a code to enable two-factor authentication'
+      };
+    } catch (error) {
+      console.error('Setup two-factor error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * Returns recovery codes once and ends the user's other sessions; users
+   * enrolling because their role requires it also receive a full token pair
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.code - TOTP code
+   * @param {string} params.__device
+   * @param {string} params.__ip
+   */
+  async enableTwoFactor({ __token, code, __device, __ip }) {
+    try {
+      const user = await this.User.findById(__token.userId).select('+twoFactor.pendingSecret');
+
+      if (!user) {
+        return new NotFoundError('USER_NOT_FOUND');
+      }
+
+      if (user.twoFactor.enabled) {
+        return new ConflictError('TWO_FACTOR_ALREADY_ENABLED');
+      }
+
+      const step = user.twoFactor.pendingSecret
+        ? this.totp.verify(code, user.twoFactor.pendingSecret)
+        : null;
+
+      if (step === null) {
+        return new AuthenticationError('INVALID_TWO_FACTOR_CODE');
+      }
+
+      const { codes, hashes } = this.generateRecoveryCodes();
+
+      user.twoFactor = {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        recoveryCodes: hashes,
+        lastUsedStep: step,
+        enabledAt: new Date()
+      };
+      await user.save();
+
+      // Sessions started without the second factor end; this one carries on
+      await this.Session.revokeOthers(user._id, __token.sid);
+
+      await this.recordEvent({ userId: user._id, type: 'two_factor_enable', outcome: 'success' }, { __token, __device, __ip });
+
+      const result = {
+        recoveryCodes: codes,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe'
+      };
+
+      if (__token.pending === 'mfa_enroll') {
+        Object.assign(result, await this.startSession(user, { __device, __ip }));
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * Requires the password and a current code; not allowed for roles that require 2FA.
+   * Ends the user's other sessions
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.password
+   * @param {string} params.code - TOTP code
+   * @param {string} params.recoveryCode - Alternative to code
+   * @param {string} params.__device
+   * @param {string} params.__ip
+   */
+  async disableTwoFactor({ __token, password, code, recoveryCode, __device, __ip }) {
+    try {
+      const user = await this.User.findById(__token.userId)
+        .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+      if (!user) {
+        return new NotFoundError('USER_NOT_FOUND');
+      }
+
+      if (!user.twoFactor.enabled) {
+        return new ConflictError('TWO_FACTOR_NOT_ENABLED');
+      }
+
+      if (this.cortex.config.auth.twoFactor.requiredRoles.includes(user.role)) {
+        return new ForbiddenError('TWO_FACTOR_REQUIRED');
+      }
+
+      const event = { userId: user._id, type: 'two_factor_disable' };
+      const context = { __token, __device, __ip };
+
+      if (!await user.comparePassword(password)) {
+        await this.recordEvent({ ...event, outcome: 'failure', reason: 'INVALID_PASSWORD' }, context);
+        return new AuthenticationError('INVALID_PASSWORD');
+      }
+
+      if (!await this.checkSecondFactor(user, { code, recoveryCode })) {
+        await this.recordEvent({ ...event, outcome: 'failure', reason: 'INVALID_TWO_FACTOR_CODE' }, context);
+        return new AuthenticationError('INVALID_TWO_FACTOR_CODE');
+      }
+
+      await this.User.updateOne(
+        { _id: user._id },
+        { $set: { twoFactor: { enabled: false } } }
+      );
+
+      await this.Session.revokeOthers(user._id, __token.sid);
+
+      await this.recordEvent({ ...event, outcome: 'success' }, context);
+
+      return {
+        message: 'Two-factor authentication disabled'
+      };
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh pair
+   * Refresh tokens are single-use: replaying a used token revokes its whole family
+   * @param {Object} params
+   * @param {string} params.refreshToken
+   */
+  async refresh({ refreshToken }) {
+    try {
+      let decoded;
+      try {
+        decoded = this.cortex.verifyRefreshToken(refreshToken);
+      } catch (error) {
+        return new AuthenticationError('INVALID_TOKEN', {
+          message: 'Invalid or expired refresh token'
+        });
+      }
+
+      // Atomically mark the token as used so concurrent requests can't both rotate it
+      const stored = await this.RefreshToken.findOneAndUpdate(
+        { jti: decoded.jti, usedAt: null, revokedAt: null },
+        { usedAt: new Date() },
+        { new: true }
+      );
+
+      if (!stored) {
+        const previous = await this.RefreshToken.findOne({ jti: decoded.jti });
+
+        if (!previous) {
+          return new AuthenticationError('INVALID_TOKEN', {
+            message: 'Invalid or expired refresh token'
+          });
+        }
+
+        // Replay of a rotated token - assume it was stolen and end the session
+        await this.Session.revoke(previous.userId, [previous.family]);
+
+        return new AuthenticationError('TOKEN_REUSED');
+      }
+
+      const user = await this.User.findById(stored.userId);
+
+      // Deactivation, password or role changes bump tokenVersion
+      if (!user || !user.isActive || (decoded.ver || 0) !== (user.tokenVersion || 0)) {
+        return new AuthenticationError('INVALID_TOKEN', {
+          message: 'Invalid or expired refresh token'
+        });
+      }
+
+      // Keep the session alive for another refresh token lifetime
+      const session = isValidObjectId(stored.family) && await this.Session.findOneAndUpdate(
+        { _id: stored.family, revokedAt: null },
+        {
+          lastSeenAt: new Date(),
+          expiresAt: new Date(Date.now() + ms(this.cortex.config.jwt.refreshExpiresIn))
+        }
+      );
+
+      if (!session) {
+        return new AuthenticationError('INVALID_TOKEN', {
+          message: 'Invalid or expired refresh token'
+        });
+      }
+
+      const tokens = await this.issueTokens(user, stored.family);
+
+      return {
+        ...tokens,
+        message: 'Token refreshed successfully'
+      };
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Logout current session
+   * Revokes the session, the access token in use and, if given, the refresh token family
+   * @param {Object} params
+   * @param {Object} params.__token - Token metadata from cortex
+   * @param {string} params.refreshToken - Optional refresh token to revoke
+   */
+  async logout({ __token, refreshToken }) {
+    try {
+      if (!__token || !__token.userId) {
+        return new AuthenticationError('NO_AUTH');
+      }
+
+      await this.RevokedToken.updateOne(
+        { jti: __token.jti },
+        {
+          jti: __token.jti,
+          userId: __token.userId,
+          expiresAt: new Date(__token.exp * 1000)
+        },
+        { upsert: true }
+      );
+
+      if (__token.sid) {
+        await this.Session.revoke(__token.userId, [__token.sid]);
+      }
+
+      if (refreshToken) {
+        const decoded = this.cortex.decodeToken(refreshToken);
+
+        // Only revoke families owned by the caller
+        if (decoded && decoded.family && String(decoded.userId) === String(__token.userId)) {
+          await this.RefreshToken.updateMany(
+            { userId: __token.userId, family: decoded.family, revokedAt: null },
+            { revokedAt: new Date() }
+          );
+        }
+      }
+
+      return {
+        message: 'Logged out successfully'
+      };
+    } catch (error) {
+      console.error('Logout error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Logout from all devices
+   * Revokes every access and refresh token issued to the user so far
+   * @param {Object} params
+   * @param {Object} params.__token
+   */
+  async logoutAll({ __token }) {
+    try {
+      if (!__token || !__token.userId) {
+        return new AuthenticationError('NO_AUTH');
+      }
+
+      // Moving tokenVersion on ends every token the user holds, including
+      // pending, impersonation and refresh tokens, however recently issued
+      await this.User.updateOne({ _id: __token.userId }, { $inc: { tokenVersion: 1 } });
+
+      await this.Session.revoke(__token.userId);
+
+      return {
+        message: 'Logged out from all sessions'
+      };
+    } catch (error) {
+      console.error('Logout all error:', error);
+      throw error;
+    }
   }
 
   /**
-   * Register new user
-   * @param {Object} params - Unified params from cortex
+   * Confirm an email address with a verification token
+   * @param {Object} params
+   * @param {string} params.token - Token from the verification email
+   */
+  async verifyEmail({ token }) {
+    try {
+      const record = await this.UserToken.consume(token, 'email_verification');
+
+      const user = record && await this.User.findByIdAndUpdate(
+        record.userId,
+        { emailVerified: true, emailVerifiedAt: new Date() },
+        { new: true }
+      );
+
+      if (!user) {
+        return new InputError('INVALID_VERIFICATION_TOKEN');
+      }
+
+      return {
+        message: 'Email verified successfully'
+      };
+    } catch (error) {
+      console.error('Verify email error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a new verification link
+   * Responds identically whether or not the account exists
+   * @param {Object} params
    * @param {string} params.email
-   * @param {string} params.password
-   * @param {string} params.firstName
-   * @param {string} params.lastName
-   * @param {string} params.role - 'superadmin' or 'school_admin'
-   * @param {string} params.schoolId - Required if role is school_admin
-   * @param {Object} params.__token - Token metadata (optional for public route)
-   * @param {Object} params.__headers - HTTP headers
    */
-  async register({ email, password, firstName, lastName, role, schoolId, __token, __headers }) {
+  async resendVerification({ email }) {
     try {
-      // Check if user already exists
-      const existingUser = await this.User.findOne({ email });
-      if (existingUser) {
-        return {
-          error: 'User with this email already exists',
-          code: 'USER_EXISTS'
-        };
+      const user = await this.User.findOne({ email });
+
+      if (user && user.isActive && !user.emailVerified) {
+        await this.sendVerificationEmail(user);
       }
 
-      // Prepare user data
-      const userData = {
-        email,
-        password,
-        firstName,
-        lastName,
-        role
+      return {
+        message: 'If the account exists and is unverified, a verification link has been sent'
       };
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Request a password reset link
+   * Responds identically whether or not the account exists
+   * @param {Object} params
+   * @param {string} params.email
+   */
+  async forgotPassword({ email }) {
+    try {
+      const user = await this.User.findOne({ email });
 
-      // Add schoolId for school_admin
-      if (role === 'school_admin' && schoolId) {
-        userData.schoolId = schoolId;
+      if (user && user.isActive) {
+        const { appUrl, auth } = this.cortex.config;
+        const token = await this.UserToken.issue(user._id, 'password_reset', auth.passwordResetExpiresIn);
+
+        await this.mailer.send({
+          to: user.email,
+          subject: 'Reset your password',
+          text: [
+            `Hi ${user.firstName},`,
+            '',
+            'Use the link below to choose a new password:',
+            `${appUrl}/reset-password?token=${token}`,
+            '',
+            `The link expires in ${auth.passwordResetExpiresIn} and can only be used once.`,
+            'If you did not request a password reset, you can ignore this email.'
+          ].join('\n')
+        });
       }
 
-      // Create user
-      const user = await this.User.create(userData);
+      return {
+        message: 'If an account exists for this email, a reset link has been sent'
+      };
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      throw error;
+    }
+  }
 
-      // Generate tokens
-      const accessToken = this.cortex.generateToken({
-        userId: user._id,
-        email: user.email,
-        role: user.role,
-        schoolId: user.schoolId
-      });
+  /**
+   * Set a new password using a reset token
+   * @param {Object} params
+   * @param {string} params.token - Token from the reset email
+   * @param {string} params.newPassword
+   * @param {string} params.__device
+   * @param {string} params.__ip
+   */
+  async resetPassword({ token, newPassword, __device, __ip }) {
+    try {
+      const record = await this.UserToken.consume(token, 'password_reset');
+      const user = record && await this.User.findById(record.userId).select('+password +passwordHistory');
 
-      const refreshToken = this.cortex.generateRefreshToken({
-        userId: user._id,
-        email: user.email
-      });
+      if (!user || !user.isActive) {
+        return new InputError('INVALID_RESET_TOKEN');
+      }
+
+      const event = { userId: user._id, type: 'password_reset' };
+
+      if (await user.isPasswordReused(newPassword)) {
+        await this.recordEvent({ ...event, outcome: 'failure', reason: 'PASSWORD_REUSED' }, { __device, __ip });
+        return this.passwordReusedError();
+      }
+
+      // Saving bumps tokenVersion, which signs out every session
+      user.password = newPassword;
+      user.passwordResetRequired = false;
+      await user.save();
+
+      await this.Session.revoke(user._id);
+      await this.recordEvent({ ...event, outcome: 'success' }, { __device, __ip });
+
+      return {
+        message: 'Password has been reset successfully'
+      };
+    } catch (error) {
+      console.error('Reset password error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlock an account locked by failed logins
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.userId or params.id
+   */
+  async unlockAccount({ __token, userId, id }) {
+    try {
+      const user = await this.User.findByIdAndUpdate(
+        userId || id,
+        { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } },
+        { new: true }
+      );
+
+      if (!user) {
+        return new NotFoundError('USER_NOT_FOUND');
+      }
 
-      // Return success response
       return {
         user: user.toJSON(),
-        accessToken,
-        refreshToken,
-        message: 'User registered successfully'
+        message: 'Account unlocked successfully'
       };
     } catch (error) {
-      console.error('Register error:', error);
-      throw error; // Let cortex handle the error
+      console.error('Unlock account error:', error);
+      throw error;
     }
   }
 
   /**
-   * Login user
+   * Act as another user
+   * Issues a short-lived access token for the user that also names the
+   * caller (act claim). It can't be refreshed, and credential changes are
+   * refused while it is in use.
    * @param {Object} params
-   * @param {string} params.email
-   * @param {string} params.password
-   * @param {Object} params.__headers
-   * @param {string} params.__device
+   * @param {Object} params.__token
+   * @param {string} params.userId or params.id - User to impersonate
+   * @param {string} params.reason - e.g. support ticket reference
    * @param {string} params.__ip
    */
-  async login({ email, password, __headers, __device, __ip }) {
+  async impersonate({ __token, userId, id, reason, __ip }) {
     try {
-      // Find user with password field
-      const user = await this.User.findOne({ email }).select('+password');
-      
+      if (__token.actor) {
+        return new ForbiddenError('IMPERSONATION_FORBIDDEN');
+      }
+
+      const targetId = userId || id;
+      if (String(targetId) === String(__token.userId)) {
+        return new BusinessRuleError('INVALID_OPERATION', {
+          message: 'You cannot impersonate yourself'
+        });
+      }
+
+      const [actor, user] = await Promise.all([
+        this.User.findById(__token.userId),
+        this.User.findById(targetId)
+      ]);
+
       if (!user) {
-        return {
-          error: 'Invalid email or password',
-          code: 'INVALID_CREDENTIALS'
-        };
+        return new NotFoundError('USER_NOT_FOUND');
       }
 
-      // Check if account is active
-      if (!user.isActive) {
-        return {
-          error: 'Account has been deactivated',
-          code: 'ACCOUNT_INACTIVE'
-        };
+      // No stepping into accounts that could impersonate in turn
+      if (hasPermission(user.role, 'user:impersonate')) {
+        return new ForbiddenError('FORBIDDEN', { message: `A ${user.role} can't be impersonated` });
       }
 
-      // Verify password
-      const isPasswordValid = await user.comparePassword(password);
-      if (!isPasswordValid) {
-        return {
-          error: 'Invalid email or password',
-          code: 'INVALID_CREDENTIALS'
-        };
+      if (!user.isActive) {
+        return new BusinessRuleError('INVALID_OPERATION', {
+          message: 'Inactive users can\'t be impersonated'
+        });
       }
 
-      // Generate tokens
+      const expiresIn = this.cortex.config.auth.impersonationExpiresIn;
       const accessToken = this.cortex.generateToken({
         userId: user._id,
         email: user.email,
         role: user.role,
-        schoolId: user.schoolId
-      });
+        schoolId: user.schoolId,
+        memberships: user.schoolMemberships(),
+        classroomIds: user.classroomIds,
+        ver: user.tokenVersion,
+        act: {
+          userId: actor._id,
+          email: actor.email,
+          ver: actor.tokenVersion
+        }
+      }, { expiresIn });
 
-      const refreshToken = this.cortex.generateRefreshToken({
+      const { jti, exp } = this.cortex.decodeToken(accessToken);
+      await this.ImpersonationLog.create({
+        actorId: actor._id,
         userId: user._id,
-        email: user.email
+        action: 'start',
+        jti,
+        reason,
+        ip: __ip
       });
 
-      // Remove password from response
-      user.password = undefined;
-
       return {
         user: user.toJSON(),
         accessToken,
-        refreshToken,
-        message: 'Login successful'
+        expiresAt: new Date(exp * 1000),
+        message: `Impersonating ${user.email} until the token expires or you log out with it`
       };
     } catch (error) {
-      console.error('Login error:', error);
+      console.error('Impersonate error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Review impersonations, newest first
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.actorId - Filter by impersonating superadmin
+   * @param {string} params.userId - Filter by impersonated user
+   * @param {number} params.page - Page number
+   * @param {number} params.limit - Items per page
+   * @param {string} params.cursor - Continue after a previous page instead of page
+   */
+  async listImpersonations({ __token, actorId, userId, page, limit, cursor }) {
+    try {
+      const query = {};
+      if (actorId) query.actorId = actorId;
+      if (userId) query.userId = userId;
+
+      const { items, pagination } = await paginate(
+        this.ImpersonationLog.find(query)
+          .populate('actorId', 'email firstName lastName')
+          .populate('userId', 'email firstName lastName role'),
+        { page, limit, cursor }
+      );
+
+      return {
+        logs: items,
+        pagination
+      };
+    } catch (error) {
+      console.error('List impersonations error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find security events of a user, newest first
+   * format=csv returns every match (up to SECURITY_EVENT_EXPORT_LIMIT) as a download.
+   * Filters are validated by the callers' contract (securityEventsQuerySchema)
+   * @param {string} userId
+   * @param {Object} filters
+   * @param {string} filters.type - e.g. login, password_change
+   * @param {string} filters.outcome - success or failure
+   * @param {string} filters.from - Earliest date
+   * @param {string} filters.to - Latest date
+   * @param {string} filters.format - json (default) or csv
+   * @param {number} filters.page - Page number
+   * @param {number} filters.limit - Items per page
+   * @param {string} filters.cursor - Continue after a previous page instead of page
+   */
+  async findSecurityEvents(userId, { type, outcome, from, to, format, page, limit, cursor }) {
+    const query = { userId };
+    if (type) query.type = type;
+    if (outcome) query.outcome = outcome;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    if (format === 'csv') {
+      const events = await this.SecurityEvent.find(query)
+        .sort({ createdAt: -1 })
+        .limit(this.cortex.config.auth.securityEvents.exportLimit)
+        .lean();
+
+      return {
+        __download: {
+          filename: `security-events-${userId}.csv`,
+          contentType: 'text/csv; charset=utf-8',
+          content: toCsv(events, SECURITY_EVENT_COLUMNS)
+        }
+      };
+    }
+
+    const { items, pagination } = await paginate(
+      this.SecurityEvent.find(query),
+      { page, limit, cursor }
+    );
+
+    return {
+      events: items,
+      pagination
+    };
+  }
+
+  /**
+   * Review the caller's own sign-ins and account changes
+   * Accepts the filters of findSecurityEvents()
+   * @param {Object} params
+   * @param {Object} params.__token
+   */
+  async getMySecurityEvents({ __token, ...filters }) {
+    try {
+      if (!__token || !__token.userId) {
+        return new AuthenticationError('NO_AUTH');
+      }
+
+      return await this.findSecurityEvents(__token.userId, filters);
+    } catch (error) {
+      console.error('Get security events error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Review the security events of any user
+   * Accepts the filters of findSecurityEvents()
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.userId or params.id
+   */
+  async listUserSecurityEvents({ __token, userId, id, ...filters }) {
+    try {
+      const user = await this.User.findById(userId || id);
+
+      if (!user) {
+        return new NotFoundError('USER_NOT_FOUND');
+      }
+
+      return await this.findSecurityEvents(user._id, filters);
+    } catch (error) {
+      console.error('List security events error:', error);
       throw error;
     }
   }
 
   /**
    * Get current user profile
+   * `permissions` holds everything the user may do somewhere, like
+   * cortex.can(); `schoolPermissions` lists what applies in each school
    * @param {Object} params
    * @param {Object} params.__token - Token metadata from cortex
    */
   async getMe({ __token }) {
     try {
       if (!__token || !__token.userId) {
-        return {
-          error: 'Authentication required',
-          code: 'NO_AUTH'
-        };
+        return new AuthenticationError('NO_AUTH');
       }
 
       const user = await this.User.findById(__token.userId)
-        .populate('schoolId', 'name contactInfo');
+        .populate('schoolId', 'name contactInfo')
+        .populate('memberships.schoolId', 'name')
+        .populate('classroomIds', 'name grade section');
       
       if (!user) {
-        return {
-          error: 'User not found',
-          code: 'USER_NOT_FOUND'
-        };
+        return new NotFoundError('USER_NOT_FOUND');
       }
 
+      // School IDs are populated here
+      const schoolPermissions = user.schoolMemberships().map(({ schoolId, role }) => ({
+        schoolId: (schoolId && schoolId._id) || schoolId,
+        role,
+        permissions: permissionsFor(role)
+      }));
+
       return {
-        user: user.toJSON()
+        user: user.toJSON(),
+        permissions: [...new Set([
+          ...permissionsFor(user.role),
+          ...schoolPermissions.flatMap(school => school.permissions)
+        ])],
+        schoolPermissions,
+        ...(__token.actor && { impersonatedBy: __token.actor })
       };
     } catch (error) {
       console.error('Get me error:', error);
@@ -184,35 +1659,42 @@ class Auth {
 
   /**
    * Update current user profile
+   * Changed fields are recorded as a profile_update security event
    * @param {Object} params
    * @param {Object} params.__token
    * @param {string} params.firstName
    * @param {string} params.lastName
+   * @param {string} params.__device
+   * @param {string} params.__ip
    */
-  async updateProfile({ __token, firstName, lastName }) {
+  async updateProfile({ __token, firstName, lastName, __device, __ip }) {
     try {
       if (!__token || !__token.userId) {
-        return {
-          error: 'Authentication required',
-          code: 'NO_AUTH'
-        };
+        return new AuthenticationError('NO_AUTH');
       }
 
-      const updateData = {};
-      if (firstName) updateData.firstName = firstName;
-      if (lastName) updateData.lastName = lastName;
-
-      const user = await this.User.findByIdAndUpdate(
-        __token.userId,
-        updateData,
-        { new: true, runValidators: true }
-      ).populate('schoolId', 'name');
+      const user = await this.User.findById(__token.userId).populate('schoolId', 'name');
 
       if (!user) {
-        return {
-          error: 'User not found',
-          code: 'USER_NOT_FOUND'
-        };
+        return new NotFoundError('USER_NOT_FOUND');
+      }
+
+      const changes = {};
+      for (const [field, value] of Object.entries({ firstName, lastName })) {
+        if (value && value !== user[field]) {
+          changes[field] = { from: user[field], to: value };
+          user[field] = value;
+        }
+      }
+
+      if (Object.keys(changes).length) {
+        await user.save();
+        await this.recordEvent({
+          userId: user._id,
+          type: 'profile_update',
+          outcome: 'success',
+          details: { changes }
+        }, { __token, __device, __ip });
       }
 
       return {
@@ -225,45 +1707,122 @@ class Auth {
     }
   }
 
+  /**
+   * List the caller's active sessions, most recently used first
+   * @param {Object} params
+   * @param {Object} params.__token
+   */
+  async listSessions({ __token }) {
+    try {
+      const sessions = await this.Session.find({
+        userId: __token.userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastSeenAt: -1 });
+
+      return {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          expiresAt: session.expiresAt,
+          current: String(session._id) === String(__token.sid)
+        }))
+      };
+    } catch (error) {
+      console.error('List sessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of the caller's sessions (signs that device out)
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.id - Session ID
+   */
+  async revokeSession({ __token, id }) {
+    try {
+      const session = await this.Session.findOne({
+        _id: id,
+        userId: __token.userId,
+        revokedAt: null
+      });
+
+      if (!session) {
+        return new NotFoundError('SESSION_NOT_FOUND');
+      }
+
+      await this.Session.revoke(__token.userId, [session._id.toString()]);
+
+      return {
+        message: 'Session revoked successfully'
+      };
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Change password
    * @param {Object} params
    * @param {Object} params.__token
    * @param {string} params.currentPassword
    * @param {string} params.newPassword
+   * @param {string} params.__device
+   * @param {string} params.__ip
    */
-  async changePassword({ __token, currentPassword, newPassword }) {
+  async changePassword({ __token, currentPassword, newPassword, __device, __ip }) {
     try {
       if (!__token || !__token.userId) {
-        return {
-          error: 'Authentication required',
-          code: 'NO_AUTH'
-        };
+        return new AuthenticationError('NO_AUTH');
       }
 
-      const user = await this.User.findById(__token.userId).select('+password');
+      const user = await this.User.findById(__token.userId).select('+password +passwordHistory');
       
       if (!user) {
-        return {
-          error: 'User not found',
-          code: 'USER_NOT_FOUND'
-        };
+        return new NotFoundError('USER_NOT_FOUND');
       }
 
+      const event = { userId: user._id, type: 'password_change' };
+      const context = { __token, __device, __ip };
+
       // Verify current password
       const isCurrentPasswordValid = await user.comparePassword(currentPassword);
       if (!isCurrentPasswordValid) {
-        return {
-          error: 'Current password is incorrect',
-          code: 'INVALID_PASSWORD'
-        };
+        await this.recordEvent({ ...event, outcome: 'failure', reason: 'INVALID_PASSWORD' }, context);
+        return new AuthenticationError('INVALID_PASSWORD');
+      }
+
+      if (await user.isPasswordReused(newPassword)) {
+        await this.recordEvent({ ...event, outcome: 'failure', reason: 'PASSWORD_REUSED' }, context);
+        return this.passwordReusedError();
       }
 
-      // Update password
+      // Update password (bumps tokenVersion, signing out every other session)
       user.password = newPassword;
       await user.save();
 
+      await this.Session.revoke(user._id);
+      await this.recordEvent({ ...event, outcome: 'success' }, context);
+
+      // An expired password was changed with a restricted token: the rest
+      // of the login (e.g. 2FA enrollment) still has to happen
+      if (__token.pending === 'password_change') {
+        return {
+          message: 'Password changed successfully. Please log in again'
+        };
+      }
+
+      // Hand the caller a fresh session so they stay signed in
+      const { accessToken, refreshToken } = await this.startSession(user, { __device, __ip });
+
       return {
+        accessToken,
+        refreshToken,
         message: 'Password changed successfully'
       };
     } catch (error) {
@@ -7,27 +7,101 @@ const express = require('express');
 const router = express.Router();
 const cortex = require('../../libs/cortex');
 const AuthManager = require('./Auth.manager');
-const { authLimiter } = require('../../mws/rateLimiter');
+const { authLimiters } = require('../../mws/rateLimiter');
 const {
   registerSchema,
+  registerGuardianSchema,
+  bootstrapSchema,
+  createInvitationSchema,
+  impersonateSchema,
   loginSchema,
+  oidcCallbackSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  verifyTwoFactorSchema,
+  disableTwoFactorSchema,
   changePasswordSchema,
   updateProfileSchema
 } = require('./auth.validators');
 
-// Public routes (with auth rate limiting)
+// Public routes (each flow rate limited on its own)
+router.post('/bootstrap',
+  authLimiters.signup,
+  cortex.validate(bootstrapSchema),
+  cortex.executeManager(AuthManager, 'bootstrap')
+);
+
 router.post('/register',
-  authLimiter,
+  authLimiters.signup,
   cortex.validate(registerSchema),
   cortex.executeManager(AuthManager, 'register')
 );
 
+router.post('/register-guardian',
+  authLimiters.signup,
+  cortex.validate(registerGuardianSchema),
+  cortex.executeManager(AuthManager, 'registerGuardian')
+);
+
 router.post('/login',
-  authLimiter,
+  authLimiters.login,
   cortex.validate(loginSchema),
   cortex.executeManager(AuthManager, 'login')
 );
 
+// Single sign-on through the OpenID Connect identity provider.
+// Each authorize call stores a pending login (expired by a TTL index), so it's rate limited too
+router.get('/oidc/authorize',
+  authLimiters.sso,
+  cortex.executeManager(AuthManager, 'oidcAuthorize')
+);
+
+router.post('/oidc/callback',
+  authLimiters.sso,
+  cortex.validate(oidcCallbackSchema),
+  cortex.executeManager(AuthManager, 'oidcCallback')
+);
+
+router.post('/2fa/verify',
+  authLimiters.twoFactor,
+  cortex.validate(verifyTwoFactorSchema),
+  cortex.executeManager(AuthManager, 'verifyTwoFactor')
+);
+
+router.post('/verify-email',
+  authLimiters.emailVerification,
+  cortex.validate(verifyEmailSchema),
+  cortex.executeManager(AuthManager, 'verifyEmail')
+);
+
+router.post('/resend-verification',
+  authLimiters.emailVerification,
+  cortex.validate(resendVerificationSchema),
+  cortex.executeManager(AuthManager, 'resendVerification')
+);
+
+router.post('/forgot-password',
+  authLimiters.recovery,
+  cortex.validate(forgotPasswordSchema),
+  cortex.executeManager(AuthManager, 'forgotPassword')
+);
+
+router.post('/reset-password',
+  authLimiters.recovery,
+  cortex.validate(resetPasswordSchema),
+  cortex.executeManager(AuthManager, 'resetPassword')
+);
+
+router.post('/refresh',
+  cortex.validate(refreshTokenSchema),
+  cortex.executeManager(AuthManager, 'refresh')
+);
+
 // Protected routes (require authentication)
 router.get('/me',
   cortex.authenticate(),
@@ -40,8 +114,89 @@ router.put('/me',
   cortex.executeManager(AuthManager, 'updateProfile')
 );
 
-router.put('/change-password',
+router.get('/me/security-events',
+  cortex.authenticate(),
+  cortex.executeManager(AuthManager, 'getMySecurityEvents')
+);
+
+router.post('/logout',
+  cortex.authenticate(),
+  cortex.validate(logoutSchema),
+  cortex.executeManager(AuthManager, 'logout')
+);
+
+// Credential and session changes need the user's own login, not an impersonation
+router.post('/logout-all',
+  cortex.authenticate(),
+  cortex.requireDirectLogin(),
+  cortex.executeManager(AuthManager, 'logoutAll')
+);
+
+router.get('/sessions',
+  cortex.authenticate(),
+  cortex.executeManager(AuthManager, 'listSessions')
+);
+
+router.delete('/sessions/:id',
   cortex.authenticate(),
+  cortex.requireDirectLogin(),
+  cortex.executeManager(AuthManager, 'revokeSession')
+);
+
+// Enrollment also accepts the restricted token issued when a role requires 2FA
+router.post('/2fa/setup',
+  cortex.authenticate({ allowPending: ['mfa_enroll'] }),
+  cortex.requireDirectLogin(),
+  cortex.executeManager(AuthManager, 'setupTwoFactor')
+);
+
+router.post('/2fa/enable',
+  cortex.authenticate({ allowPending: ['mfa_enroll'] }),
+  cortex.requireDirectLogin(),
+  cortex.validate(twoFactorCodeSchema),
+  cortex.executeManager(AuthManager, 'enableTwoFactor')
+);
+
+router.post('/2fa/disable',
+  cortex.authenticate(),
+  cortex.requireDirectLogin(),
+  cortex.validate(disableTwoFactorSchema),
+  cortex.executeManager(AuthManager, 'disableTwoFactor')
+);
+
+router.post('/invitations',
+  cortex.authenticate(),
+  cortex.requireDirectLogin(),
+  cortex.validate(createInvitationSchema),
+  cortex.executeManager(AuthManager, 'createInvitation')
+);
+
+router.post('/users/:id/unlock',
+  cortex.authenticate(),
+  cortex.executeManager(AuthManager, 'unlockAccount')
+);
+
+router.get('/users/:id/security-events',
+  cortex.authenticate(),
+  cortex.executeManager(AuthManager, 'listUserSecurityEvents')
+);
+
+router.post('/impersonate/:userId',
+  cortex.authenticate(),
+  cortex.requireDirectLogin(),
+  cortex.validate(impersonateSchema),
+  cortex.executeManager(AuthManager, 'impersonate')
+);
+
+router.get('/impersonations',
+  cortex.authenticate(),
+  cortex.executeManager(AuthManager, 'listImpersonations')
+);
+
+// Also accepts the restricted token issued when the password has expired
+router.put('/change-password',
+  cortex.authenticate({ allowPending: ['password_change'] }),
+  cortex.requireDirectLogin(),
   cortex.validate(changePasswordSchema),
   cortex.executeManager(AuthManager, 'changePassword')
 );
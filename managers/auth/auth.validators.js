@@ -1,26 +1,128 @@
 const Joi = require('joi');
+const { ROLE_NAMES, SCHOOL_SCOPED_ROLES } = require('../../libs/permissions');
+const { passwordSchema } = require('../../libs/passwordPolicy');
+const { paginationQuery } = require('../../libs/pagination');
+const { SECURITY_EVENT_TYPES } = require('../../loaders');
 
 const registerSchema = Joi.object({
+  invitationToken: Joi.string().required(),
+  email: Joi.string().email(),
+  password: passwordSchema().required(),
+  firstName: Joi.string().trim().min(2).max(50).required(),
+  lastName: Joi.string().trim().min(2).max(50).required()
+});
+
+const registerGuardianSchema = Joi.object({
+  claimCode: Joi.string().trim().max(20).required(),
+  email: Joi.string().email().lowercase().required(),
+  password: passwordSchema().required(),
+  firstName: Joi.string().trim().min(2).max(50).required(),
+  lastName: Joi.string().trim().min(2).max(50).required()
+});
+
+const bootstrapSchema = Joi.object({
   email: Joi.string().email().required(),
-  password: Joi.string().min(8).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).required(),
+  password: passwordSchema().required(),
   firstName: Joi.string().trim().min(2).max(50).required(),
   lastName: Joi.string().trim().min(2).max(50).required(),
-  role: Joi.string().valid('superadmin', 'school_admin').required(),
+  bootstrapSecret: Joi.string()
+});
+
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().lowercase().required(),
+  role: Joi.string().valid(...ROLE_NAMES).required(),
   schoolId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).when('role', {
-    is: 'school_admin',
+    is: Joi.valid(...SCHOOL_SCOPED_ROLES),
     then: Joi.required(),
-    otherwise: Joi.optional()
+    otherwise: Joi.forbidden()
+  })
+});
+
+const impersonateSchema = Joi.object({
+  reason: Joi.string().trim().max(500)
+});
+
+const listImpersonationsQuerySchema = Joi.object({
+  ...paginationQuery,
+  actorId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': 'Invalid actor ID format'
+  }),
+  userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': 'Invalid user ID format'
   })
 });
 
+// Path params of /users/:id routes
+const userIdParamsSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid user ID format'
+  })
+});
+
+// format=csv downloads every match instead of a page
+const securityEventsQuerySchema = Joi.object({
+  ...paginationQuery,
+  type: Joi.string().valid(...SECURITY_EVENT_TYPES),
+  outcome: Joi.string().valid('success', 'failure'),
+  from: Joi.date(),
+  to: Joi.date(),
+  format: Joi.string().valid('json', 'csv')
+});
+
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().required()
 });
 
+const oidcCallbackSchema = Joi.object({
+  code: Joi.string().max(2048).required(),
+  state: Joi.string().max(256).required()
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const logoutSchema = Joi.object({
+  refreshToken: Joi.string()
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const resendVerificationSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  newPassword: passwordSchema().required()
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+const verifyTwoFactorSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().trim().max(20)
+}).xor('code', 'recoveryCode');
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().trim().max(20)
+}).xor('code', 'recoveryCode');
+
 const changePasswordSchema = Joi.object({
   currentPassword: Joi.string().required(),
-  newPassword: Joi.string().min(8).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).required()
+  newPassword: passwordSchema().required()
     .invalid(Joi.ref('currentPassword'))
 });
 
@@ -31,7 +133,24 @@ const updateProfileSchema = Joi.object({
 
 module.exports = {
   registerSchema,
+  registerGuardianSchema,
+  bootstrapSchema,
+  createInvitationSchema,
+  impersonateSchema,
+  listImpersonationsQuerySchema,
+  userIdParamsSchema,
+  securityEventsQuerySchema,
   loginSchema,
+  oidcCallbackSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  verifyTwoFactorSchema,
+  disableTwoFactorSchema,
   changePasswordSchema,
   updateProfileSchema
 };
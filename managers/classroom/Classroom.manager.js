@@ -5,8 +5,44 @@
 
 const { Classroom, School, Student } = require('../../loaders');
 const cortex = require('../../libs/cortex');
+const { ForbiddenError, NotFoundError, BusinessRuleError } = require('../../libs/errors');
+const { paginate } = require('../../libs/pagination');
+const { buildListQuery } = require('../../libs/queryBuilder');
+const {
+  createClassroomSchema,
+  updateClassroomSchema,
+  classroomIdParamsSchema,
+  classroomListQuery,
+  listClassroomsQuerySchema
+} = require('./classroom.validators');
 
 class ClassroomManager {
+  // Permission each method requires, enforced by cortex.executeManager()
+  static permissions = {
+    getAll: 'classroom:list',
+    getById: 'classroom:read',
+    create: 'classroom:create',
+    update: 'classroom:update',
+    delete: 'classroom:delete',
+    getStudents: 'classroom:roster'
+  };
+
+  // Changes recorded in the audit log by cortex.executeManager()
+  static audit = {
+    entity: 'Classroom',
+    actions: { create: 'create', update: 'update', delete: 'delete' }
+  };
+
+  // Input each method accepts, validated by cortex.executeManager()
+  static contracts = {
+    getAll: { query: listClassroomsQuerySchema },
+    getById: { params: classroomIdParamsSchema },
+    create: { body: createClassroomSchema },
+    update: { params: classroomIdParamsSchema, body: updateClassroomSchema },
+    delete: { params: classroomIdParamsSchema },
+    getStudents: { params: classroomIdParamsSchema }
+  };
+
   constructor() {
     this.Classroom = Classroom;
     this.School = School;
@@ -16,44 +52,40 @@ class ClassroomManager {
 
   /**
    * Get all classrooms
-   * School admins see only their school's classrooms
+   * Users without school:access_all see only their schools' classrooms
    * @param {Object} params
    * @param {Object} params.__token
    * @param {number} params.page
    * @param {number} params.limit
+   * @param {string} params.cursor - Continue after a previous page instead of page
    * @param {string} params.schoolId - Optional filter
+   * @param {...Object} listParams - Filters, sort and fields allowed by classroomListQuery,
+   *   e.g. grade[gte]=9
    */
-  async getAll({ __token, page = 1, limit = 20, schoolId }) {
-    const query = { isActive: true };
+  async getAll({ __token, page, limit, cursor, schoolId, ...listParams }) {
+    const { filter, sort, select } = buildListQuery(classroomListQuery, listParams);
+    const query = { ...filter, isActive: true };
     
-    // School admins can only see their school's classrooms
-    if (this.cortex.isSchoolAdmin(__token)) {
-      query.schoolId = __token.schoolId;
-    } else if (schoolId) {
-      // Superadmin can filter by schoolId
-      query.schoolId = schoolId;
+    // Users tied to schools can only see those schools' classrooms
+    const schoolFilter = this.cortex.schoolFilter(__token, schoolId);
+    if (schoolFilter === null) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
+    }
+    if (schoolFilter !== undefined) {
+      query.schoolId = schoolFilter;
     }
 
-    const skip = (page - 1) * limit;
-
-    const [classrooms, total] = await Promise.all([
+    const { items, pagination } = await paginate(
       this.Classroom.find(query)
+        .select(select)
         .populate('schoolId', 'name')
-        .populate('createdBy', 'firstName lastName')
-        .limit(parseInt(limit))
-        .skip(skip)
-        .sort({ createdAt: -1 }),
-      this.Classroom.countDocuments(query)
-    ]);
+        .populate('createdBy', 'firstName lastName'),
+      { page, limit, cursor, sort }
+    );
 
     return {
-      classrooms,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      classrooms: items,
+      pagination
     };
   }
 
@@ -71,18 +103,12 @@ class ClassroomManager {
       .populate('createdBy', 'firstName lastName');
     
     if (!classroom) {
-      return {
-        error: 'Classroom not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'Classroom not found' });
     }
     
     // Check access permissions
     if (!this.cortex.canAccessSchool(__token, classroom.schoolId._id)) {
-      return {
-        error: 'Access denied to this classroom',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this classroom' });
     }
 
     // Get current students count
@@ -112,19 +138,13 @@ class ClassroomManager {
   async create({ __token, schoolId, name, grade, section, capacity, roomNumber, teacher, subjects }) {
     // Check if school admin can create in this school
     if (!this.cortex.canAccessSchool(__token, schoolId)) {
-      return {
-        error: 'Access denied to this school',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
     }
 
     // Verify school exists
     const school = await this.School.findById(schoolId);
     if (!school) {
-      return {
-        error: 'School not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'School not found' });
     }
 
     // Create classroom
@@ -154,34 +174,28 @@ class ClassroomManager {
    * @param {Object} params
    * @param {Object} params.__token
    * @param {string} params.classroomId or params.id
-   * @param {...Object} updateData
+   * @param {...Object} fields - Fields to update
    */
-  async update({ __token, classroomId, id, ...updateData }) {
+  async update({ __token, classroomId, id, ...fields }) {
     const targetId = classroomId || id;
+    const updateData = this.cortex.withoutMetadata(fields);
 
     const classroom = await this.Classroom.findById(targetId);
     
     if (!classroom) {
-      return {
-        error: 'Classroom not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'Classroom not found' });
     }
     
     // Check access permissions
     if (!this.cortex.canAccessSchool(__token, classroom.schoolId)) {
-      return {
-        error: 'Access denied to this classroom',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this classroom' });
     }
 
     // If reducing capacity, check if it's below current enrollment
     if (updateData.capacity && updateData.capacity < classroom.currentEnrollment) {
-      return {
-        error: `Cannot reduce capacity below current enrollment (${classroom.currentEnrollment} students)`,
-        code: 'BUSINESS_ERROR'
-      };
+      return new BusinessRuleError('BUSINESS_ERROR', {
+        message: `Cannot reduce capacity below current enrollment (${classroom.currentEnrollment} students)`
+      });
     }
 
     // Update classroom
@@ -209,18 +223,12 @@ class ClassroomManager {
     const classroom = await this.Classroom.findById(targetId);
     
     if (!classroom) {
-      return {
-        error: 'Classroom not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'Classroom not found' });
     }
     
     // Check access permissions
     if (!this.cortex.canAccessSchool(__token, classroom.schoolId)) {
-      return {
-        error: 'Access denied to this classroom',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this classroom' });
     }
 
     // Check if classroom has active students
@@ -230,10 +238,9 @@ class ClassroomManager {
     });
 
     if (activeStudents > 0) {
-      return {
-        error: `Cannot delete classroom with ${activeStudents} active students. Please transfer students first.`,
-        code: 'BUSINESS_ERROR'
-      };
+      return new BusinessRuleError('BUSINESS_ERROR', {
+        message: `Cannot delete classroom with ${activeStudents} active students. Please transfer students first.`
+      });
     }
 
     // Soft delete
@@ -257,18 +264,12 @@ class ClassroomManager {
     const classroom = await this.Classroom.findById(targetId);
     
     if (!classroom) {
-      return {
-        error: 'Classroom not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'Classroom not found' });
     }
     
-    // Check access permissions
-    if (!this.cortex.canAccessSchool(__token, classroom.schoolId)) {
-      return {
-        error: 'Access denied to this classroom',
-        code: 'FORBIDDEN'
-      };
+    // Check access permissions (teachers: own classrooms only)
+    if (!this.cortex.canAccessClassroom(__token, classroom)) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this classroom' });
     }
 
     const students = await this.Student.find({
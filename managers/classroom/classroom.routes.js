@@ -7,7 +7,6 @@ const express = require('express');
 const router = express.Router();
 const cortex = require('../../libs/cortex');
 const ClassroomManager = require('./Classroom.manager');
-const { createClassroomSchema, updateClassroomSchema } = require('./classroom.validators');
 
 // All routes require authentication
 router.use(cortex.authenticate());
@@ -24,13 +23,11 @@ router.get('/:id',
 
 // POST /api/v1/classrooms - Create new classroom
 router.post('/',
-  cortex.validate(createClassroomSchema),
   cortex.executeManager(ClassroomManager, 'create')
 );
 
 // PUT /api/v1/classrooms/:id - Update classroom
 router.put('/:id',
-  cortex.validate(updateClassroomSchema),
   cortex.executeManager(ClassroomManager, 'update')
 );
 
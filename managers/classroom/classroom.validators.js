@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { paginationQuery } = require('../../libs/pagination');
+const { listQueryFields } = require('../../libs/queryBuilder');
 
 const createClassroomSchema = Joi.object({
   schoolId: Joi.string()
@@ -76,7 +78,46 @@ const updateClassroomSchema = Joi.object({
   'object.min': 'At least one field must be provided for update'
 });
 
+// Path params of /classrooms/:id routes
+const classroomIdParamsSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid classroom ID format'
+    })
+});
+
+// Filters, sort orders and fields of GET /classrooms (libs/queryBuilder.js)
+const classroomListQuery = {
+  filters: {
+    grade: { type: 'number' },
+    section: { type: 'string' },
+    capacity: { type: 'number' },
+    currentEnrollment: { type: 'number' },
+    roomNumber: { type: 'string' }
+  },
+  sort: ['createdAt', 'name', 'grade', 'section', 'capacity', 'currentEnrollment'],
+  fields: [
+    'schoolId', 'name', 'grade', 'section', 'capacity', 'currentEnrollment',
+    'roomNumber', 'teacher', 'subjects', 'isActive', 'createdBy'
+  ]
+};
+
+const listClassroomsQuerySchema = Joi.object({
+  ...paginationQuery,
+  ...listQueryFields(classroomListQuery),
+  schoolId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid school ID format'
+    })
+});
+
 module.exports = {
   createClassroomSchema,
-  updateClassroomSchema
+  updateClassroomSchema,
+  classroomIdParamsSchema,
+  classroomListQuery,
+  listClassroomsQuerySchema
 };
@@ -0,0 +1,202 @@
+/**
+ * Guardian Manager
+ * Pure business logic class for the guardian portal
+ * Claim codes link guardian accounts to students; guardians get
+ * read-only access to their linked children
+ */
+
+const ms = require('ms');
+const { User, Student, GuardianClaim } = require('../../loaders');
+const cortex = require('../../libs/cortex');
+const {
+  InputError,
+  ForbiddenError,
+  NotFoundError,
+  BusinessRuleError
+} = require('../../libs/errors');
+const mailer = require('../../libs/mailer');
+const { generateCode, normalizeCode, hashToken } = require('../../libs/tokens');
+
+// Student fields a guardian may see
+const CHILD_FIELDS = 'studentId firstName lastName dateOfBirth gender status enrollmentDate academicInfo.gradeLevel schoolId classroomId';
+
+class GuardianManager {
+  // Permission each method requires, enforced by cortex.executeManager()
+  static permissions = {
+    issueClaim: 'guardian:issue_claim',
+    linkChild: 'guardian:link',
+    getChildren: 'guardian:children',
+    getChild: 'guardian:children'
+  };
+
+  // Changes recorded in the audit log by cortex.executeManager();
+  // linking changes the calling guardian's own account
+  static audit = {
+    entity: 'User',
+    actions: { linkChild: 'update' },
+    target: ({ __token }) => __token && __token.userId
+  };
+
+  constructor() {
+    this.User = User;
+    this.Student = Student;
+    this.GuardianClaim = GuardianClaim;
+    this.mailer = mailer;
+    this.cortex = cortex;
+  }
+
+  /**
+   * Issue a claim code for a student's guardian
+   * Email codes are mailed to the guardian email on file. Phone codes are
+   * returned so the school can read them to the guardian phone on file.
+   * Replaces any outstanding code for the student.
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.studentId
+   * @param {string} params.channel - 'email' or 'phone'
+   */
+  async issueClaim({ __token, studentId, channel = 'email' }) {
+    const student = await this.Student.findById(studentId);
+
+    if (!student) {
+      return new NotFoundError('NOT_FOUND', { message: 'Student not found' });
+    }
+
+    if (!this.cortex.canAccessSchool(__token, student.schoolId)) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this student' });
+    }
+
+    const contact = student.guardian && student.guardian[channel];
+    if (!contact) {
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: `Student has no guardian ${channel} on file`
+      });
+    }
+
+    const { appUrl, auth } = this.cortex.config;
+    const claimCode = generateCode();
+
+    await this.GuardianClaim.deleteMany({ studentId: student._id, usedAt: null });
+    const claim = await this.GuardianClaim.create({
+      codeHash: hashToken(normalizeCode(claimCode)),
+      studentId: student._id,
+      schoolId: student.schoolId,
+      channel,
+      contact,
+      issuedBy: __token.userId,
+      expiresAt: new Date(Date.now() + ms(auth.guardianClaimExpiresIn))
+    });
+
+    if (channel === 'email') {
+      await this.mailer.send({
+        to: contact,
+        subject: `Your guardian access code for ${student.firstName}`,
+        text: [
+          `Hi ${student.guardian.name},`,
+          '',
+          `Use this code to follow ${student.firstName} ${student.lastName} in the guardian portal:`,
+          claimCode,
+          '',
+          `New guardians can create an account at ${appUrl}/guardian/register.`,
+          'If you already have one, add the code under "My children".',
+          '',
+          `The code expires in ${auth.guardianClaimExpiresIn} and can only be used once.`
+        ].join('\n')
+      });
+    }
+
+    return {
+      claim: {
+        id: claim._id,
+        studentId: claim.studentId,
+        channel: claim.channel,
+        contact: claim.contact,
+        expiresAt: claim.expiresAt
+      },
+      // Only phone codes are handed to the school; email codes go straight to the guardian
+      ...(channel === 'phone' && { claimCode }),
+      message: channel === 'email'
+        ? 'Claim code sent to the guardian email on file'
+        : 'Claim code issued. Give it to the guardian using the phone number on file'
+    };
+  }
+
+  /**
+   * Link another child to the calling guardian
+   * Email codes only work for the guardian account with that address,
+   * as in Auth.registerGuardian()
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.claimCode
+   */
+  async linkChild({ __token, claimCode }) {
+    const guardian = await this.User.findById(__token.userId).select('email');
+    const claim = await this.GuardianClaim.consume(claimCode);
+
+    if (!claim || !guardian || !claim.isFor(guardian.email)) {
+      if (claim) await claim.release();
+      return new InputError('INVALID_CLAIM');
+    }
+
+    await this.User.updateOne(
+      { _id: __token.userId },
+      { $addToSet: { studentIds: claim.studentId } }
+    );
+
+    claim.usedBy = __token.userId;
+    await claim.save();
+
+    return this.getChild({ __token, id: claim.studentId });
+  }
+
+  /**
+   * List the calling guardian's children
+   * @param {Object} params
+   * @param {Object} params.__token
+   */
+  async getChildren({ __token }) {
+    const guardian = await this.User.findById(__token.userId).select('studentIds');
+    const studentIds = guardian ? guardian.studentIds : [];
+
+    const children = await this.childQuery({ _id: { $in: studentIds } })
+      .sort({ lastName: 1, firstName: 1 });
+
+    return { children };
+  }
+
+  /**
+   * Get one of the calling guardian's children
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.studentId or params.id
+   */
+  async getChild({ __token, studentId, id }) {
+    const targetId = String(studentId || id);
+    const guardian = await this.User.findById(__token.userId).select('studentIds');
+
+    if (!guardian || !guardian.studentIds.some(linked => linked.toString() === targetId)) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this student' });
+    }
+
+    const [child] = await this.childQuery({ _id: targetId });
+
+    if (!child) {
+      return new NotFoundError('NOT_FOUND', { message: 'Student not found' });
+    }
+
+    return { child };
+  }
+
+  /**
+   * Students as guardians see them: profile, classroom and status only
+   */
+  childQuery(filter) {
+    return this.Student.find(filter)
+      .select(CHILD_FIELDS)
+      .populate('schoolId', 'name contactInfo')
+      .populate('classroomId', 'name grade section roomNumber teacher.name');
+  }
+}
+
+// Export class, NOT instance
+module.exports = GuardianManager;
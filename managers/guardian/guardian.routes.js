@@ -0,0 +1,39 @@
+/**
+ * Guardian Routes
+ * Uses cortex.executeManager() to execute GuardianManager methods
+ */
+
+const express = require('express');
+const router = express.Router();
+const cortex = require('../../libs/cortex');
+const GuardianManager = require('./Guardian.manager');
+const { authLimiters } = require('../../mws/rateLimiter');
+const { issueClaimSchema, linkChildSchema } = require('./guardian.validators');
+
+// All routes require authentication
+router.use(cortex.authenticate());
+
+// POST /api/v1/guardians/claims - Issue a claim code for a student's guardian (School Admin)
+router.post('/claims',
+  cortex.validate(issueClaimSchema),
+  cortex.executeManager(GuardianManager, 'issueClaim')
+);
+
+// GET /api/v1/guardians/me/children - List linked children (Guardian)
+router.get('/me/children',
+  cortex.executeManager(GuardianManager, 'getChildren')
+);
+
+// POST /api/v1/guardians/me/children - Link another child with a claim code (Guardian)
+router.post('/me/children',
+  authLimiters.guardianClaim,
+  cortex.validate(linkChildSchema),
+  cortex.executeManager(GuardianManager, 'linkChild')
+);
+
+// GET /api/v1/guardians/me/children/:id - Get a linked child (Guardian)
+router.get('/me/children/:id',
+  cortex.executeManager(GuardianManager, 'getChild')
+);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const Joi = require('joi');
+
+const issueClaimSchema = Joi.object({
+  studentId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid student ID format',
+    'any.required': 'Student ID is required'
+  }),
+  channel: Joi.string().valid('email', 'phone').default('email')
+});
+
+const linkChildSchema = Joi.object({
+  claimCode: Joi.string().trim().max(20).required().messages({
+    'any.required': 'Claim code is required'
+  })
+});
+
+module.exports = {
+  issueClaimSchema,
+  linkChildSchema
+};
@@ -7,8 +7,44 @@
 
 const { School, Classroom, Student } = require('../../loaders');
 const cortex = require('../../libs/cortex');
+const { ForbiddenError, NotFoundError } = require('../../libs/errors');
+const { paginate } = require('../../libs/pagination');
+const { buildListQuery } = require('../../libs/queryBuilder');
+const {
+  createSchoolSchema,
+  updateSchoolSchema,
+  schoolIdParamsSchema,
+  schoolListQuery,
+  listSchoolsQuerySchema
+} = require('./school.validators');
 
 class SchoolManager {
+  // Permission each method requires, enforced by cortex.executeManager()
+  static permissions = {
+    getAll: 'school:list',
+    getById: 'school:read',
+    create: 'school:create',
+    update: 'school:update',
+    delete: 'school:delete',
+    getStats: 'school:stats'
+  };
+
+  // Changes recorded in the audit log by cortex.executeManager()
+  static audit = {
+    entity: 'School',
+    actions: { create: 'create', update: 'update', delete: 'delete' }
+  };
+
+  // Input each method accepts, validated by cortex.executeManager()
+  static contracts = {
+    getAll: { query: listSchoolsQuerySchema },
+    getById: { params: schoolIdParamsSchema },
+    create: { body: createSchoolSchema },
+    update: { params: schoolIdParamsSchema, body: updateSchoolSchema },
+    delete: { params: schoolIdParamsSchema },
+    getStats: { params: schoolIdParamsSchema }
+  };
+
   constructor() {
     this.School = School;
     this.Classroom = Classroom;
@@ -17,49 +53,35 @@ class SchoolManager {
   }
 
   /**
-   * Get all schools (Superadmin only)
+   * Get all schools (school:list)
    * @param {Object} params
    * @param {Object} params.__token - Token metadata from cortex
    * @param {number} params.page - Page number
    * @param {number} params.limit - Items per page
+   * @param {string} params.cursor - Continue after a previous page instead of page
    * @param {string} params.search - Search query
+   * @param {...Object} listParams - Filters, sort and fields allowed by schoolListQuery,
+   *   e.g. establishedYear[lt]=1950
    */
-  async getAll({ __token, page = 1, limit = 20, search }) {
-    // Check superadmin permission
-    if (!this.cortex.isSuperadmin(__token)) {
-      return {
-        error: 'Only superadmins can list all schools',
-        code: 'FORBIDDEN'
-      };
-    }
-
-    const query = { isActive: true };
+  async getAll({ __token, page, limit, cursor, search, ...listParams }) {
+    const { filter, sort, select } = buildListQuery(schoolListQuery, listParams);
+    const query = { ...filter, isActive: true };
     
     // Add search filter
     if (search) {
       query.name = { $regex: search, $options: 'i' };
     }
 
-    const skip = (page - 1) * limit;
-
-    // Execute queries in parallel
-    const [schools, total] = await Promise.all([
+    const { items, pagination } = await paginate(
       this.School.find(query)
-        .populate('createdBy', 'firstName lastName email')
-        .limit(parseInt(limit))
-        .skip(skip)
-        .sort({ createdAt: -1 }),
-      this.School.countDocuments(query)
-    ]);
+        .select(select)
+        .populate('createdBy', 'firstName lastName email'),
+      { page, limit, cursor, sort }
+    );
 
     return {
-      schools,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      schools: items,
+      pagination
     };
   }
 
@@ -74,27 +96,21 @@ class SchoolManager {
 
     // Check access permissions
     if (!this.cortex.canAccessSchool(__token, targetId)) {
-      return {
-        error: 'Access denied to this school',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
     }
 
     const school = await this.School.findById(targetId)
       .populate('createdBy', 'firstName lastName email');
 
     if (!school) {
-      return {
-        error: 'School not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'School not found' });
     }
 
     return { school };
   }
 
   /**
-   * Create new school (Superadmin only)
+   * Create new school (school:create)
    * @param {Object} params
    * @param {Object} params.__token
    * @param {string} params.name
@@ -102,14 +118,6 @@ class SchoolManager {
    * @param {Object} params.address
    */
   async create({ __token, name, contactInfo, address, establishedYear, principalName, totalCapacity }) {
-    // Check superadmin permission
-    if (!this.cortex.isSuperadmin(__token)) {
-      return {
-        error: 'Only superadmins can create schools',
-        code: 'FORBIDDEN'
-      };
-    }
-
     const school = await this.School.create({
       name,
       contactInfo,
@@ -129,22 +137,15 @@ class SchoolManager {
   }
 
   /**
-   * Update school (Superadmin only)
+   * Update school (school:update)
    * @param {Object} params
    * @param {Object} params.__token
    * @param {string} params.schoolId or params.id
-   * @param {...Object} updateData - Fields to update
+   * @param {...Object} fields - Fields to update
    */
-  async update({ __token, schoolId, id, ...updateData }) {
-    // Check superadmin permission
-    if (!this.cortex.isSuperadmin(__token)) {
-      return {
-        error: 'Only superadmins can update schools',
-        code: 'FORBIDDEN'
-      };
-    }
-
+  async update({ __token, schoolId, id, ...fields }) {
     const targetId = schoolId || id;
+    const updateData = this.cortex.withoutMetadata(fields);
 
     const school = await this.School.findByIdAndUpdate(
       targetId,
@@ -153,10 +154,7 @@ class SchoolManager {
     ).populate('createdBy', 'firstName lastName email');
 
     if (!school) {
-      return {
-        error: 'School not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'School not found' });
     }
 
     return {
@@ -166,20 +164,12 @@ class SchoolManager {
   }
 
   /**
-   * Delete school - soft delete (Superadmin only)
+   * Delete school - soft delete (school:delete)
    * @param {Object} params
    * @param {Object} params.__token
    * @param {string} params.schoolId or params.id
    */
   async delete({ __token, schoolId, id }) {
-    // Check superadmin permission
-    if (!this.cortex.isSuperadmin(__token)) {
-      return {
-        error: 'Only superadmins can delete schools',
-        code: 'FORBIDDEN'
-      };
-    }
-
     const targetId = schoolId || id;
 
     const school = await this.School.findByIdAndUpdate(
@@ -189,10 +179,7 @@ class SchoolManager {
     );
 
     if (!school) {
-      return {
-        error: 'School not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'School not found' });
     }
 
     return {
@@ -211,19 +198,13 @@ class SchoolManager {
 
     // Check access permissions
     if (!this.cortex.canAccessSchool(__token, targetId)) {
-      return {
-        error: 'Access denied to this school',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
     }
 
     const school = await this.School.findById(targetId);
 
     if (!school) {
-      return {
-        error: 'School not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'School not found' });
     }
 
     // Get statistics in parallel
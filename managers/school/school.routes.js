@@ -7,7 +7,6 @@ const express = require('express');
 const router = express.Router();
 const cortex = require('../../libs/cortex');
 const SchoolManager = require('./School.manager');
-const { createSchoolSchema, updateSchoolSchema } = require('./school.validators');
 
 // All routes require authentication
 router.use(cortex.authenticate());
@@ -24,13 +23,11 @@ router.get('/:id',
 
 // POST /api/v1/schools - Create new school (Superadmin only)
 router.post('/',
-  cortex.validate(createSchoolSchema),
   cortex.executeManager(SchoolManager, 'create')
 );
 
 // PUT /api/v1/schools/:id - Update school (Superadmin only)
 router.put('/:id',
-  cortex.validate(updateSchoolSchema),
   cortex.executeManager(SchoolManager, 'update')
 );
 
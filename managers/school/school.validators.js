@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { paginationQuery } = require('../../libs/pagination');
+const { listQueryFields } = require('../../libs/queryBuilder');
 
 const createSchoolSchema = Joi.object({
   name: Joi.string()
@@ -68,7 +70,39 @@ const updateSchoolSchema = Joi.object({
   'object.min': 'At least one field must be provided for update'
 });
 
+// Path params of /schools/:id routes
+const schoolIdParamsSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid school ID format'
+    })
+});
+
+// Filters, sort orders and fields of GET /schools (libs/queryBuilder.js)
+const schoolListQuery = {
+  filters: {
+    establishedYear: { type: 'number' },
+    totalCapacity: { type: 'number' },
+    city: { type: 'string', path: 'address.city' },
+    state: { type: 'string', path: 'address.state' },
+    country: { type: 'string', path: 'address.country' }
+  },
+  sort: ['createdAt', 'name', 'establishedYear', 'totalCapacity'],
+  fields: ['name', 'address', 'contactInfo', 'establishedYear', 'principalName', 'totalCapacity', 'isActive', 'createdBy']
+};
+
+const listSchoolsQuerySchema = Joi.object({
+  ...paginationQuery,
+  ...listQueryFields(schoolListQuery),
+  search: Joi.string().trim().max(100)
+});
+
 module.exports = {
   createSchoolSchema,
-  updateSchoolSchema
+  updateSchoolSchema,
+  schoolIdParamsSchema,
+  schoolListQuery,
+  listSchoolsQuerySchema
 };
@@ -6,8 +6,51 @@
 
 const { Student, Classroom, School } = require('../../loaders');
 const cortex = require('../../libs/cortex');
+const { ForbiddenError, NotFoundError, BusinessRuleError } = require('../../libs/errors');
+const { paginate } = require('../../libs/pagination');
+const { buildListQuery } = require('../../libs/queryBuilder');
+const {
+  createStudentSchema,
+  updateStudentSchema,
+  transferStudentSchema,
+  studentIdParamsSchema,
+  classroomStudentsParamsSchema,
+  schoolStudentsParamsSchema,
+  studentListQuery,
+  listStudentsQuerySchema
+} = require('./student.validators');
 
 class StudentManager {
+  // Permission each method requires, enforced by cortex.executeManager()
+  static permissions = {
+    getAll: 'student:list',
+    getById: 'student:read',
+    create: 'student:create',
+    update: 'student:update',
+    delete: 'student:delete',
+    transfer: 'student:transfer',
+    getByClassroom: 'classroom:roster',
+    getBySchool: 'student:list'
+  };
+
+  // Changes recorded in the audit log by cortex.executeManager()
+  static audit = {
+    entity: 'Student',
+    actions: { create: 'create', update: 'update', delete: 'delete', transfer: 'transfer' }
+  };
+
+  // Input each method accepts, validated by cortex.executeManager()
+  static contracts = {
+    getAll: { query: listStudentsQuerySchema },
+    getById: { params: studentIdParamsSchema },
+    create: { body: createStudentSchema },
+    update: { params: studentIdParamsSchema, body: updateStudentSchema },
+    delete: { params: studentIdParamsSchema },
+    transfer: { params: studentIdParamsSchema, body: transferStudentSchema },
+    getByClassroom: { params: classroomStudentsParamsSchema },
+    getBySchool: { params: schoolStudentsParamsSchema }
+  };
+
   constructor() {
     this.Student = Student;
     this.Classroom = Classroom;
@@ -17,33 +60,28 @@ class StudentManager {
 
   /**
    * Get all students
-   * School admins see only their school's students
+   * Users without school:access_all see only their schools' students
    * @param {Object} params
    * @param {Object} params.__token - Token metadata from cortex
    * @param {number} params.page - Page number
    * @param {number} params.limit - Items per page
-   * @param {string} params.status - Filter by status (active, transferred, etc.)
-   * @param {string} params.classroomId - Filter by classroom
+   * @param {string} params.cursor - Continue after a previous page instead of page
+   * @param {string} params.schoolId - Filter by school
    * @param {string} params.search - Search by name or student ID
+   * @param {...Object} listParams - Filters, sort and fields allowed by studentListQuery
+   *   e.g. status[in]=active,transferred or enrollmentDate[lt]=2024-09-01
    */
-  async getAll({ __token, page = 1, limit = 20, status, classroomId, schoolId, search }) {
-    const query = {};
-    
-    // School admins can only see their school's students
-    if (this.cortex.isSchoolAdmin(__token)) {
-      query.schoolId = __token.schoolId;
-    } else if (schoolId) {
-      // Superadmin can filter by schoolId
-      query.schoolId = schoolId;
-    }
+  async getAll({ __token, page, limit, cursor, schoolId, search, ...listParams }) {
+    const { filter, sort, select } = buildListQuery(studentListQuery, listParams);
+    const query = { ...filter };
     
-    // Apply filters
-    if (status) {
-      query.status = status;
+    // Users tied to schools can only see those schools' students
+    const schoolFilter = this.cortex.schoolFilter(__token, schoolId);
+    if (schoolFilter === null) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
     }
-    
-    if (classroomId) {
-      query.classroomId = classroomId;
+    if (schoolFilter !== undefined) {
+      query.schoolId = schoolFilter;
     }
     
     // Search by name or student ID
@@ -55,28 +93,18 @@ class StudentManager {
       ];
     }
 
-    const skip = (page - 1) * limit;
-
-    // Execute queries in parallel
-    const [students, total] = await Promise.all([
+    const { items, pagination } = await paginate(
       this.Student.find(query)
+        .select(select)
         .populate('schoolId', 'name')
         .populate('classroomId', 'name grade section')
-        .populate('createdBy', 'firstName lastName')
-        .limit(parseInt(limit))
-        .skip(skip)
-        .sort({ createdAt: -1 }),
-      this.Student.countDocuments(query)
-    ]);
+        .populate('createdBy', 'firstName lastName'),
+      { page, limit, cursor, sort }
+    );
 
     return {
-      students,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      students: items,
+      pagination
     };
   }
 
@@ -95,18 +123,12 @@ class StudentManager {
       .populate('createdBy', 'firstName lastName');
 
     if (!student) {
-      return {
-        error: 'Student not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'Student not found' });
     }
     
     // Check access permissions
     if (!this.cortex.canAccessSchool(__token, student.schoolId._id)) {
-      return {
-        error: 'Access denied to this student',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this student' });
     }
 
     return { student };
@@ -140,36 +162,26 @@ class StudentManager {
   }) {
     // Check if school admin can enroll in this school
     if (!this.cortex.canAccessSchool(__token, schoolId)) {
-      return {
-        error: 'Access denied to this school',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
     }
 
     // Verify classroom exists and belongs to the school
     const classroom = await this.Classroom.findById(classroomId);
     
     if (!classroom) {
-      return {
-        error: 'Classroom not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'Classroom not found' });
     }
     
     // Verify classroom belongs to the specified school
     if (classroom.schoolId.toString() !== schoolId) {
-      return {
-        error: 'Classroom does not belong to this school',
-        code: 'INVALID_OPERATION'
-      };
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: 'Classroom does not belong to this school'
+      });
     }
     
     // Check classroom capacity
     if (classroom.currentEnrollment >= classroom.capacity) {
-      return {
-        error: `Classroom is at full capacity (${classroom.capacity}/${classroom.capacity})`,
-        code: 'CAPACITY_FULL'
-      };
+      return new BusinessRuleError('CAPACITY_FULL', { capacity: classroom.capacity });
     }
 
     // Create student
@@ -206,26 +218,21 @@ class StudentManager {
    * @param {Object} params
    * @param {Object} params.__token
    * @param {string} params.studentId or params.id
-   * @param {...Object} updateData - Fields to update
+   * @param {...Object} fields - Fields to update
    */
-  async update({ __token, studentId, id, ...updateData }) {
+  async update({ __token, studentId, id, ...fields }) {
     const targetId = studentId || id;
+    const updateData = this.cortex.withoutMetadata(fields);
 
     const student = await this.Student.findById(targetId);
     
     if (!student) {
-      return {
-        error: 'Student not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'Student not found' });
     }
     
     // Check access permissions
     if (!this.cortex.canAccessSchool(__token, student.schoolId)) {
-      return {
-        error: 'Access denied to this student',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this student' });
     }
 
     // If changing classroom, handle enrollment counts
@@ -233,26 +240,21 @@ class StudentManager {
       const newClassroom = await this.Classroom.findById(updateData.classroomId);
       
       if (!newClassroom) {
-        return {
-          error: 'New classroom not found',
-          code: 'NOT_FOUND'
-        };
+        return new NotFoundError('NOT_FOUND', { message: 'New classroom not found' });
       }
       
       // Check capacity
       if (newClassroom.currentEnrollment >= newClassroom.capacity) {
-        return {
-          error: `New classroom is at full capacity (${newClassroom.capacity}/${newClassroom.capacity})`,
-          code: 'CAPACITY_FULL'
-        };
+        return new BusinessRuleError('CAPACITY_FULL', {
+          message: `New classroom is at full capacity (${newClassroom.capacity}/${newClassroom.capacity})`
+        });
       }
       
       // Verify new classroom is in same school
       if (newClassroom.schoolId.toString() !== student.schoolId.toString()) {
-        return {
-          error: 'New classroom must be in the same school',
-          code: 'INVALID_OPERATION'
-        };
+        return new BusinessRuleError('INVALID_OPERATION', {
+          message: 'New classroom must be in the same school'
+        });
       }
 
       // Update enrollment counts
@@ -292,18 +294,12 @@ class StudentManager {
     const student = await this.Student.findById(targetId);
     
     if (!student) {
-      return {
-        error: 'Student not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'Student not found' });
     }
     
     // Check access permissions
     if (!this.cortex.canAccessSchool(__token, student.schoolId)) {
-      return {
-        error: 'Access denied to this student',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this student' });
     }
 
     // Update status to withdrawn
@@ -336,18 +332,12 @@ class StudentManager {
     const student = await this.Student.findById(targetId);
     
     if (!student) {
-      return {
-        error: 'Student not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'Student not found' });
     }
     
     // Check access permissions
     if (!this.cortex.canAccessSchool(__token, student.schoolId)) {
-      return {
-        error: 'Access denied to this student',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this student' });
     }
 
     // Get old and new classrooms
@@ -355,34 +345,28 @@ class StudentManager {
     const newClassroom = await this.Classroom.findById(newClassroomId);
 
     if (!newClassroom) {
-      return {
-        error: 'New classroom not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'New classroom not found' });
     }
 
     // Verify new classroom is in same school
     if (newClassroom.schoolId.toString() !== student.schoolId.toString()) {
-      return {
-        error: 'Can only transfer students within the same school',
-        code: 'INVALID_OPERATION'
-      };
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: 'Can only transfer students within the same school'
+      });
     }
 
     // Check if already in target classroom
     if (student.classroomId.toString() === newClassroomId) {
-      return {
-        error: 'Student is already in this classroom',
-        code: 'INVALID_OPERATION'
-      };
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: 'Student is already in this classroom'
+      });
     }
 
     // Check capacity of new classroom
     if (newClassroom.currentEnrollment >= newClassroom.capacity) {
-      return {
-        error: `New classroom is at full capacity (${newClassroom.capacity}/${newClassroom.capacity})`,
-        code: 'CAPACITY_FULL'
-      };
+      return new BusinessRuleError('CAPACITY_FULL', {
+        message: `New classroom is at full capacity (${newClassroom.capacity}/${newClassroom.capacity})`
+      });
     }
 
     // Update enrollment counts
@@ -432,17 +416,12 @@ class StudentManager {
     const classroom = await this.Classroom.findById(classroomId);
     
     if (!classroom) {
-      return {
-        error: 'Classroom not found',
-        code: 'NOT_FOUND'
-      };
+      return new NotFoundError('NOT_FOUND', { message: 'Classroom not found' });
     }
     
-    if (!this.cortex.canAccessSchool(__token, classroom.schoolId)) {
-      return {
-        error: 'Access denied to this classroom',
-        code: 'FORBIDDEN'
-      };
+    // Teachers only see their own classrooms
+    if (!this.cortex.canAccessClassroom(__token, classroom)) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this classroom' });
     }
 
     const students = await this.Student.find({
@@ -472,10 +451,7 @@ class StudentManager {
    */
   async getBySchool({ __token, schoolId }) {
     if (!this.cortex.canAccessSchool(__token, schoolId)) {
-      return {
-        error: 'Access denied to this school',
-        code: 'FORBIDDEN'
-      };
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this school' });
     }
 
     const students = await this.Student.find({
@@ -7,7 +7,6 @@ const express = require('express');
 const router = express.Router();
 const cortex = require('../../libs/cortex');
 const StudentManager = require('./Student.manager');
-const { createStudentSchema, updateStudentSchema, transferStudentSchema } = require('./student.validators');
 
 // All routes require authentication
 router.use(cortex.authenticate());
@@ -24,13 +23,11 @@ router.get('/:id',
 
 // POST /api/v1/students - Enroll new student
 router.post('/',
-  cortex.validate(createStudentSchema),
   cortex.executeManager(StudentManager, 'create')
 );
 
 // PUT /api/v1/students/:id - Update student
 router.put('/:id',
-  cortex.validate(updateStudentSchema),
   cortex.executeManager(StudentManager, 'update')
 );
 
@@ -41,7 +38,6 @@ router.delete('/:id',
 
 // POST /api/v1/students/:id/transfer - Transfer student to another classroom
 router.post('/:id/transfer',
-  cortex.validate(transferStudentSchema),
   cortex.executeManager(StudentManager, 'transfer')
 );
 
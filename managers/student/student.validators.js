@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { paginationQuery } = require('../../libs/pagination');
+const { listQueryFields } = require('../../libs/queryBuilder');
 
 const createStudentSchema = Joi.object({
   schoolId: Joi.string()
@@ -134,8 +136,69 @@ const transferStudentSchema = Joi.object({
     })
 });
 
+// Path params of /students/:id routes
+const studentIdParamsSchema = Joi.object({
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid student ID format'
+    })
+});
+
+const classroomStudentsParamsSchema = Joi.object({
+  classroomId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid classroom ID format'
+    })
+});
+
+const schoolStudentsParamsSchema = Joi.object({
+  schoolId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid school ID format'
+    })
+});
+
+// Filters, sort orders and fields of GET /students (libs/queryBuilder.js)
+const studentListQuery = {
+  filters: {
+    status: { type: 'string', values: ['active', 'transferred', 'graduated', 'withdrawn'] },
+    classroomId: { type: 'objectId' },
+    gender: { type: 'string', values: ['male', 'female', 'other'] },
+    dateOfBirth: { type: 'date' },
+    enrollmentDate: { type: 'date' },
+    gradeLevel: { type: 'number', path: 'academicInfo.gradeLevel' }
+  },
+  sort: ['createdAt', 'enrollmentDate', 'lastName', 'firstName', 'dateOfBirth', 'studentId'],
+  fields: [
+    'schoolId', 'classroomId', 'studentId', 'firstName', 'lastName', 'dateOfBirth', 'gender',
+    'contactInfo', 'guardian', 'enrollmentDate', 'transferHistory', 'status', 'academicInfo', 'createdBy'
+  ]
+};
+
+const listStudentsQuerySchema = Joi.object({
+  ...paginationQuery,
+  ...listQueryFields(studentListQuery),
+  schoolId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid school ID format'
+    }),
+  search: Joi.string().trim().max(100)
+});
+
 module.exports = {
   createStudentSchema,
   updateStudentSchema,
-  transferStudentSchema
+  transferStudentSchema,
+  studentIdParamsSchema,
+  classroomStudentsParamsSchema,
+  schoolStudentsParamsSchema,
+  studentListQuery,
+  listStudentsQuerySchema
 };
@@ -0,0 +1,414 @@
+/**
+ * User Manager -
+ * Pure business logic class for user administration
+ * No req/res - receives unified params with __ metadata
+ * Returns data objects - cortex handles HTTP
+ */
+
+const { User, School, Classroom, Session, UserToken } = require('../../loaders');
+const cortex = require('../../libs/cortex');
+const { ForbiddenError, NotFoundError, BusinessRuleError } = require('../../libs/errors');
+const mailer = require('../../libs/mailer');
+const { isSchoolScoped, isClassroomScoped } = require('../../libs/permissions');
+const { paginate } = require('../../libs/pagination');
+const { listUsersQuerySchema } = require('./user.validators');
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class UserManager {
+  // Permission each method requires, enforced by cortex.executeManager()
+  static permissions = {
+    getAll: 'user:list',
+    getById: 'user:read',
+    deactivate: 'user:update_status',
+    activate: 'user:update_status',
+    updateRole: 'user:update_role',
+    updateMemberships: 'user:update_role',
+    assignClassrooms: 'user:assign_classrooms',
+    forcePasswordReset: 'user:reset_password'
+  };
+
+  // Changes recorded in the audit log by cortex.executeManager()
+  static audit = {
+    entity: 'User',
+    actions: {
+      deactivate: 'update',
+      activate: 'update',
+      updateRole: 'update',
+      updateMemberships: 'update',
+      assignClassrooms: 'update',
+      forcePasswordReset: 'update'
+    }
+  };
+
+  // Input each method accepts, validated by cortex.executeManager()
+  static contracts = {
+    getAll: { query: listUsersQuerySchema }
+  };
+
+  constructor() {
+    this.User = User;
+    this.School = School;
+    this.Classroom = Classroom;
+    this.Session = Session;
+    this.UserToken = UserToken;
+    this.mailer = mailer;
+    this.cortex = cortex;
+  }
+
+  /**
+   * List users
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {number} params.page - Page number
+   * @param {number} params.limit - Items per page
+   * @param {string} params.cursor - Continue after a previous page instead of page
+   * @param {string} params.search - Matches email, first or last name
+   * @param {string} params.role - Filter by role
+   * @param {string} params.schoolId - Filter by school (primary or membership)
+   * @param {string} params.isActive - 'true' or 'false'
+   */
+  async getAll({ __token, page, limit, cursor, search, role, schoolId, isActive }) {
+    const query = {};
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+    }
+    if (role) query.role = role;
+    if (schoolId) {
+      query.$and = [{ $or: [{ schoolId }, { 'memberships.schoolId': schoolId }] }];
+    }
+    if (isActive !== undefined) query.isActive = String(isActive) === 'true';
+
+    const { items, pagination } = await paginate(
+      this.User.find(query).populate('schoolId', 'name'),
+      { page, limit, cursor }
+    );
+
+    return {
+      users: items,
+      pagination
+    };
+  }
+
+  /**
+   * Get user by ID
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.userId or params.id
+   */
+  async getById({ __token, userId, id }) {
+    const user = await this.User.findById(userId || id).populate('schoolId', 'name');
+
+    if (!user) {
+      return new NotFoundError('USER_NOT_FOUND');
+    }
+
+    return { user };
+  }
+
+  /**
+   * Deactivate a user
+   * Signs the user out everywhere
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.userId or params.id
+   */
+  async deactivate({ __token, userId, id }) {
+    return this.setActive(__token, userId || id, false);
+  }
+
+  /**
+   * Reactivate a user
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.userId or params.id
+   */
+  async activate({ __token, userId, id }) {
+    return this.setActive(__token, userId || id, true);
+  }
+
+  /**
+   * Shared implementation of activate/deactivate
+   */
+  async setActive(__token, targetId, isActive) {
+    if (String(targetId) === String(__token.userId)) {
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await this.User.findById(targetId);
+
+    if (!user) {
+      return new NotFoundError('USER_NOT_FOUND');
+    }
+
+    // Saving bumps tokenVersion when deactivating
+    user.isActive = isActive;
+    await user.save();
+
+    if (!isActive) {
+      await this.Session.revoke(user._id);
+    }
+
+    return {
+      user,
+      message: isActive ? 'User activated successfully' : 'User deactivated successfully'
+    };
+  }
+
+  /**
+   * Change a user's role and/or school
+   * School-scoped roles must be assigned to a school; other roles have none
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.userId or params.id
+   * @param {string} params.role
+   * @param {string} params.schoolId - Required for school-scoped roles
+   */
+  async updateRole({ __token, userId, id, role, schoolId }) {
+    const targetId = userId || id;
+
+    if (String(targetId) === String(__token.userId)) {
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await this.User.findById(targetId);
+
+    if (!user) {
+      return new NotFoundError('USER_NOT_FOUND');
+    }
+
+    if (isSchoolScoped(role)) {
+      const school = await this.School.findById(schoolId);
+      if (!school) {
+        return new NotFoundError('SCHOOL_NOT_FOUND');
+      }
+    }
+
+    // Classroom assignments don't survive a change of role or school,
+    // linked children don't survive a change of role
+    const newSchoolId = isSchoolScoped(role) ? schoolId : undefined;
+    if (role !== user.role || String(newSchoolId) !== String(user.schoolId)) {
+      user.classroomIds = [];
+    }
+    if (role !== user.role) {
+      user.studentIds = [];
+    }
+
+    // Only school-scoped users have further schools; the primary one isn't repeated
+    user.memberships = isSchoolScoped(role)
+      ? user.memberships.filter(membership => String(membership.schoolId) !== String(newSchoolId))
+      : [];
+
+    // Saving bumps tokenVersion, so the user's tokens reflect the new role
+    user.role = role;
+    user.schoolId = newSchoolId;
+    await user.save();
+
+    await this.Session.revoke(user._id);
+    await user.populate('schoolId', 'name');
+
+    return {
+      user,
+      message: 'User role updated successfully'
+    };
+  }
+
+  /**
+   * Set additional schools for a school-scoped user
+   * Replaces the current memberships; each may carry its own role
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.userId or params.id
+   * @param {Object[]} params.memberships - [{ schoolId, role }]
+   */
+  async updateMemberships({ __token, userId, id, memberships }) {
+    const targetId = userId || id;
+
+    if (String(targetId) === String(__token.userId)) {
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: 'You cannot change your own school memberships'
+      });
+    }
+
+    const user = await this.User.findById(targetId);
+
+    if (!user) {
+      return new NotFoundError('USER_NOT_FOUND');
+    }
+
+    if (!isSchoolScoped(user.role)) {
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: `A ${user.role} can't be a member of schools`
+      });
+    }
+
+    const schoolIds = memberships.map(membership => String(membership.schoolId));
+    if (new Set(schoolIds).size !== schoolIds.length || schoolIds.includes(String(user.schoolId))) {
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: 'Each school may appear once and not repeat the primary school'
+      });
+    }
+
+    const found = await this.School.countDocuments({ _id: { $in: schoolIds } });
+    if (found !== schoolIds.length) {
+      return new NotFoundError('SCHOOL_NOT_FOUND');
+    }
+
+    user.memberships = memberships;
+
+    // Drop classrooms of schools the user no longer teaches in
+    if (user.classroomIds.length) {
+      const teachingSchools = user.schoolMemberships()
+        .filter(membership => isClassroomScoped(membership.role))
+        .map(membership => membership.schoolId);
+      user.classroomIds = await this.Classroom.find({
+        _id: { $in: user.classroomIds },
+        schoolId: { $in: teachingSchools }
+      }).distinct('_id');
+    }
+
+    // Saving bumps tokenVersion, so the user's tokens carry the new schools
+    await user.save();
+    await this.Session.revoke(user._id);
+    await user.populate('memberships.schoolId', 'name');
+
+    return {
+      user,
+      message: 'School memberships updated successfully'
+    };
+  }
+
+  /**
+   * Set the classrooms a teacher is assigned to
+   * Replaces the assignments in the schools the caller manages; classrooms
+   * must belong to schools where the user is a teacher
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.userId or params.id
+   * @param {string[]} params.classroomIds
+   */
+  async assignClassrooms({ __token, userId, id, classroomIds }) {
+    const targetId = userId || id;
+
+    if (String(targetId) === String(__token.userId)) {
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: 'You cannot change your own classroom assignments'
+      });
+    }
+
+    const user = await this.User.findById(targetId);
+
+    if (!user) {
+      return new NotFoundError('USER_NOT_FOUND');
+    }
+
+    const teachingSchools = user.schoolMemberships()
+      .filter(membership => isClassroomScoped(membership.role))
+      .map(membership => membership.schoolId.toString());
+
+    if (!user.schoolMemberships().some(membership => this.cortex.canAccessSchool(__token, membership.schoolId))) {
+      return new ForbiddenError('FORBIDDEN', { message: 'Access denied to this user' });
+    }
+
+    if (!teachingSchools.length) {
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: `Classrooms can't be assigned to a ${user.role}`
+      });
+    }
+
+    const uniqueIds = [...new Set(classroomIds.map(String))];
+    const classrooms = await this.Classroom.find({ _id: { $in: uniqueIds }, isActive: true }).select('schoolId');
+    const assignable = classrooms.filter(classroom =>
+      teachingSchools.includes(classroom.schoolId.toString()) &&
+      this.cortex.canAccessSchool(__token, classroom.schoolId)
+    );
+
+    if (assignable.length !== uniqueIds.length) {
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: 'Classrooms must exist and belong to schools where the user teaches'
+      });
+    }
+
+    // Assignments in schools the caller doesn't manage stay as they are
+    const current = await this.Classroom.find({ _id: { $in: user.classroomIds } }).select('schoolId');
+    const kept = current
+      .filter(classroom => !this.cortex.canAccessSchool(__token, classroom.schoolId))
+      .map(classroom => classroom._id.toString());
+
+    // Saving bumps tokenVersion, so the teacher's tokens pick up the new classrooms
+    user.classroomIds = [...kept, ...uniqueIds];
+    await user.save();
+    await this.Session.revoke(user._id);
+    await user.populate('classroomIds', 'name grade section');
+
+    return {
+      user,
+      message: 'Classrooms assigned successfully'
+    };
+  }
+
+  /**
+   * Force a password reset
+   * Signs the user out, blocks login and mails a reset link
+   * @param {Object} params
+   * @param {Object} params.__token
+   * @param {string} params.userId or params.id
+   */
+  async forcePasswordReset({ __token, userId, id }) {
+    const targetId = userId || id;
+
+    if (String(targetId) === String(__token.userId)) {
+      return new BusinessRuleError('INVALID_OPERATION', {
+        message: 'You cannot force a password reset on your own account'
+      });
+    }
+
+    const user = await this.User.findByIdAndUpdate(
+      targetId,
+      { passwordResetRequired: true, $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return new NotFoundError('USER_NOT_FOUND');
+    }
+
+    await this.Session.revoke(user._id);
+
+    const { appUrl, auth } = this.cortex.config;
+    const token = await this.UserToken.issue(user._id, 'password_reset', auth.passwordResetExpiresIn);
+
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Please reset your password',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'An administrator has asked you to choose a new password.',
+        'You will not be able to log in until you do so using the link below:',
+        `${appUrl}/reset-password?token=${token}`,
+        '',
+        `The link expires in ${auth.passwordResetExpiresIn} and can only be used once.`,
+        'If it expires, request a new one from the "forgot password" page.'
+      ].join('\n')
+    });
+
+    return {
+      message: 'Password reset required. A reset link has been sent to the user'
+    };
+  }
+}
+
+// Export class, NOT instance
+module.exports = UserManager;
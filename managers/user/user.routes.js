@@ -0,0 +1,58 @@
+/**
+ * User Routes 
+ * Uses cortex.executeManager() to execute UserManager methods
+ */
+
+const express = require('express');
+const router = express.Router();
+const cortex = require('../../libs/cortex');
+const UserManager = require('./User.manager');
+const { updateRoleSchema, updateMembershipsSchema, assignClassroomsSchema } = require('./user.validators');
+
+// All routes require authentication
+router.use(cortex.authenticate());
+
+// GET /api/v1/users - List users (Superadmin only)
+router.get('/',
+  cortex.executeManager(UserManager, 'getAll')
+);
+
+// GET /api/v1/users/:id - Get user by ID (Superadmin only)
+router.get('/:id',
+  cortex.executeManager(UserManager, 'getById')
+);
+
+// POST /api/v1/users/:id/deactivate - Deactivate user (Superadmin only)
+router.post('/:id/deactivate',
+  cortex.executeManager(UserManager, 'deactivate')
+);
+
+// POST /api/v1/users/:id/activate - Reactivate user (Superadmin only)
+router.post('/:id/activate',
+  cortex.executeManager(UserManager, 'activate')
+);
+
+// PUT /api/v1/users/:id/role - Change role and/or school (Superadmin only)
+router.put('/:id/role',
+  cortex.validate(updateRoleSchema),
+  cortex.executeManager(UserManager, 'updateRole')
+);
+
+// PUT /api/v1/users/:id/memberships - Set additional schools (Superadmin only)
+router.put('/:id/memberships',
+  cortex.validate(updateMembershipsSchema),
+  cortex.executeManager(UserManager, 'updateMemberships')
+);
+
+// PUT /api/v1/users/:id/classrooms - Assign a teacher to classrooms (Superadmin, School Admin)
+router.put('/:id/classrooms',
+  cortex.validate(assignClassroomsSchema),
+  cortex.executeManager(UserManager, 'assignClassrooms')
+);
+
+// POST /api/v1/users/:id/force-password-reset - Require a password reset (Superadmin only)
+router.post('/:id/force-password-reset',
+  cortex.executeManager(UserManager, 'forcePasswordReset')
+);
+
+module.exports = router;
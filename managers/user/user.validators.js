@@ -0,0 +1,65 @@
+const Joi = require('joi');
+const { ROLE_NAMES, SCHOOL_SCOPED_ROLES } = require('../../libs/permissions');
+const { paginationQuery } = require('../../libs/pagination');
+
+const updateRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...ROLE_NAMES)
+    .required()
+    .messages({
+      'any.only': `Role must be one of: ${ROLE_NAMES.join(', ')}`,
+      'any.required': 'Role is required'
+    }),
+  schoolId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).when('role', {
+    is: Joi.valid(...SCHOOL_SCOPED_ROLES),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.pattern.base': 'Invalid school ID format',
+    'any.required': 'School ID is required for this role'
+  })
+});
+
+const updateMembershipsSchema = Joi.object({
+  memberships: Joi.array()
+    .items(Joi.object({
+      schoolId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+        'string.pattern.base': 'Invalid school ID format'
+      }),
+      role: Joi.string().valid(...SCHOOL_SCOPED_ROLES).messages({
+        'any.only': `Membership role must be one of: ${SCHOOL_SCOPED_ROLES.join(', ')}`
+      })
+    }))
+    .required()
+    .messages({
+      'any.required': 'Memberships are required'
+    })
+});
+
+const assignClassroomsSchema = Joi.object({
+  classroomIds: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+      'string.pattern.base': 'Invalid classroom ID format'
+    }))
+    .required()
+    .messages({
+      'any.required': 'Classroom IDs are required'
+    })
+});
+
+const listUsersQuerySchema = Joi.object({
+  ...paginationQuery,
+  search: Joi.string().trim().max(100),
+  role: Joi.string().valid(...ROLE_NAMES),
+  schoolId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': 'Invalid school ID format'
+  }),
+  isActive: Joi.boolean()
+});
+
+module.exports = {
+  listUsersQuerySchema,
+  updateRoleSchema,
+  updateMembershipsSchema,
+  assignClassroomsSchema
+};
@@ -12,16 +12,31 @@ const apiLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-const authLimiter = rateLimit({
-  windowMs: config.rateLimit.auth.windowMs,
-  max: config.rateLimit.auth.maxRequests,
-  message: {
-    error: 'Too many authentication attempts, please try again later',
-    code: 'AUTH_RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+/**
+ * Per-IP limiter for one authentication flow
+ * Every flow counts on its own, so finishing a login with 2FA or
+ * recovering an account doesn't use up the login budget
+ */
+function authLimiter() {
+  return rateLimit({
+    windowMs: config.rateLimit.auth.windowMs,
+    max: config.rateLimit.auth.maxRequests,
+    message: {
+      error: 'Too many authentication attempts, please try again later',
+      code: 'AUTH_RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+}
 
 module.exports = apiLimiter;
-module.exports.authLimiter = authLimiter;
+module.exports.authLimiters = {
+  login: authLimiter(),
+  twoFactor: authLimiter(),
+  sso: authLimiter(),
+  recovery: authLimiter(),
+  signup: authLimiter(),
+  emailVerification: authLimiter(),
+  guardianClaim: authLimiter()
+};
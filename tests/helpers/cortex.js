@@ -0,0 +1,70 @@
+/**
+ * Test Helpers - Cortex
+ *
+ * Run manager methods through cortex the way routes do,
+ * without an HTTP server
+ */
+
+const cortex = require('../../libs/cortex');
+
+/**
+ * Minimal Express response double
+ */
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  res.on = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+/**
+ * Split params into the request parts of the method's contract
+ * Fields declared for the path or query go there, the rest into the body
+ */
+function requestParts(ManagerClass, methodName, params) {
+  const contract = (ManagerClass.contracts && ManagerClass.contracts[methodName]) || {};
+  const parts = { body: {}, query: {}, params: {} };
+
+  for (const [key, value] of Object.entries(params)) {
+    const part = ['params', 'query'].find(name => contract[name] && (contract[name].describe().keys || {})[key]);
+    parts[part || 'body'][key] = value;
+  }
+
+  return parts;
+}
+
+/**
+ * Execute a manager method through cortex.executeManager()
+ * Permission checks and input contracts declared by the manager apply
+ *
+ * @param {Function} ManagerClass
+ * @param {string} methodName
+ * @param {Object} params - Request params, including __token
+ * @returns {Promise<Object>} { status, body } - body is the raw content for downloads
+ */
+async function executeManager(ManagerClass, methodName, { __token, ...params } = {}) {
+  const req = {
+    ...requestParts(ManagerClass, methodName, params),
+    headers: {},
+    ip: '127.0.0.1',
+    method: 'POST',
+    path: '/',
+    __token
+  };
+  const res = mockResponse();
+
+  await cortex.executeManager(ManagerClass, methodName)(req, res);
+
+  return {
+    status: res.status.mock.calls[0][0],
+    body: res.json.mock.calls.length ? res.json.mock.calls[0][0] : res.send.mock.calls[0][0]
+  };
+}
+
+module.exports = {
+  mockResponse,
+  executeManager
+};
@@ -5,7 +5,8 @@
  * Pure Jest-based approach
  */
 
-const { User, School, Classroom, Student } = require('../../loaders');
+const { User, School, Classroom, Student, Invitation } = require('../../loaders');
+const { generateToken, hashToken } = require('../../libs/tokens');
 
 // Simple ID counter for unique emails
 let userCounter = 0;
@@ -199,6 +200,35 @@ async function createTestStudent(overrides = {}) {
   return await Student.create(studentData);
 }
 
+/**
+ * Create test invitation
+ * 
+ * @param {Object} overrides
+ * @returns {Promise<Object>} Created invitation and its raw token
+ */
+async function createTestInvitation(overrides = {}) {
+  userCounter++;
+
+  // Create a superadmin inviter if invitedBy not provided
+  let invitedBy = overrides.invitedBy;
+  if (!invitedBy) {
+    const admin = await createTestUser({ role: 'superadmin' });
+    invitedBy = admin._id;
+  }
+
+  const token = generateToken();
+  const invitation = await Invitation.create({
+    email: overrides.email || `invitee${userCounter}@test.com`,
+    role: overrides.role || 'superadmin',
+    schoolId: overrides.schoolId,
+    expiresAt: overrides.expiresAt || new Date(Date.now() + 60 * 60 * 1000),
+    invitedBy,
+    tokenHash: hashToken(token)
+  });
+
+  return { invitation, token };
+}
+
 /**
  * Generate mock token payload
  * 
@@ -233,6 +263,7 @@ module.exports = {
   createTestSchool,
   createTestClassroom,
   createTestStudent,
+  createTestInvitation,
   generateMockToken,
   generateMockHeaders,
   resetCounters
@@ -0,0 +1,110 @@
+/**
+ * Test Helpers - Mock OpenID Connect Provider
+ *
+ * A local identity provider serving discovery, JWKS and the token
+ * endpoint. Tests skip the browser step: issueCode() plays the part of
+ * the user signing in and returns the code the provider would redirect with.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { codeChallenge } = require('../../libs/oidc');
+
+class MockOidcProvider {
+  constructor({ clientId = 'school-api', clientSecret = 'client-secret' } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.kid = 'idp-key-1';
+    this.keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.codes = new Map();
+    this.server = null;
+    this.issuer = null;
+  }
+
+  /**
+   * Start listening on a free local port
+   */
+  async start() {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+      res.json({
+        issuer: this.issuer,
+        authorization_endpoint: `${this.issuer}/authorize`,
+        token_endpoint: `${this.issuer}/token`,
+        jwks_uri: `${this.issuer}/jwks`
+      });
+    });
+
+    app.get('/jwks', (req, res) => {
+      res.json({
+        keys: [{ ...this.keyPair.publicKey.export({ format: 'jwk' }), kid: this.kid, alg: 'RS256', use: 'sig' }]
+      });
+    });
+
+    app.post('/token', (req, res) => this.token(req, res));
+
+    this.server = http.createServer(app);
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Sign a user in at the provider for a pending authorization URL
+   * @param {string} authorizationUrl - From Auth.oidcAuthorize()
+   * @param {Object} claims - ID token claims, e.g. { sub, email, email_verified }
+   * @returns {string} Authorization code
+   */
+  issueCode(authorizationUrl, claims) {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(16).toString('hex');
+    this.codes.set(code, {
+      claims,
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge'),
+      redirectUri: params.get('redirect_uri')
+    });
+    return code;
+  }
+
+  /**
+   * Token endpoint: checks client credentials, code, redirect URI and PKCE
+   */
+  token(req, res) {
+    const [id, secret] = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+    if (id !== this.clientId || secret !== this.clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = this.codes.get(req.body.code);
+    this.codes.delete(req.body.code);
+    if (!grant ||
+      grant.redirectUri !== req.body.redirect_uri ||
+      grant.codeChallenge !== codeChallenge(req.body.code_verifier || '')) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ nonce: grant.nonce, ...grant.claims }, this.keyPair.privateKey, {
+      algorithm: 'RS256',
+      keyid: this.kid,
+      issuer: this.issuer,
+      audience: this.clientId,
+      expiresIn: '5m'
+    });
+
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  }
+}
+
+module.exports = { MockOidcProvider };
@@ -0,0 +1,241 @@
+/**
+ * API Key Manager Unit Tests
+ *
+ * Creating and revoking keys, and authenticating with X-API-Key
+ */
+
+const ApiKeyManager = require('../../managers/apiKey/ApiKey.manager');
+const apiKeyRoutes = require('../../managers/apiKey/apiKey.routes');
+const StudentManager = require('../../managers/student/Student.manager');
+const AuthManager = require('../../managers/auth/Auth.manager');
+const { ApiKey, User } = require('../../loaders');
+const cortex = require('../../libs/cortex');
+const {
+  createTestUser,
+  createTestSchool,
+  createTestClassroom,
+  createTestStudent,
+  generateMockToken
+} = require('../helpers/factories');
+const { mockResponse, executeManager } = require('../helpers/cortex');
+
+describe('API Key Manager', () => {
+  let apiKeyManager;
+
+  beforeEach(() => {
+    apiKeyManager = new ApiKeyManager();
+  });
+
+  /**
+   * Create a key as a school admin of the school
+   */
+  async function createKey(school, permissions = ['student:list']) {
+    const admin = await createTestUser({ role: 'school_admin', schoolId: school._id });
+    const result = await apiKeyManager.create({
+      __token: generateMockToken({ userId: admin._id.toString(), role: 'school_admin', schoolId: school._id.toString() }),
+      name: 'Nightly sync',
+      permissions
+    });
+    return { admin, ...result };
+  }
+
+  /**
+   * Run cortex.authenticate() with an X-API-Key header
+   */
+  async function authenticate(key) {
+    const req = { headers: { 'x-api-key': key }, ip: '10.0.0.5' };
+    const res = mockResponse();
+    const next = jest.fn();
+    await cortex.authenticate()(req, res, next);
+    return { req, res, next };
+  }
+
+  // ==========================================
+  // CREATE TESTS
+  // ==========================================
+
+  describe('create()', () => {
+    it('should return the key once and store only its hash', async () => {
+      // Arrange
+      const school = await createTestSchool();
+
+      // Act
+      const { key, apiKey } = await createKey(school);
+
+      // Assert
+      expect(key).toMatch(/^sk_/);
+      expect(apiKey.schoolId.toString()).toBe(school._id.toString());
+      expect(apiKey.toJSON()).not.toHaveProperty('keyHash');
+      const stored = await ApiKey.findById(apiKey._id);
+      expect(stored.keyHash).not.toBe(key);
+      expect(key.startsWith(stored.prefix)).toBe(true);
+    });
+
+    it('should only allow schools where the caller manages keys', async () => {
+      // Arrange
+      const [own, taught] = [await createTestSchool(), await createTestSchool()];
+      const __token = generateMockToken({
+        role: 'school_admin',
+        schoolId: own._id.toString(),
+        memberships: [
+          { schoolId: own._id.toString(), role: 'school_admin' },
+          { schoolId: taught._id.toString(), role: 'teacher' }
+        ]
+      });
+
+      // Act
+      const result = await executeManager(ApiKeyManager, 'create', {
+        __token,
+        name: 'Sync',
+        schoolId: taught._id.toString(),
+        permissions: ['classroom:roster']
+      });
+
+      // Assert
+      expect(result.status).toBe(403);
+      expect(await ApiKey.countDocuments()).toBe(0);
+    });
+  });
+
+  // ==========================================
+  // AUTHENTICATION TESTS
+  // ==========================================
+
+  describe('X-API-Key authentication', () => {
+    it('should act within the key school and permissions only', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const own = await createTestStudent({ schoolId: school._id, classroomId: classroom._id });
+      await createTestStudent();
+      const { key } = await createKey(school, ['student:list']);
+
+      // Act
+      const { req, next } = await authenticate(key);
+      const list = await executeManager(StudentManager, 'getAll', { __token: req.__token });
+      const enroll = await executeManager(StudentManager, 'create', { __token: req.__token, firstName: 'X' });
+
+      // Assert
+      expect(next).toHaveBeenCalled();
+      expect(list.status).toBe(200);
+      expect(list.body.students.map(student => student._id.toString())).toEqual([own._id.toString()]);
+      expect(enroll.status).toBe(403);
+    });
+
+    it('should keep keys away from account endpoints', async () => {
+      // Arrange
+      const { key } = await createKey(await createTestSchool());
+      const { req } = await authenticate(key);
+
+      // Act
+      const result = await executeManager(AuthManager, 'getMe', { __token: req.__token });
+
+      // Assert
+      expect(result.status).toBe(403);
+      expect(result.body.code).toBe('API_KEY_FORBIDDEN');
+    });
+
+    it('should record when and where a key was last used', async () => {
+      // Arrange
+      const { key, apiKey } = await createKey(await createTestSchool());
+
+      // Act
+      await authenticate(key);
+
+      // Assert
+      const used = await ApiKey.findById(apiKey._id);
+      expect(used.lastUsedAt).toBeInstanceOf(Date);
+      expect(used.lastUsedIp).toBe('10.0.0.5');
+    });
+
+    it('should refuse revoked keys', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const { key, apiKey } = await createKey(school);
+      await apiKeyManager.revoke({
+        __token: generateMockToken({ role: 'school_admin', schoolId: school._id.toString() }),
+        id: apiKey._id.toString()
+      });
+
+      // Act
+      const { res, next } = await authenticate(key);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_API_KEY' }));
+    });
+
+    it('should stop working once the creator loses access', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const { key, admin } = await createKey(school);
+
+      // Act
+      await User.updateOne({ _id: admin._id }, { role: 'teacher' });
+      const demoted = await authenticate(key);
+      await User.updateOne({ _id: admin._id }, { isActive: false });
+      const deactivated = await authenticate(key);
+
+      // Assert
+      expect(cortex.can(demoted.req.__token, 'student:list')).toBe(false);
+      expect(deactivated.res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  // ==========================================
+  // LIST & REVOKE TESTS
+  // ==========================================
+
+  describe('getAll() / revoke()', () => {
+    it('should hide revoked keys unless asked', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const __token = generateMockToken({ role: 'school_admin', schoolId: school._id.toString() });
+      const { apiKey } = await createKey(school);
+      await createKey(school);
+      await apiKeyManager.revoke({ __token, id: apiKey._id.toString() });
+
+      // Act
+      const active = await apiKeyManager.getAll({ __token });
+      const all = await apiKeyManager.getAll({ __token, includeRevoked: 'true' });
+
+      // Assert
+      expect(active.apiKeys).toHaveLength(1);
+      expect(all.apiKeys).toHaveLength(2);
+    });
+
+    it('should deny revoking keys of other schools', async () => {
+      // Arrange
+      const { apiKey } = await createKey(await createTestSchool());
+      const other = await createTestSchool();
+
+      // Act
+      const result = await apiKeyManager.revoke({
+        __token: generateMockToken({ role: 'school_admin', schoolId: other._id.toString() }),
+        id: apiKey._id.toString()
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'FORBIDDEN');
+    });
+
+    it('should refuse creating and revoking keys while impersonating', () => {
+      // Arrange
+      const routes = apiKeyRoutes.stack
+        .filter(layer => layer.route && (layer.route.methods.post || layer.route.methods.delete));
+      const req = { __token: generateMockToken({ actor: { userId: '507f1f77bcf86cd799439012' } }) };
+
+      // Act: the first handler after authenticate()
+      const responses = routes.map(({ route }) => {
+        const res = mockResponse();
+        route.stack[0].handle(req, res, jest.fn());
+        return res;
+      });
+
+      // Assert
+      expect(responses).toHaveLength(2);
+      responses.forEach(res => expect(res.status).toHaveBeenCalledWith(403));
+    });
+  });
+});
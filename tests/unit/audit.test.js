@@ -0,0 +1,285 @@
+/**
+ * Audit Log Unit Tests
+ *
+ * Entries written by cortex.executeManager() for audited methods,
+ * the diff they carry, and reviewing them through the Audit manager
+ */
+
+const AuditManager = require('../../managers/audit/Audit.manager');
+const StudentManager = require('../../managers/student/Student.manager');
+const SchoolManager = require('../../managers/school/School.manager');
+const UserManager = require('../../managers/user/User.manager');
+const ApiKeyManager = require('../../managers/apiKey/ApiKey.manager');
+const GuardianManager = require('../../managers/guardian/Guardian.manager');
+const { AuditLog } = require('../../loaders');
+const { diffRecords } = require('../../libs/audit');
+const {
+  createTestUser,
+  createTestSchool,
+  createTestClassroom,
+  createTestStudent,
+  generateMockToken
+} = require('../helpers/factories');
+const { executeManager } = require('../helpers/cortex');
+
+describe('Audit Log', () => {
+  /**
+   * Token of a school admin of the school
+   */
+  async function schoolAdminToken(school) {
+    const admin = await createTestUser({ role: 'school_admin', schoolId: school._id });
+    return generateMockToken({ userId: admin._id.toString(), role: 'school_admin', schoolId: school._id.toString() });
+  }
+
+  // ==========================================
+  // DIFF TESTS
+  // ==========================================
+
+  describe('diffRecords()', () => {
+    it('should list changed fields, nested ones by path', () => {
+      // Arrange
+      const before = { _id: 1, status: 'active', address: { city: 'Old', zip: '1' }, updatedAt: new Date(0) };
+      const after = { _id: 1, status: 'withdrawn', address: { city: 'New', zip: '1' }, updatedAt: new Date() };
+
+      // Act
+      const changes = diffRecords(before, after);
+
+      // Assert
+      expect(changes).toEqual([
+        { field: 'status', from: 'active', to: 'withdrawn' },
+        { field: 'address.city', from: 'Old', to: 'New' }
+      ]);
+    });
+
+    it('should treat creations as changes from nothing', () => {
+      // Act
+      const changes = diffRecords(null, { _id: 1, name: 'North High' });
+
+      // Assert
+      expect(changes).toEqual([{ field: 'name', from: undefined, to: 'North High' }]);
+    });
+  });
+
+  // ==========================================
+  // RECORDING TESTS
+  // ==========================================
+
+  describe('executeManager() recording', () => {
+    it('should record a transfer with actor, school and classroom diff', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const [from, to] = [
+        await createTestClassroom({ schoolId: school._id }),
+        await createTestClassroom({ schoolId: school._id })
+      ];
+      const student = await createTestStudent({ schoolId: school._id, classroomId: from._id });
+      const __token = await schoolAdminToken(school);
+
+      // Act
+      const result = await executeManager(StudentManager, 'transfer', {
+        __token,
+        id: student._id.toString(),
+        newClassroomId: to._id.toString()
+      });
+
+      // Assert
+      expect(result.status).toBe(200);
+      const entry = await AuditLog.findOne({ entityId: student._id });
+      expect(entry.toObject()).toMatchObject({ entity: 'Student', action: 'transfer', ip: '127.0.0.1' });
+      expect(entry.actorId.toString()).toBe(__token.userId);
+      expect(entry.schoolId.toString()).toBe(school._id.toString());
+      const classroomChange = entry.changes.find(change => change.field === 'classroomId');
+      expect(classroomChange.from.toString()).toBe(from._id.toString());
+      expect(classroomChange.to.toString()).toBe(to._id.toString());
+    });
+
+    it('should record creations of the new record', async () => {
+      // Act
+      const result = await executeManager(SchoolManager, 'create', {
+        __token: generateMockToken({ userId: (await createTestUser())._id.toString() }),
+        name: 'Audited School',
+        contactInfo: { email: 'office@audited.test', phone: '+1-555-0100' },
+        address: { city: 'Springfield' }
+      });
+
+      // Assert
+      const entry = await AuditLog.findOne({ action: 'create' });
+      expect(entry.entityId.toString()).toBe(result.body.school._id.toString());
+      expect(entry.schoolId.toString()).toBe(result.body.school._id.toString());
+      expect(entry.changes).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'name', to: 'Audited School' })
+      ]));
+    });
+
+    it('should record changes to user accounts', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const teacher = await createTestUser({ role: 'teacher', schoolId: school._id });
+      const __token = generateMockToken({ userId: (await createTestUser())._id.toString() });
+
+      // Act
+      const result = await executeManager(UserManager, 'deactivate', { __token, id: teacher._id.toString() });
+
+      // Assert
+      expect(result.status).toBe(200);
+      const entry = await AuditLog.findOne({ entity: 'User' });
+      expect(entry.toObject()).toMatchObject({ action: 'update' });
+      expect(entry.entityId.toString()).toBe(teacher._id.toString());
+      expect(entry.schoolId.toString()).toBe(school._id.toString());
+      expect(entry.changes).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'isActive', from: true, to: false })
+      ]));
+    });
+
+    it('should record API keys without their hash', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const __token = await schoolAdminToken(school);
+
+      // Act
+      const created = await executeManager(ApiKeyManager, 'create', {
+        __token,
+        name: 'Nightly sync',
+        permissions: ['student:list']
+      });
+      await executeManager(ApiKeyManager, 'revoke', { __token, id: created.body.apiKey._id.toString() });
+
+      // Assert
+      const entries = await AuditLog.find({ entity: 'ApiKey' }).sort({ createdAt: 1 });
+      expect(entries.map(entry => entry.action)).toEqual(['create', 'update']);
+      expect(entries[0].changes.map(change => change.field)).not.toContain('keyHash');
+      expect(entries[1].changes).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'revokedBy' })
+      ]));
+    });
+
+    it('should record guardian links on the guardian account', async () => {
+      // Arrange
+      const student = await createTestStudent();
+      const guardian = await createTestUser({ role: 'guardian' });
+      const { claimCode } = await new GuardianManager().issueClaim({
+        __token: generateMockToken({ role: 'school_admin', schoolId: student.schoolId.toString() }),
+        studentId: student._id.toString(),
+        channel: 'phone'
+      });
+
+      // Act
+      const result = await executeManager(GuardianManager, 'linkChild', {
+        __token: generateMockToken({ userId: guardian._id.toString(), role: 'guardian' }),
+        claimCode
+      });
+
+      // Assert
+      expect(result.status).toBe(200);
+      const entry = await AuditLog.findOne({ entity: 'User' });
+      expect(entry.entityId.toString()).toBe(guardian._id.toString());
+      expect(entry.changes.map(change => change.field)).toEqual(['studentIds']);
+    });
+
+    it('should not record failed calls', async () => {
+      // Arrange
+      const student = await createTestStudent();
+      const other = await createTestSchool();
+
+      // Act
+      const result = await executeManager(StudentManager, 'delete', {
+        __token: await schoolAdminToken(other),
+        id: student._id.toString()
+      });
+
+      // Assert
+      expect(result.status).toBe(403);
+      expect(await AuditLog.countDocuments()).toBe(0);
+    });
+
+    it('should not audit reads', async () => {
+      // Arrange
+      const student = await createTestStudent();
+
+      // Act
+      await executeManager(StudentManager, 'getById', {
+        __token: generateMockToken(),
+        id: student._id.toString()
+      });
+
+      // Assert
+      expect(await AuditLog.countDocuments()).toBe(0);
+    });
+  });
+
+  // ==========================================
+  // REVIEW TESTS
+  // ==========================================
+
+  describe('getAll()', () => {
+    it('should only show school admins their schools', async () => {
+      // Arrange
+      const [own, other] = [await createTestSchool(), await createTestSchool()];
+      const entityId = (await createTestStudent()).id;
+      await AuditLog.create([
+        { schoolId: own._id, entity: 'Student', entityId, action: 'update' },
+        { schoolId: other._id, entity: 'Student', entityId, action: 'update' }
+      ]);
+
+      // Act
+      const result = await executeManager(AuditManager, 'getAll', {
+        __token: generateMockToken({ role: 'school_admin', schoolId: own._id.toString() })
+      });
+
+      // Assert
+      expect(result.status).toBe(200);
+      expect(result.body.entries).toHaveLength(1);
+      expect(result.body.entries[0].schoolId.toString()).toBe(own._id.toString());
+    });
+
+    it('should filter by entity, actor and date range', async () => {
+      // Arrange
+      const actor = await createTestUser();
+      const entityId = (await createTestStudent()).id;
+      await AuditLog.create([
+        { actorId: actor._id, entity: 'Student', entityId, action: 'update', createdAt: new Date('2024-03-10') },
+        { actorId: actor._id, entity: 'Student', entityId, action: 'update', createdAt: new Date('2024-01-10') },
+        { actorId: actor._id, entity: 'Classroom', entityId, action: 'update', createdAt: new Date('2024-03-10') },
+        { entity: 'Student', entityId, action: 'update', createdAt: new Date('2024-03-10') }
+      ]);
+
+      // Act
+      const result = await new AuditManager().getAll({
+        __token: generateMockToken(),
+        entity: 'Student',
+        actorId: actor._id.toString(),
+        from: '2024-02-01',
+        to: '2024-04-01'
+      });
+
+      // Assert
+      expect(result.entries).toHaveLength(1);
+      expect(result.pagination.total).toBe(1);
+    });
+
+    it('should bound the page size and continue by cursor', async () => {
+      // Arrange
+      const entityId = (await createTestStudent()).id;
+      for (let i = 0; i < 3; i++) {
+        await AuditLog.create({ entity: 'Student', entityId, action: 'update' });
+      }
+      const __token = generateMockToken({ role: 'superadmin' });
+
+      // Act
+      const tooMany = await executeManager(AuditManager, 'getAll', { __token, limit: '100000' });
+      const first = await executeManager(AuditManager, 'getAll', { __token, limit: '2' });
+      const second = await executeManager(AuditManager, 'getAll', {
+        __token,
+        limit: '2',
+        cursor: first.body.pagination.nextCursor
+      });
+
+      // Assert
+      expect(tooMany.status).toBe(400);
+      expect(tooMany.body).toHaveProperty('code', 'VALIDATION_ERROR');
+      expect(first.body.entries).toHaveLength(2);
+      expect(second.body.entries).toHaveLength(1);
+      expect(second.body.pagination.hasMore).toBe(false);
+    });
+  });
+});
@@ -3,235 +3,1496 @@
  */
 
 const AuthManager = require('../../managers/auth/Auth.manager');
-const { User } = require('../../loaders');
-const { createTestUser, generateMockToken } = require('../helpers/factories');
+const authRoutes = require('../../managers/auth/auth.routes');
+const { User, RefreshToken, Invitation, UserToken, ImpersonationLog } = require('../../loaders');
+const cortex = require('../../libs/cortex');
+const mailer = require('../../libs/mailer');
+const totp = require('../../libs/totp');
+const {
+  createTestUser,
+  createTestSchool,
+  createTestInvitation,
+  generateMockToken
+} = require('../helpers/factories');
+const { mockResponse, executeManager } = require('../helpers/cortex');
 
 describe('Auth Manager', () => {
   let authManager;
+  let transport;
 
   beforeEach(() => {
     // Create fresh instance for each test
     authManager = new AuthManager();
+
+    // Capture outgoing mail
+    transport = new mailer.MemoryTransport();
+    mailer.setTransport(transport);
+  });
+
+  /**
+   * Pull the token out of the last link mailed
+   */
+  function lastMailedToken() {
+    const { text } = transport.outbox[transport.outbox.length - 1];
+    return text.match(/token=([\w-]+)/)[1];
+  }
+
+  // ==========================================
+  // BOOTSTRAP TESTS
+  // ==========================================
+
+  describe('bootstrap()', () => {
+    const params = {
+      email: 'root@test.com',
+      password: 'Admin123!',
+      firstName: 'Root',
+      lastName: 'Admin'
+    };
+
+    it('should create the first superadmin', async () => {
+      // Act
+      const result = await authManager.bootstrap({ ...params });
+
+      // Assert
+      expect(result).toHaveProperty('accessToken');
+      expect(result.user.role).toBe('superadmin');
+      expect(result.user.password).toBeUndefined();
+    });
+
+    it('should refuse once a superadmin exists', async () => {
+      // Arrange
+      await createTestUser({ role: 'superadmin' });
+
+      // Act
+      const result = await authManager.bootstrap({ ...params });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'ALREADY_BOOTSTRAPPED');
+      expect(await User.countDocuments({ email: 'root@test.com' })).toBe(0);
+    });
+
+    it('should create a single superadmin when called concurrently', async () => {
+      // Act
+      const results = await Promise.all([
+        authManager.bootstrap({ ...params }),
+        authManager.bootstrap({ ...params, email: 'root2@test.com' })
+      ]);
+
+      // Assert
+      expect(results.filter(result => result.accessToken)).toHaveLength(1);
+      expect(results.filter(result => result.code === 'ALREADY_BOOTSTRAPPED')).toHaveLength(1);
+      expect(await User.countDocuments({ role: 'superadmin' })).toBe(1);
+    });
+
+    it('should stay open when creating the superadmin fails', async () => {
+      // Arrange
+      await expect(authManager.bootstrap({ ...params, email: 'not-an-email' })).rejects.toThrow();
+
+      // Act
+      const result = await authManager.bootstrap({ ...params });
+
+      // Assert
+      expect(result.user.role).toBe('superadmin');
+    });
+
+    it('should require the configured bootstrap secret', async () => {
+      // Arrange
+      authManager.cortex.config.auth.bootstrapSecret = 'let-me-in';
+
+      try {
+        // Act
+        const denied = await authManager.bootstrap({ ...params, bootstrapSecret: 'wrong' });
+        const allowed = await authManager.bootstrap({ ...params, bootstrapSecret: 'let-me-in' });
+
+        // Assert
+        expect(denied).toHaveProperty('code', 'FORBIDDEN');
+        expect(allowed).toHaveProperty('user');
+      } finally {
+        authManager.cortex.config.auth.bootstrapSecret = undefined;
+      }
+    });
+
+    it('should only issue an enrollment token when the role requires 2FA', async () => {
+      // Arrange
+      cortex.config.auth.twoFactor.requiredRoles = ['superadmin'];
+
+      try {
+        // Act
+        const result = await authManager.bootstrap({ ...params });
+
+        // Assert
+        expect(result.twoFactorSetupRequired).toBe(true);
+        expect(result.user.role).toBe('superadmin');
+        expect(result).not.toHaveProperty('refreshToken');
+        expect(cortex.verifyToken(result.accessToken).pending).toBe('mfa_enroll');
+        expect(await RefreshToken.countDocuments()).toBe(0);
+      } finally {
+        cortex.config.auth.twoFactor.requiredRoles = [];
+      }
+    });
+  });
+
+  // ==========================================
+  // INVITATION TESTS
+  // ==========================================
+
+  describe('createInvitation()', () => {
+    it('should let a superadmin invite a school admin', async () => {
+      // Arrange
+      const admin = await createTestUser({ role: 'superadmin' });
+      const school = await createTestSchool();
+
+      // Act
+      const result = await authManager.createInvitation({
+        __token: generateMockToken({ userId: admin._id.toString() }),
+        email: 'invitee@test.com',
+        role: 'school_admin',
+        schoolId: school._id.toString()
+      });
+
+      // Assert
+      expect(result).toHaveProperty('invitationToken');
+      expect(result.invitation.role).toBe('school_admin');
+
+      // Only the hash is stored
+      const stored = await Invitation.findById(result.invitation.id);
+      expect(stored.tokenHash).not.toBe(result.invitationToken);
+    });
+
+    it('should let a school admin invite admins for their own school only', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const otherSchool = await createTestSchool();
+      const admin = await createTestUser({ role: 'school_admin', schoolId: school._id });
+      const __token = generateMockToken({
+        userId: admin._id.toString(),
+        role: 'school_admin',
+        schoolId: school._id.toString()
+      });
+
+      // Act
+      const own = await authManager.createInvitation({
+        __token, email: 'a@test.com', role: 'school_admin', schoolId: school._id.toString()
+      });
+      const other = await authManager.createInvitation({
+        __token, email: 'b@test.com', role: 'school_admin', schoolId: otherSchool._id.toString()
+      });
+      const superadmin = await authManager.createInvitation({
+        __token, email: 'c@test.com', role: 'superadmin'
+      });
+
+      // Assert
+      expect(own).toHaveProperty('invitationToken');
+      expect(other).toHaveProperty('code', 'FORBIDDEN');
+      expect(superadmin).toHaveProperty('code', 'FORBIDDEN');
+    });
+
+    it('should return error if email already registered', async () => {
+      // Arrange
+      const admin = await createTestUser({ role: 'superadmin', email: 'existing@test.com' });
+
+      // Act
+      const result = await authManager.createInvitation({
+        __token: generateMockToken({ userId: admin._id.toString() }),
+        email: 'existing@test.com',
+        role: 'superadmin'
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'USER_EXISTS');
+    });
+  });
+
+  // ==========================================
+  // REGISTER TESTS
+  // ==========================================
+
+  describe('register()', () => {
+    it('should register a new superadmin from an invitation', async () => {
+      // Arrange
+      const { token } = await createTestInvitation({ email: 'admin@test.com', role: 'superadmin' });
+
+      const params = {
+        invitationToken: token,
+        password: 'Admin123!',
+        firstName: 'Admin',
+        lastName: 'User'
+      };
+
+      // Act
+      const result = await authManager.register(params);
+
+      // Assert
+      expect(result).toHaveProperty('user');
+      expect(result).toHaveProperty('accessToken');
+      expect(result).toHaveProperty('refreshToken');
+      expect(result).toHaveProperty('message');
+      expect(result.user.email).toBe('admin@test.com');
+      expect(result.user.role).toBe('superadmin');
+      expect(result.user.password).toBeUndefined(); // Password should be removed
+    });
+
+    it('should register a school admin with the invited schoolId', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const { token } = await createTestInvitation({
+        email: 'schooladmin@test.com',
+        role: 'school_admin',
+        schoolId: school._id
+      });
+
+      const params = {
+        invitationToken: token,
+        email: 'schooladmin@test.com',
+        password: 'Admin123!',
+        firstName: 'School',
+        lastName: 'Admin',
+        // Ignored - role and school come from the invitation
+        role: 'superadmin',
+        schoolId: '507f1f77bcf86cd799439011'
+      };
+
+      // Act
+      const result = await authManager.register(params);
+
+      // Assert
+      expect(result).toHaveProperty('user');
+      expect(result.user.role).toBe('school_admin');
+      expect(result.user.schoolId.toString()).toBe(school._id.toString());
+    });
+
+    it('should reject an invitation that was already used', async () => {
+      // Arrange
+      const { token } = await createTestInvitation();
+      const params = {
+        invitationToken: token,
+        password: 'Admin123!',
+        firstName: 'Admin',
+        lastName: 'User'
+      };
+      await authManager.register(params);
+
+      // Act
+      const result = await authManager.register(params);
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_INVITATION');
+    });
+
+    it('should reject an expired invitation', async () => {
+      // Arrange
+      const { token } = await createTestInvitation({ expiresAt: new Date(Date.now() - 1000) });
+
+      // Act
+      const result = await authManager.register({
+        invitationToken: token,
+        password: 'Admin123!',
+        firstName: 'Admin',
+        lastName: 'User'
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_INVITATION');
+    });
+
+    it('should reject an invitation used with a different email', async () => {
+      // Arrange
+      const { token } = await createTestInvitation({ email: 'invited@test.com' });
+
+      // Act
+      const result = await authManager.register({
+        invitationToken: token,
+        email: 'someone-else@test.com',
+        password: 'Admin123!',
+        firstName: 'Admin',
+        lastName: 'User'
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_INVITATION');
+    });
+
+    it('should return error if email already exists', async () => {
+      // Arrange
+      await createTestUser({ email: 'existing@test.com' });
+      const { token } = await createTestInvitation({ email: 'existing@test.com' });
+
+      const params = {
+        invitationToken: token,
+        password: 'Test123!',
+        firstName: 'Test',
+        lastName: 'User'
+      };
+
+      // Act
+      const result = await authManager.register(params);
+
+      // Assert
+      expect(result).toHaveProperty('error');
+      expect(result).toHaveProperty('code', 'USER_EXISTS');
+      expect(result.error).toContain('already exists');
+    });
+
+    it('should hash password before storing', async () => {
+      // Arrange
+      const { token } = await createTestInvitation({ email: 'test@test.com' });
+      const params = {
+        invitationToken: token,
+        password: 'PlainPassword123!',
+        firstName: 'Test',
+        lastName: 'User'
+      };
+
+      // Act
+      await authManager.register(params);
+
+      // Assert - Check password is hashed in database
+      const user = await User.findOne({ email: 'test@test.com' }).select('+password');
+      expect(user.password).not.toBe('PlainPassword123!');
+      expect(user.password).toMatch(/^\$2[aby]\$/); // bcrypt hash pattern
+    });
+
+    it('should generate valid JWT tokens', async () => {
+      // Arrange
+      const { token } = await createTestInvitation();
+      const params = {
+        invitationToken: token,
+        password: 'Test123!',
+        firstName: 'Test',
+        lastName: 'User'
+      };
+
+      // Act
+      const result = await authManager.register(params);
+
+      // Assert
+      expect(result.accessToken).toBeTruthy();
+      expect(result.refreshToken).toBeTruthy();
+      expect(typeof result.accessToken).toBe('string');
+      expect(typeof result.refreshToken).toBe('string');
+      
+      // Tokens should be different
+      expect(result.accessToken).not.toBe(result.refreshToken);
+    });
+  });
+
+  // ==========================================
+  // LOGIN TESTS
+  // ==========================================
+
+  describe('login()', () => {
+    it('should login successfully with correct credentials', async () => {
+      // Arrange
+      const user = await createTestUser({
+        email: 'user@test.com',
+        password: 'Correct123!'
+      });
+
+      const params = {
+        email: 'user@test.com',
+        password: 'Correct123!',
+        __headers: { 'user-agent': 'Test Browser' },
+        __device: 'Test Device',
+        __ip: '127.0.0.1'
+      };
+
+      // Act
+      const result = await authManager.login(params);
+
+      // Assert
+      expect(result).toHaveProperty('user');
+      expect(result).toHaveProperty('accessToken');
+      expect(result).toHaveProperty('refreshToken');
+      expect(result).toHaveProperty('message', 'Login successful');
+      expect(result.user.email).toBe('user@test.com');
+    });
+
+    it('should return error for non-existent user', async () => {
+      // Arrange
+      const params = {
+        email: 'nonexistent@test.com',
+        password: 'Test123!'
+      };
+
+      // Act
+      const result = await authManager.login(params);
+
+      // Assert
+      expect(result).toHaveProperty('error');
+      expect(result).toHaveProperty('code', 'INVALID_CREDENTIALS');
+      expect(result.error).toContain('Invalid email or password');
+    });
+
+    it('should return error for incorrect password', async () => {
+      // Arrange
+      await createTestUser({
+        email: 'user@test.com',
+        password: 'CorrectPassword123!'
+      });
+
+      const params = {
+        email: 'user@test.com',
+        password: 'WrongPassword123!'
+      };
+
+      // Act
+      const result = await authManager.login(params);
+
+      // Assert
+      expect(result).toHaveProperty('error');
+      expect(result).toHaveProperty('code', 'INVALID_CREDENTIALS');
+    });
+
+    it('should return error for inactive account', async () => {
+      // Arrange
+      await createTestUser({
+        email: 'inactive@test.com',
+        password: 'Test123!',
+        isActive: false
+      });
+
+      const params = {
+        email: 'inactive@test.com',
+        password: 'Test123!'
+      };
+
+      // Act
+      const result = await authManager.login(params);
+
+      // Assert
+      expect(result).toHaveProperty('error');
+      expect(result).toHaveProperty('code', 'ACCOUNT_INACTIVE');
+      expect(result.error).toContain('deactivated');
+    });
+
+    it('should not return password in response', async () => {
+      // Arrange
+      await createTestUser({
+        email: 'user@test.com',
+        password: 'Test123!'
+      });
+
+      const params = {
+        email: 'user@test.com',
+        password: 'Test123!'
+      };
+
+      // Act
+      const result = await authManager.login(params);
+
+      // Assert
+      expect(result.user.password).toBeUndefined();
+    });
+  });
+
+  // ==========================================
+  // LOCKOUT TESTS
+  // ==========================================
+
+  describe('login() lockout', () => {
+    const { maxAttempts } = cortex.config.auth.lockout;
+
+    const failLogin = (times) => {
+      const attempts = [];
+      for (let i = 0; i < times; i++) {
+        attempts.push(() => authManager.login({ email: 'user@test.com', password: 'Wrong123!' }));
+      }
+      return attempts.reduce((prev, attempt) => prev.then(attempt), Promise.resolve());
+    };
+
+    it('should lock the account after too many failed attempts', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      await failLogin(maxAttempts - 1);
+
+      // Act
+      const lastFailure = await authManager.login({ email: 'user@test.com', password: 'Wrong123!' });
+      const correct = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Assert
+      expect(lastFailure).toHaveProperty('code', 'ACCOUNT_LOCKED');
+      expect(correct).toHaveProperty('code', 'ACCOUNT_LOCKED');
+      expect(correct.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('should double the lock duration on consecutive locks', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      await failLogin(maxAttempts);
+      const first = await User.findById(user._id);
+
+      // Let the first lock expire
+      await User.updateOne({ _id: user._id }, { lockUntil: new Date(Date.now() - 1000) });
+
+      // Act
+      await failLogin(maxAttempts);
+
+      // Assert
+      const second = await User.findById(user._id);
+      const firstDuration = first.lockUntil.getTime() - first.updatedAt.getTime();
+      const secondDuration = second.lockUntil.getTime() - second.updatedAt.getTime();
+      expect(second.lockCount).toBe(2);
+      expect(secondDuration).toBeGreaterThan(firstDuration * 1.5);
+    });
+
+    it('should reset the counter after a successful login', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      await failLogin(maxAttempts - 1);
+
+      // Act
+      await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Assert
+      const updated = await User.findById(user._id);
+      expect(updated.failedLoginAttempts).toBe(0);
+    });
+
+    it('should map ACCOUNT_LOCKED to 423', () => {
+      expect(cortex.getStatusCode('ACCOUNT_LOCKED')).toBe(423);
+    });
+  });
+
+  describe('unlockAccount()', () => {
+    it('should let a superadmin unlock an account', async () => {
+      // Arrange
+      const user = await createTestUser({
+        email: 'user@test.com',
+        password: 'Test123!',
+        lockUntil: new Date(Date.now() + 60 * 60 * 1000),
+        lockCount: 3
+      });
+
+      // Act
+      const result = await authManager.unlockAccount({
+        __token: generateMockToken({ role: 'superadmin' }),
+        id: user._id.toString()
+      });
+
+      // Assert
+      expect(result).toHaveProperty('message');
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      expect(login).toHaveProperty('accessToken');
+    });
+
+    it('should forbid school admins', async () => {
+      // Arrange
+      const user = await createTestUser();
+
+      // Act
+      const result = await executeManager(AuthManager, 'unlockAccount', {
+        __token: generateMockToken({ role: 'school_admin', schoolId: '507f1f77bcf86cd799439011' }),
+        id: user._id.toString()
+      });
+
+      // Assert
+      expect(result.status).toBe(403);
+      expect(result.body).toHaveProperty('code', 'FORBIDDEN');
+    });
+  });
+
+  // ==========================================
+  // IMPERSONATION TESTS
+  // ==========================================
+
+  describe('impersonate()', () => {
+    /**
+     * Superadmin impersonating a school admin
+     */
+    async function startImpersonation() {
+      const school = await createTestSchool();
+      const admin = await createTestUser({ role: 'superadmin' });
+      const target = await createTestUser({ role: 'school_admin', schoolId: school._id });
+
+      const result = await authManager.impersonate({
+        __token: generateMockToken({ userId: admin._id.toString() }),
+        id: target._id.toString(),
+        reason: 'Ticket #42'
+      });
+
+      return { admin, target, result };
+    }
+
+    /**
+     * Run authenticate() the way a route would, then finish the response
+     */
+    async function request(accessToken, { directLoginOnly = false } = {}) {
+      const req = {
+        headers: { authorization: `Bearer ${accessToken}` },
+        method: 'GET',
+        originalUrl: '/api/v1/classrooms',
+        ip: '127.0.0.1'
+      };
+      const res = mockResponse();
+      res.statusCode = 200;
+      const next = jest.fn();
+
+      await cortex.authenticate()(req, res, next);
+      if (directLoginOnly) cortex.requireDirectLogin()(req, res, next);
+
+      // Responses fire 'finish' once sent
+      await Promise.all(res.on.mock.calls.map(([event, listener]) => event === 'finish' && listener()));
+
+      return { req, res, next };
+    }
+
+    it('should issue a token carrying the real and the effective identity', async () => {
+      // Arrange
+      const { admin, target, result } = await startImpersonation();
+
+      // Act
+      const { req, next } = await request(result.accessToken);
+
+      // Assert
+      expect(next).toHaveBeenCalled();
+      expect(req.__token.userId).toBe(target._id.toString());
+      expect(req.__token.role).toBe('school_admin');
+      expect(req.__token.actor).toEqual({ userId: admin._id.toString(), email: admin.email });
+      expect(result).not.toHaveProperty('refreshToken');
+    });
+
+    it('should log the impersonation and every request made with it', async () => {
+      // Arrange
+      const { admin, result } = await startImpersonation();
+
+      // Act
+      await request(result.accessToken);
+      const logs = await ImpersonationLog.find({ actorId: admin._id }).sort({ createdAt: 1 });
+
+      // Assert
+      expect(logs.map(log => log.action)).toEqual(['start', 'request']);
+      expect(logs[0].reason).toBe('Ticket #42');
+      expect(logs[1]).toMatchObject({ method: 'GET', path: '/api/v1/classrooms', statusCode: 200 });
+    });
+
+    it('should refuse credential changes while impersonating', async () => {
+      // Arrange
+      const { result } = await startImpersonation();
+
+      // Act
+      const { res } = await request(result.accessToken, { directLoginOnly: true });
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0]).toHaveProperty('code', 'IMPERSONATION_FORBIDDEN');
+    });
+
+    it('should refuse inviting users while impersonating', async () => {
+      // Arrange
+      const { result } = await startImpersonation();
+      const route = authRoutes.stack.find(layer => layer.route && layer.route.path === '/invitations').route;
+      const req = { headers: { authorization: `Bearer ${result.accessToken}` }, ip: '127.0.0.1' };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      // Act: authenticate(), then the impersonation guard
+      await route.stack[0].handle(req, res, next);
+      route.stack[1].handle(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0]).toHaveProperty('code', 'IMPERSONATION_FORBIDDEN');
+    });
+
+    it('should end when the superadmin is deactivated', async () => {
+      // Arrange
+      const { admin, result } = await startImpersonation();
+      await User.findByIdAndUpdate(admin._id, { isActive: false });
+
+      // Act
+      const { res, next } = await request(result.accessToken);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should not impersonate other superadmins', async () => {
+      // Arrange
+      const [admin, other] = [await createTestUser(), await createTestUser()];
+
+      // Act
+      const result = await authManager.impersonate({
+        __token: generateMockToken({ userId: admin._id.toString() }),
+        id: other._id.toString()
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'FORBIDDEN');
+    });
+
+    it('should forbid school admins', async () => {
+      // Arrange
+      const user = await createTestUser();
+
+      // Act
+      const result = await executeManager(AuthManager, 'impersonate', {
+        __token: generateMockToken({ role: 'school_admin', schoolId: '507f1f77bcf86cd799439011' }),
+        id: user._id.toString()
+      });
+
+      // Assert
+      expect(result.status).toBe(403);
+    });
+  });
+
+  describe('listImpersonations()', () => {
+    it('should page through the log with a bounded limit', async () => {
+      // Arrange
+      const [admin, target] = [await createTestUser(), await createTestUser({ role: 'teacher' })];
+      for (let i = 0; i < 3; i++) {
+        await ImpersonationLog.create({ actorId: admin._id, userId: target._id, action: 'request', jti: `jti-${i}` });
+      }
+      const __token = generateMockToken({ userId: admin._id.toString() });
+
+      // Act
+      const tooMany = await executeManager(AuthManager, 'listImpersonations', { __token, limit: '100000' });
+      const first = await executeManager(AuthManager, 'listImpersonations', { __token, limit: '2' });
+      const second = await executeManager(AuthManager, 'listImpersonations', {
+        __token,
+        limit: '2',
+        cursor: first.body.pagination.nextCursor
+      });
+
+      // Assert
+      expect(tooMany.status).toBe(400);
+      expect(tooMany.body).toHaveProperty('code', 'VALIDATION_ERROR');
+      expect(first.body.logs).toHaveLength(2);
+      expect(first.body.pagination.total).toBe(3);
+      expect(second.body.logs).toHaveLength(1);
+      expect(second.body.pagination.hasMore).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // TWO-FACTOR TESTS
+  // ==========================================
+
+  describe('two-factor authentication', () => {
+    // Codes for the next step, so they don't collide with the enrollment code
+    const nextCode = (secret) => totp.generate(secret, Date.now() + 30000);
+
+    const enroll = async (user) => {
+      const __token = { userId: user._id.toString() };
+      const { secret } = await authManager.setupTwoFactor({ __token });
+      const enabled = await authManager.enableTwoFactor({ __token, code: totp.generate(secret) });
+      return { secret, recoveryCodes: enabled.recoveryCodes };
+    };
+
+    afterEach(() => {
+      cortex.config.auth.twoFactor.requiredRoles = [];
+    });
+
+    it('should return a provisioning URI on setup', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com' });
+
+      // Act
+      const result = await authManager.setupTwoFactor({ __token: { userId: user._id.toString() } });
+
+      // Assert
+      expect(result.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(result.otpauthUrl).toContain(`secret=${result.secret}`);
+    });
+
+    it('should enable 2FA with a valid code and return recovery codes', async () => {
+      // Arrange
+      const user = await createTestUser();
+
+      // Act
+      const { recoveryCodes } = await enroll(user);
+
+      // Assert
+      expect(recoveryCodes).toHaveLength(10);
+      const updated = await User.findById(user._id);
+      expect(updated.twoFactor.enabled).toBe(true);
+      expect(updated.toJSON().twoFactor.secret).toBeUndefined();
+    });
+
+    it('should not enable 2FA with a wrong code', async () => {
+      // Arrange
+      const user = await createTestUser();
+      const __token = { userId: user._id.toString() };
+      await authManager.setupTwoFactor({ __token });
+
+      // Act
+      const result = await authManager.enableTwoFactor({ __token, code: '000000' });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_TWO_FACTOR_CODE');
+    });
+
+    it('should turn login into a two-step challenge', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const { secret } = await enroll(user);
+
+      // Act
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const verified = await authManager.verifyTwoFactor({
+        challengeToken: login.challengeToken,
+        code: nextCode(secret)
+      });
+
+      // Assert
+      expect(login.twoFactorRequired).toBe(true);
+      expect(login).not.toHaveProperty('accessToken');
+      expect(verified).toHaveProperty('accessToken');
+      expect(verified).toHaveProperty('refreshToken');
+    });
+
+    it('should reject a replayed code', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const { secret } = await enroll(user);
+      const code = nextCode(secret);
+      const first = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      await authManager.verifyTwoFactor({ challengeToken: first.challengeToken, code });
+
+      // Act
+      const second = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const result = await authManager.verifyTwoFactor({ challengeToken: second.challengeToken, code });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_TWO_FACTOR_CODE');
+    });
+
+    it('should accept each recovery code once', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const { recoveryCodes } = await enroll(user);
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act
+      const first = await authManager.verifyTwoFactor({
+        challengeToken: login.challengeToken,
+        recoveryCode: recoveryCodes[0].toUpperCase()
+      });
+      const second = await authManager.verifyTwoFactor({
+        challengeToken: login.challengeToken,
+        recoveryCode: recoveryCodes[0]
+      });
+
+      // Assert
+      expect(first).toHaveProperty('accessToken');
+      expect(second).toHaveProperty('code', 'INVALID_TWO_FACTOR_CODE');
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      await enroll(user);
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act
+      const result = await authManager.refresh({ refreshToken: login.challengeToken });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_TOKEN');
+      expect(cortex.verifyPurposeToken(login.challengeToken, 'mfa_challenge')).toBeTruthy();
+    });
+
+    it('should require enrollment for roles that mandate 2FA', async () => {
+      // Arrange
+      cortex.config.auth.twoFactor.requiredRoles = ['superadmin'];
+      await createTestUser({ email: 'root@test.com', password: 'Test123!', role: 'superadmin' });
+
+      // Act
+      const login = await authManager.login({ email: 'root@test.com', password: 'Test123!' });
+      const __token = cortex.verifyToken(login.accessToken);
+      const { secret } = await authManager.setupTwoFactor({ __token });
+      const enabled = await authManager.enableTwoFactor({ __token, code: totp.generate(secret) });
+
+      // Assert
+      expect(login.twoFactorSetupRequired).toBe(true);
+      expect(login).not.toHaveProperty('refreshToken');
+      expect(__token.pending).toBe('mfa_enroll');
+      expect(enabled).toHaveProperty('accessToken');
+      expect(cortex.verifyToken(enabled.accessToken).pending).toBeUndefined();
+    });
+
+    it('should not let mandatory roles disable 2FA', async () => {
+      // Arrange
+      const user = await createTestUser({ password: 'Test123!', role: 'superadmin' });
+      const { secret } = await enroll(user);
+      cortex.config.auth.twoFactor.requiredRoles = ['superadmin'];
+
+      // Act
+      const result = await authManager.disableTwoFactor({
+        __token: { userId: user._id.toString() },
+        password: 'Test123!',
+        code: nextCode(secret)
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'TWO_FACTOR_REQUIRED');
+    });
+
+    it('should disable 2FA with password and code', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const { secret } = await enroll(user);
+
+      // Act
+      const result = await authManager.disableTwoFactor({
+        __token: { userId: user._id.toString() },
+        password: 'Test123!',
+        code: nextCode(secret)
+      });
+
+      // Assert
+      expect(result).toHaveProperty('message');
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      expect(login).toHaveProperty('accessToken');
+    });
+
+    it('should end other sessions when 2FA is turned on or off', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const phone = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const laptop = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const __token = cortex.verifyToken(laptop.accessToken);
+      const { secret } = await authManager.setupTwoFactor({ __token });
+
+      // Act
+      const { recoveryCodes } = await authManager.enableTwoFactor({ __token, code: totp.generate(secret) });
+      const afterEnable = await authManager.listSessions({ __token });
+      const tablet = await authManager.verifyTwoFactor({
+        challengeToken: (await authManager.login({ email: 'user@test.com', password: 'Test123!' })).challengeToken,
+        code: nextCode(secret)
+      });
+      await authManager.disableTwoFactor({ __token, password: 'Test123!', recoveryCode: recoveryCodes[0] });
+      const afterDisable = await authManager.listSessions({ __token });
+
+      // Assert
+      expect(afterEnable.sessions.map(session => session.current)).toEqual([true]);
+      expect(await authManager.refresh({ refreshToken: phone.refreshToken })).toHaveProperty('error');
+      expect(afterDisable.sessions.map(session => session.current)).toEqual([true]);
+      expect(await authManager.refresh({ refreshToken: tablet.refreshToken })).toHaveProperty('error');
+    });
+  });
+
+  // ==========================================
+  // REFRESH TOKEN TESTS
+  // ==========================================
+
+  describe('refresh()', () => {
+    it('should rotate a valid refresh token', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act
+      const result = await authManager.refresh({ refreshToken: login.refreshToken });
+
+      // Assert
+      expect(result).toHaveProperty('accessToken');
+      expect(result).toHaveProperty('refreshToken');
+      expect(result.refreshToken).not.toBe(login.refreshToken);
+
+      // Old token is marked as used, both tokens share a family
+      const tokens = await RefreshToken.find({}).sort({ createdAt: 1 });
+      expect(tokens).toHaveLength(2);
+      expect(tokens[0].usedAt).toBeTruthy();
+      expect(tokens[1].family).toBe(tokens[0].family);
+    });
+
+    it('should reject reuse and revoke the whole family', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const rotated = await authManager.refresh({ refreshToken: login.refreshToken });
+
+      // Act - replay the original token
+      const result = await authManager.refresh({ refreshToken: login.refreshToken });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'TOKEN_REUSED');
+
+      // The legitimately rotated token no longer works either
+      const afterReuse = await authManager.refresh({ refreshToken: rotated.refreshToken });
+      expect(afterReuse).toHaveProperty('code', 'TOKEN_REUSED');
+    });
+
+    it('should not revoke other login families on reuse', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const first = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const second = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      await authManager.refresh({ refreshToken: first.refreshToken });
+      await authManager.refresh({ refreshToken: first.refreshToken });
+
+      // Act
+      const result = await authManager.refresh({ refreshToken: second.refreshToken });
+
+      // Assert
+      expect(result).toHaveProperty('accessToken');
+    });
+
+    it('should reject refresh after the account is deactivated', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      await User.findByIdAndUpdate(user._id, { isActive: false });
+
+      // Act
+      const result = await authManager.refresh({ refreshToken: login.refreshToken });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_TOKEN');
+    });
+
+    it('should reject refresh after the token version changed', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      await User.findByIdAndUpdate(user._id, { role: 'school_admin', schoolId: '507f1f77bcf86cd799439011' });
+
+      // Act
+      const result = await authManager.refresh({ refreshToken: login.refreshToken });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_TOKEN');
+    });
+
+    it('should return error for an invalid refresh token', async () => {
+      // Act
+      const result = await authManager.refresh({ refreshToken: 'not-a-token' });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_TOKEN');
+    });
+
+    it('should reject access tokens used as refresh tokens', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act
+      const result = await authManager.refresh({ refreshToken: login.accessToken });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_TOKEN');
+    });
+  });
+
+  // ==========================================
+  // LOGOUT TESTS
+  // ==========================================
+
+  describe('logout()', () => {
+    it('should revoke the current access token', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const decoded = cortex.verifyToken(login.accessToken);
+
+      // Act
+      const result = await authManager.logout({ __token: decoded });
+
+      // Assert
+      expect(result).toHaveProperty('message');
+      expect(await cortex.isTokenRevoked(decoded)).toBe(true);
+    });
+
+    it('should revoke the given refresh token family', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act
+      await authManager.logout({
+        __token: cortex.verifyToken(login.accessToken),
+        refreshToken: login.refreshToken
+      });
+
+      // Assert
+      const result = await authManager.refresh({ refreshToken: login.refreshToken });
+      expect(result).toHaveProperty('error');
+    });
+
+    it('should not revoke other access tokens', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const first = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const second = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act
+      await authManager.logout({ __token: cortex.verifyToken(first.accessToken) });
+
+      // Assert
+      expect(await cortex.isTokenRevoked(cortex.verifyToken(second.accessToken))).toBe(false);
+    });
+  });
+
+  describe('logoutAll()', () => {
+    /**
+     * Run cortex.authenticate() with a bearer token
+     */
+    async function authenticate(accessToken) {
+      const req = { headers: { authorization: `Bearer ${accessToken}` }, ip: '127.0.0.1' };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await cortex.authenticate({ allowPending: ['mfa_enroll', 'password_change'] })(req, res, next);
+
+      return { res, next };
+    }
+
+    it('should revoke every token issued to the user', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const first = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const second = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act: within the same second as the logins
+      const result = await authManager.logoutAll({ __token: cortex.verifyToken(second.accessToken) });
+
+      // Assert
+      expect(result).toHaveProperty('message');
+      for (const { accessToken } of [first, second]) {
+        const { res, next } = await authenticate(accessToken);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TOKEN_REVOKED' }));
+      }
+
+      const refreshed = await authManager.refresh({ refreshToken: first.refreshToken });
+      expect(refreshed).toHaveProperty('error');
+    });
+
+    it('should revoke tokens that carry no session', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const pending = authManager.passwordChangeRequired(user).accessToken;
+
+      // Act
+      await authManager.logoutAll({ __token: cortex.verifyToken(pending) });
+
+      // Assert
+      const { res, next } = await authenticate(pending);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should not revoke a login made right after it', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const before = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      await authManager.logoutAll({ __token: cortex.verifyToken(before.accessToken) });
+
+      // Act: most likely within the same second as the logout
+      const after = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Assert
+      const { next } = await authenticate(after.accessToken);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return error if no token', async () => {
+      // Act
+      const result = await authManager.logoutAll({});
+
+      // Assert
+      expect(result).toHaveProperty('code', 'NO_AUTH');
+    });
+  });
+
+  // ==========================================
+  // SESSION TESTS
+  // ==========================================
+
+  describe('sessions', () => {
+    const login = (device) => authManager.login({
+      email: 'user@test.com',
+      password: 'Test123!',
+      __device: device,
+      __ip: '10.0.0.1'
+    });
+
+    it('should record the device and IP of each login', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      await login('Firefox');
+      const current = await login('Safari');
+
+      // Act
+      const result = await authManager.listSessions({ __token: cortex.verifyToken(current.accessToken) });
+
+      // Assert
+      expect(result.sessions).toHaveLength(2);
+      const [first, second] = result.sessions.sort((a, b) => a.device.localeCompare(b.device));
+      expect(first).toMatchObject({ device: 'Firefox', ip: '10.0.0.1', current: false });
+      expect(second).toMatchObject({ device: 'Safari', current: true });
+      expect(second.lastSeenAt).toBeInstanceOf(Date);
+    });
+
+    it('should end a revoked session', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const phone = await login('Phone');
+      const laptop = await login('Laptop');
+      const __token = cortex.verifyToken(laptop.accessToken);
+
+      // Act
+      const result = await authManager.revokeSession({ __token, id: cortex.verifyToken(phone.accessToken).sid });
+
+      // Assert
+      expect(result).toHaveProperty('message');
+      expect(await authManager.refresh({ refreshToken: phone.refreshToken })).toHaveProperty('error');
+      const { sessions } = await authManager.listSessions({ __token });
+      expect(sessions.map(session => session.device)).toEqual(['Laptop']);
+    });
+
+    it('should not revoke another user\'s session', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const other = await createTestUser({ email: 'other@test.com' });
+      const session = await login('Phone');
+
+      // Act
+      const result = await authManager.revokeSession({
+        __token: { userId: other._id.toString() },
+        id: cortex.verifyToken(session.accessToken).sid
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'SESSION_NOT_FOUND');
+    });
+
+    it('should keep the session across refreshes', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const first = await login('Phone');
+
+      // Act
+      const refreshed = await authManager.refresh({ refreshToken: first.refreshToken });
+
+      // Assert
+      expect(cortex.verifyToken(refreshed.accessToken).sid)
+        .toBe(cortex.verifyToken(first.accessToken).sid);
+    });
+
+    it('should end every session on logout-all', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      await login('Phone');
+      const laptop = await login('Laptop');
+      const __token = cortex.verifyToken(laptop.accessToken);
+
+      // Act
+      await authManager.logoutAll({ __token });
+
+      // Assert
+      const { sessions } = await authManager.listSessions({ __token });
+      expect(sessions).toHaveLength(0);
+    });
   });
 
   // ==========================================
-  // REGISTER TESTS
+  // EMAIL VERIFICATION TESTS
   // ==========================================
 
-  describe('register()', () => {
-    it('should register a new superadmin successfully', async () => {
-      // Arrange
-      const params = {
-        email: 'admin@test.com',
-        password: 'Admin123!',
-        firstName: 'Admin',
-        lastName: 'User',
-        role: 'superadmin'
-      };
+  describe('verifyEmail()', () => {
+    const registerInvitee = async () => {
+      const { token } = await createTestInvitation({ email: 'new@test.com' });
+      return authManager.register({
+        invitationToken: token,
+        password: 'Test123!',
+        firstName: 'New',
+        lastName: 'User'
+      });
+    };
 
+    afterEach(() => {
+      authManager.cortex.config.auth.requireEmailVerification = false;
+    });
+
+    it('should send a verification email on register', async () => {
       // Act
-      const result = await authManager.register(params);
+      const result = await registerInvitee();
 
       // Assert
-      expect(result).toHaveProperty('user');
-      expect(result).toHaveProperty('accessToken');
-      expect(result).toHaveProperty('refreshToken');
-      expect(result).toHaveProperty('message');
-      expect(result.user.email).toBe('admin@test.com');
-      expect(result.user.role).toBe('superadmin');
-      expect(result.user.password).toBeUndefined(); // Password should be removed
+      expect(result.user.emailVerified).toBe(false);
+      expect(transport.outbox).toHaveLength(1);
+      expect(transport.outbox[0].to).toBe('new@test.com');
     });
 
-    it('should register a school admin with schoolId', async () => {
+    it('should mark the email as verified', async () => {
       // Arrange
-      const params = {
-        email: 'schooladmin@test.com',
-        password: 'Admin123!',
-        firstName: 'School',
-        lastName: 'Admin',
-        role: 'school_admin',
-        schoolId: '507f1f77bcf86cd799439011' // Valid ObjectId
-      };
+      const { user } = await registerInvitee();
 
       // Act
-      const result = await authManager.register(params);
+      const result = await authManager.verifyEmail({ token: lastMailedToken() });
 
       // Assert
-      expect(result).toHaveProperty('user');
-      expect(result.user.role).toBe('school_admin');
-      expect(result.user.schoolId).toBe('507f1f77bcf86cd799439011');
+      expect(result).toHaveProperty('message');
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.emailVerified).toBe(true);
+      expect(updatedUser.emailVerifiedAt).toBeInstanceOf(Date);
     });
 
-    it('should return error if email already exists', async () => {
+    it('should reject an unknown or reused token', async () => {
       // Arrange
-      await createTestUser({ email: 'existing@test.com' });
-
-      const params = {
-        email: 'existing@test.com',
-        password: 'Test123!',
-        firstName: 'Test',
-        lastName: 'User',
-        role: 'superadmin'
-      };
+      await registerInvitee();
+      const token = lastMailedToken();
+      await authManager.verifyEmail({ token });
 
       // Act
-      const result = await authManager.register(params);
+      const reused = await authManager.verifyEmail({ token });
+      const unknown = await authManager.verifyEmail({ token: 'unknown' });
 
       // Assert
-      expect(result).toHaveProperty('error');
-      expect(result).toHaveProperty('code', 'USER_EXISTS');
-      expect(result.error).toContain('already exists');
+      expect(reused).toHaveProperty('code', 'INVALID_VERIFICATION_TOKEN');
+      expect(unknown).toHaveProperty('code', 'INVALID_VERIFICATION_TOKEN');
     });
 
-    it('should hash password before storing', async () => {
+    it('should block login for unverified accounts when required', async () => {
       // Arrange
-      const params = {
-        email: 'test@test.com',
-        password: 'PlainPassword123!',
-        firstName: 'Test',
-        lastName: 'User',
-        role: 'superadmin'
-      };
+      authManager.cortex.config.auth.requireEmailVerification = true;
+      const registered = await registerInvitee();
 
       // Act
-      await authManager.register(params);
+      const blocked = await authManager.login({ email: 'new@test.com', password: 'Test123!' });
+      await authManager.verifyEmail({ token: lastMailedToken() });
+      const allowed = await authManager.login({ email: 'new@test.com', password: 'Test123!' });
 
-      // Assert - Check password is hashed in database
-      const user = await User.findOne({ email: 'test@test.com' }).select('+password');
-      expect(user.password).not.toBe('PlainPassword123!');
-      expect(user.password).toMatch(/^\$2[aby]\$/); // bcrypt hash pattern
+      // Assert
+      expect(registered).not.toHaveProperty('accessToken');
+      expect(blocked).toHaveProperty('code', 'EMAIL_NOT_VERIFIED');
+      expect(allowed).toHaveProperty('accessToken');
     });
 
-    it('should generate valid JWT tokens', async () => {
+    it('should resend a link only to unverified accounts', async () => {
       // Arrange
-      const params = {
-        email: 'test@test.com',
-        password: 'Test123!',
-        firstName: 'Test',
-        lastName: 'User',
-        role: 'superadmin'
-      };
+      await registerInvitee();
+      await createTestUser({ email: 'verified@test.com', emailVerified: true });
 
       // Act
-      const result = await authManager.register(params);
+      await authManager.resendVerification({ email: 'new@test.com' });
+      await authManager.resendVerification({ email: 'verified@test.com' });
 
-      // Assert
-      expect(result.accessToken).toBeTruthy();
-      expect(result.refreshToken).toBeTruthy();
-      expect(typeof result.accessToken).toBe('string');
-      expect(typeof result.refreshToken).toBe('string');
-      
-      // Tokens should be different
-      expect(result.accessToken).not.toBe(result.refreshToken);
+      // Assert - one mail from register, one from resend
+      expect(transport.outbox).toHaveLength(2);
+      expect(transport.outbox[1].to).toBe('new@test.com');
     });
   });
 
   // ==========================================
-  // LOGIN TESTS
+  // PASSWORD RESET TESTS
   // ==========================================
 
-  describe('login()', () => {
-    it('should login successfully with correct credentials', async () => {
+  describe('forgotPassword()', () => {
+    it('should mail a reset link to an existing user', async () => {
       // Arrange
-      const user = await createTestUser({
-        email: 'user@test.com',
-        password: 'Correct123!'
-      });
-
-      const params = {
-        email: 'user@test.com',
-        password: 'Correct123!',
-        __headers: { 'user-agent': 'Test Browser' },
-        __device: 'Test Device',
-        __ip: '127.0.0.1'
-      };
+      await createTestUser({ email: 'user@test.com' });
 
       // Act
-      const result = await authManager.login(params);
+      const result = await authManager.forgotPassword({ email: 'user@test.com' });
 
       // Assert
-      expect(result).toHaveProperty('user');
-      expect(result).toHaveProperty('accessToken');
-      expect(result).toHaveProperty('refreshToken');
-      expect(result).toHaveProperty('message', 'Login successful');
-      expect(result.user.email).toBe('user@test.com');
+      expect(result).toHaveProperty('message');
+      expect(transport.outbox).toHaveLength(1);
+      expect(transport.outbox[0].to).toBe('user@test.com');
+
+      // Only the hash is stored
+      const token = lastMailedToken();
+      expect(await UserToken.exists({ tokenHash: token })).toBeNull();
     });
 
-    it('should return error for non-existent user', async () => {
+    it('should respond the same for an unknown email without sending mail', async () => {
       // Arrange
-      const params = {
-        email: 'nonexistent@test.com',
-        password: 'Test123!'
-      };
+      await createTestUser({ email: 'user@test.com' });
+      const known = await authManager.forgotPassword({ email: 'user@test.com' });
 
       // Act
-      const result = await authManager.login(params);
+      const unknown = await authManager.forgotPassword({ email: 'nobody@test.com' });
 
       // Assert
-      expect(result).toHaveProperty('error');
-      expect(result).toHaveProperty('code', 'INVALID_CREDENTIALS');
-      expect(result.error).toContain('Invalid email or password');
+      expect(unknown).toEqual(known);
+      expect(transport.outbox).toHaveLength(1);
     });
+  });
 
-    it('should return error for incorrect password', async () => {
+  describe('resetPassword()', () => {
+    it('should set the new password', async () => {
       // Arrange
-      await createTestUser({
-        email: 'user@test.com',
-        password: 'CorrectPassword123!'
+      const user = await createTestUser({ email: 'user@test.com', password: 'OldPassword123!' });
+      await authManager.forgotPassword({ email: 'user@test.com' });
+
+      // Act
+      const result = await authManager.resetPassword({
+        token: lastMailedToken(),
+        newPassword: 'NewPassword123!'
       });
 
-      const params = {
-        email: 'user@test.com',
-        password: 'WrongPassword123!'
-      };
+      // Assert
+      expect(result).toHaveProperty('message');
+      const updatedUser = await User.findById(user._id).select('+password');
+      expect(await updatedUser.comparePassword('NewPassword123!')).toBe(true);
+      expect(updatedUser.tokenVersion).toBe(user.tokenVersion + 1);
+    });
+
+    it('should only accept a token once', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com' });
+      await authManager.forgotPassword({ email: 'user@test.com' });
+      const token = lastMailedToken();
+      await authManager.resetPassword({ token, newPassword: 'NewPassword123!' });
 
       // Act
-      const result = await authManager.login(params);
+      const result = await authManager.resetPassword({ token, newPassword: 'Another123!' });
 
       // Assert
-      expect(result).toHaveProperty('error');
-      expect(result).toHaveProperty('code', 'INVALID_CREDENTIALS');
+      expect(result).toHaveProperty('code', 'INVALID_RESET_TOKEN');
     });
 
-    it('should return error for inactive account', async () => {
+    it('should reject an expired token', async () => {
       // Arrange
-      await createTestUser({
-        email: 'inactive@test.com',
-        password: 'Test123!',
-        isActive: false
-      });
-
-      const params = {
-        email: 'inactive@test.com',
-        password: 'Test123!'
-      };
+      await createTestUser({ email: 'user@test.com' });
+      await authManager.forgotPassword({ email: 'user@test.com' });
+      await UserToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
 
       // Act
-      const result = await authManager.login(params);
+      const result = await authManager.resetPassword({
+        token: lastMailedToken(),
+        newPassword: 'NewPassword123!'
+      });
 
       // Assert
-      expect(result).toHaveProperty('error');
-      expect(result).toHaveProperty('code', 'ACCOUNT_INACTIVE');
-      expect(result.error).toContain('deactivated');
+      expect(result).toHaveProperty('code', 'INVALID_RESET_TOKEN');
     });
 
-    it('should not return password in response', async () => {
+    it('should refuse a recently used password', async () => {
       // Arrange
-      await createTestUser({
-        email: 'user@test.com',
-        password: 'Test123!'
+      await createTestUser({ email: 'user@test.com', password: 'OldPassword123!' });
+      await authManager.forgotPassword({ email: 'user@test.com' });
+
+      // Act
+      const result = await authManager.resetPassword({
+        token: lastMailedToken(),
+        newPassword: 'OldPassword123!'
       });
 
-      const params = {
-        email: 'user@test.com',
-        password: 'Test123!'
-      };
+      // Assert
+      expect(result).toHaveProperty('code', 'PASSWORD_REUSED');
+    });
+
+    it('should invalidate earlier reset links when a new one is requested', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com' });
+      await authManager.forgotPassword({ email: 'user@test.com' });
+      const firstToken = lastMailedToken();
+      await authManager.forgotPassword({ email: 'user@test.com' });
 
       // Act
-      const result = await authManager.login(params);
+      const result = await authManager.resetPassword({
+        token: firstToken,
+        newPassword: 'NewPassword123!'
+      });
 
       // Assert
-      expect(result.user.password).toBeUndefined();
+      expect(result).toHaveProperty('code', 'INVALID_RESET_TOKEN');
     });
   });
 
@@ -266,6 +1527,28 @@ describe('Auth Manager', () => {
       expect(result.user.lastName).toBe('Doe');
     });
 
+    it('should list permissions per school membership', async () => {
+      // Arrange
+      const [primary, other] = [await createTestSchool(), await createTestSchool()];
+      const user = await createTestUser({
+        role: 'teacher',
+        schoolId: primary._id,
+        memberships: [{ schoolId: other._id, role: 'school_admin' }]
+      });
+
+      // Act
+      const result = await authManager.getMe({ __token: { userId: user._id.toString() } });
+
+      // Assert
+      expect(result.schoolPermissions.map(school => [String(school.schoolId), school.role])).toEqual([
+        [String(primary._id), 'teacher'],
+        [String(other._id), 'school_admin']
+      ]);
+      expect(result.schoolPermissions[0].permissions).not.toContain('student:create');
+      expect(result.schoolPermissions[1].permissions).toContain('student:create');
+      expect(result.permissions).toContain('student:create');
+    });
+
     it('should return error if no token', async () => {
       // Arrange
       const params = {};
@@ -399,6 +1682,28 @@ describe('Auth Manager', () => {
       expect(isNewPasswordValid).toBe(true);
     });
 
+    it('should bump the token version and return fresh tokens', async () => {
+      // Arrange
+      const user = await createTestUser({
+        password: 'OldPassword123!'
+      });
+
+      const params = {
+        __token: { userId: user._id.toString() },
+        currentPassword: 'OldPassword123!',
+        newPassword: 'NewPassword123!'
+      };
+
+      // Act
+      const result = await authManager.changePassword(params);
+
+      // Assert
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.tokenVersion).toBe(user.tokenVersion + 1);
+      expect(result).toHaveProperty('accessToken');
+      expect(cortex.verifyToken(result.accessToken).ver).toBe(updatedUser.tokenVersion);
+    });
+
     it('should return error if current password is incorrect', async () => {
       // Arrange
       const user = await createTestUser({
@@ -439,5 +1744,132 @@ describe('Auth Manager', () => {
       expect(updatedUser.password).not.toBe('NewPassword123!');
       expect(updatedUser.password).toMatch(/^\$2[aby]\$/);
     });
+
+    it('should refuse passwords kept in the history', async () => {
+      // Arrange
+      const user = await createTestUser({ password: 'OldPassword123!' });
+      const __token = { userId: user._id.toString() };
+      await authManager.changePassword({ __token, currentPassword: 'OldPassword123!', newPassword: 'NewPassword123!' });
+
+      // Act
+      const result = await authManager.changePassword({
+        __token,
+        currentPassword: 'NewPassword123!',
+        newPassword: 'OldPassword123!'
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'PASSWORD_REUSED');
+      const updatedUser = await User.findById(user._id).select('+passwordHistory');
+      expect(updatedUser.passwordHistory).toHaveLength(1);
+    });
+
+    it('should only keep the configured number of previous passwords', async () => {
+      // Arrange
+      const { passwordPolicy } = cortex.config.auth;
+      const user = await createTestUser({ password: 'Password0!' });
+      const __token = { userId: user._id.toString() };
+      for (let i = 1; i <= passwordPolicy.historySize + 1; i++) {
+        await authManager.changePassword({ __token, currentPassword: `Password${i - 1}!`, newPassword: `Password${i}!` });
+      }
+
+      // Act
+      const result = await authManager.changePassword({
+        __token,
+        currentPassword: `Password${passwordPolicy.historySize + 1}!`,
+        newPassword: 'Password0!'
+      });
+
+      // Assert
+      expect(result).toHaveProperty('accessToken');
+      const updatedUser = await User.findById(user._id).select('+passwordHistory');
+      expect(updatedUser.passwordHistory).toHaveLength(passwordPolicy.historySize);
+    });
+  });
+
+  // ==========================================
+  // PASSWORD EXPIRY TESTS
+  // ==========================================
+
+  describe('password expiry', () => {
+    beforeEach(() => {
+      cortex.config.auth.passwordPolicy.maxAge = '90d';
+    });
+
+    afterEach(() => {
+      cortex.config.auth.passwordPolicy.maxAge = '';
+    });
+
+    /**
+     * Create a user whose password was last changed `days` ago
+     */
+    async function createUserWithPasswordAge(days) {
+      const user = await createTestUser({ email: 'user@test.com', password: 'OldPassword123!' });
+      await User.updateOne(
+        { _id: user._id },
+        { passwordChangedAt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+      );
+      return user;
+    }
+
+    it('should log in normally before the password expires', async () => {
+      // Arrange
+      await createUserWithPasswordAge(30);
+
+      // Act
+      const result = await authManager.login({ email: 'user@test.com', password: 'OldPassword123!' });
+
+      // Assert
+      expect(result).toHaveProperty('refreshToken');
+    });
+
+    it('should only hand out a password-change token once it has expired', async () => {
+      // Arrange
+      await createUserWithPasswordAge(91);
+
+      // Act
+      const result = await authManager.login({ email: 'user@test.com', password: 'OldPassword123!' });
+
+      // Assert
+      expect(result.passwordChangeRequired).toBe(true);
+      expect(result).not.toHaveProperty('refreshToken');
+      expect(cortex.verifyToken(result.accessToken).pending).toBe('password_change');
+    });
+
+    it('should refuse the restricted token outside change-password', async () => {
+      // Arrange
+      await createUserWithPasswordAge(91);
+      const { accessToken } = await authManager.login({ email: 'user@test.com', password: 'OldPassword123!' });
+      const req = { headers: { authorization: `Bearer ${accessToken}` } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      // Act
+      await cortex.authenticate()(req, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PASSWORD_EXPIRED' }));
+    });
+
+    it('should require a fresh login after the expired password is changed', async () => {
+      // Arrange
+      await createUserWithPasswordAge(91);
+      const { accessToken } = await authManager.login({ email: 'user@test.com', password: 'OldPassword123!' });
+
+      // Act
+      const result = await authManager.changePassword({
+        __token: cortex.verifyToken(accessToken),
+        currentPassword: 'OldPassword123!',
+        newPassword: 'NewPassword123!'
+      });
+      const login = await authManager.login({ email: 'user@test.com', password: 'NewPassword123!' });
+
+      // Assert
+      expect(result).toHaveProperty('message');
+      expect(result).not.toHaveProperty('accessToken');
+      expect(login).toHaveProperty('refreshToken');
+    });
   });
 });
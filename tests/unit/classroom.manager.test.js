@@ -70,6 +70,33 @@ describe('Classroom Manager', () => {
       expect(result.classrooms[0].name).toBe('School 1 Class');
     });
 
+    it('should list classrooms of every school a user is a member of', async () => {
+      // Arrange
+      const [first, second, other] = [await createTestSchool(), await createTestSchool(), await createTestSchool()];
+      await createTestClassroom({ schoolId: first._id });
+      await createTestClassroom({ schoolId: second._id });
+      await createTestClassroom({ schoolId: other._id });
+
+      const __token = generateMockToken({
+        role: 'school_admin',
+        schoolId: first._id.toString(),
+        memberships: [
+          { schoolId: first._id.toString(), role: 'school_admin' },
+          { schoolId: second._id.toString(), role: 'school_admin' }
+        ]
+      });
+
+      // Act
+      const all = await classroomManager.getAll({ __token });
+      const filtered = await classroomManager.getAll({ __token, schoolId: second._id.toString() });
+      const foreign = await classroomManager.getAll({ __token, schoolId: other._id.toString() });
+
+      // Assert
+      expect(all.classrooms).toHaveLength(2);
+      expect(filtered.classrooms).toHaveLength(1);
+      expect(foreign).toHaveProperty('code', 'FORBIDDEN');
+    });
+
     it('should support pagination', async () => {
       // Arrange
       for (let i = 1; i <= 5; i++) {
@@ -376,5 +403,27 @@ describe('Classroom Manager', () => {
       expect(result).toHaveProperty('error');
       expect(result).toHaveProperty('code', 'FORBIDDEN');
     });
+
+    it('should let teachers read the roster of their own classrooms only', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const own = await createTestClassroom({ schoolId: school._id });
+      const other = await createTestClassroom({ schoolId: school._id });
+      await createTestStudent({ schoolId: school._id, classroomId: own._id });
+
+      const __token = generateMockToken({
+        role: 'teacher',
+        schoolId: school._id.toString(),
+        classroomIds: [own._id.toString()]
+      });
+
+      // Act
+      const ownResult = await classroomManager.getStudents({ __token, classroomId: own._id.toString() });
+      const otherResult = await classroomManager.getStudents({ __token, classroomId: other._id.toString() });
+
+      // Assert
+      expect(ownResult.students).toHaveLength(1);
+      expect(otherResult).toHaveProperty('code', 'FORBIDDEN');
+    });
   });
 });
@@ -0,0 +1,408 @@
+/**
+ * Cortex Unit Tests
+ */
+
+const Joi = require('joi');
+const cortex = require('../../libs/cortex');
+const AuthManager = require('../../managers/auth/Auth.manager');
+const SchoolManager = require('../../managers/school/School.manager');
+const ClassroomManager = require('../../managers/classroom/Classroom.manager');
+const StudentManager = require('../../managers/student/Student.manager');
+const { User, Student } = require('../../loaders');
+const {
+  createTestUser,
+  createTestSchool,
+  createTestClassroom,
+  createTestStudent,
+  generateMockToken
+} = require('../helpers/factories');
+const { mockResponse, executeManager } = require('../helpers/cortex');
+
+describe('Cortex', () => {
+  let authManager;
+
+  beforeEach(() => {
+    authManager = new AuthManager();
+  });
+
+  /**
+   * Run authenticate() with the given access token
+   */
+  async function authenticate(accessToken) {
+    const req = { headers: { authorization: `Bearer ${accessToken}` } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await cortex.authenticate()(req, res, next);
+
+    return { req, res, next };
+  }
+
+  // ==========================================
+  // AUTHENTICATE TESTS
+  // ==========================================
+
+  describe('authenticate()', () => {
+    it('should attach __token for a valid access token', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act
+      const { req, next } = await authenticate(login.accessToken);
+
+      // Assert
+      expect(next).toHaveBeenCalled();
+      expect(req.__token.userId).toBe(user._id.toString());
+      expect(req.__token.jti).toBeTruthy();
+    });
+
+    it('should reject a request without a token', async () => {
+      // Arrange
+      const res = mockResponse();
+      const next = jest.fn();
+
+      // Act
+      await cortex.authenticate()({ headers: {} }, res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NO_TOKEN' }));
+    });
+
+    it('should reject a logged out token', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      await authManager.logout({ __token: cortex.verifyToken(login.accessToken) });
+
+      // Act
+      const { res, next } = await authenticate(login.accessToken);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TOKEN_REVOKED' }));
+    });
+
+    it('should reject tokens of a revoked session', async () => {
+      // Arrange
+      await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const __token = cortex.verifyToken(login.accessToken);
+      await authManager.revokeSession({ __token, id: __token.sid });
+
+      // Act
+      const { res, next } = await authenticate(login.accessToken);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TOKEN_REVOKED' }));
+    });
+
+    it('should reject purpose tokens', async () => {
+      // Arrange
+      const user = await createTestUser();
+      const challenge = cortex.generatePurposeToken('mfa_challenge', { userId: user._id }, '5m');
+
+      // Act
+      const { res, next } = await authenticate(challenge);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+    });
+
+    it('should only accept pending tokens on routes that allow them', async () => {
+      // Arrange
+      const user = await createTestUser();
+      const token = cortex.generateToken({ userId: user._id, ver: user.tokenVersion, pending: 'mfa_enroll' });
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const next = jest.fn();
+
+      // Act
+      const { res } = await authenticate(token);
+      await cortex.authenticate({ allowPending: ['mfa_enroll'] })(req, mockResponse(), next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TWO_FACTOR_SETUP_REQUIRED' }));
+      expect(next).toHaveBeenCalled();
+      expect(req.__token.pending).toBe('mfa_enroll');
+    });
+
+    it('should reject tokens of a deactivated user', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      await User.findByIdAndUpdate(user._id, { isActive: false });
+
+      // Act
+      const { res, next } = await authenticate(login.accessToken);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ACCOUNT_INACTIVE' }));
+    });
+
+    it('should reject tokens issued before a role change', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      const dbUser = await User.findById(user._id);
+      dbUser.role = 'school_admin';
+      dbUser.schoolId = '507f1f77bcf86cd799439011';
+      await dbUser.save();
+
+      // Act
+      const { res, next } = await authenticate(login.accessToken);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TOKEN_REVOKED' }));
+    });
+
+    it('should bump the token version for security fields under any update operator', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const user = await createTestUser({ role: 'teacher', schoolId: school._id });
+      const updates = [
+        { $push: { memberships: { schoolId: (await createTestSchool())._id } } },
+        { $set: { 'memberships.0.role': 'school_admin' } },
+        { $addToSet: { classroomIds: (await createTestClassroom({ schoolId: school._id }))._id } },
+        { $pull: { classroomIds: school._id } }
+      ];
+
+      // Act
+      const versions = [];
+      for (const update of updates) {
+        await User.updateOne({ _id: user._id }, update);
+        versions.push((await User.findById(user._id)).tokenVersion);
+      }
+      await User.updateOne({ _id: user._id }, { $set: { firstName: 'Renamed' } });
+
+      // Assert
+      expect(versions).toEqual([1, 2, 3, 4].map(step => user.tokenVersion + step));
+      expect((await User.findById(user._id)).tokenVersion).toBe(user.tokenVersion + 4);
+    });
+
+    it('should reject tokens issued before a password change', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      const changed = await authManager.changePassword({
+        __token: { userId: user._id.toString() },
+        currentPassword: 'Test123!',
+        newPassword: 'NewPassword123!'
+      });
+
+      // Act
+      const oldSession = await authenticate(login.accessToken);
+      const newSession = await authenticate(changed.accessToken);
+
+      // Assert
+      expect(oldSession.next).not.toHaveBeenCalled();
+      expect(newSession.next).toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================
+  // PERMISSION TESTS
+  // ==========================================
+
+  describe('executeManager() permissions', () => {
+    it('should run methods the role is allowed to call', async () => {
+      // Act
+      const result = await executeManager(SchoolManager, 'getAll', {
+        __token: { userId: '507f1f77bcf86cd799439011', role: 'superadmin' }
+      });
+
+      // Assert
+      expect(result.status).toBe(200);
+      expect(result.body).toHaveProperty('schools');
+    });
+
+    it('should reject methods the role lacks the permission for', async () => {
+      // Act
+      const result = await executeManager(SchoolManager, 'create', {
+        __token: { userId: '507f1f77bcf86cd799439011', role: 'school_admin' },
+        name: 'Forbidden School'
+      });
+
+      // Assert
+      expect(result.status).toBe(403);
+      expect(result.body).toHaveProperty('code', 'FORBIDDEN');
+    });
+
+    it('should only honour schools where the user\'s role grants the permission', async () => {
+      // Arrange
+      const [teaching, managing] = ['507f1f77bcf86cd799439021', '507f1f77bcf86cd799439022'];
+      const __token = {
+        userId: '507f1f77bcf86cd799439011',
+        role: 'teacher',
+        schoolId: teaching,
+        memberships: [
+          { schoolId: teaching, role: 'teacher' },
+          { schoolId: managing, role: 'school_admin' }
+        ]
+      };
+
+      // Act
+      const result = await executeManager(ClassroomManager, 'create', {
+        __token,
+        schoolId: teaching,
+        name: 'Grade 1-A'
+      });
+
+      // Assert
+      expect(result.status).toBe(403);
+      expect(result.body).toHaveProperty('code', 'FORBIDDEN');
+    });
+
+    it('should require authentication for protected methods', async () => {
+      // Act
+      const result = await executeManager(SchoolManager, 'getAll');
+
+      // Assert
+      expect(result.status).toBe(401);
+      expect(result.body).toHaveProperty('code', 'NO_AUTH');
+    });
+  });
+
+  // ==========================================
+  // INPUT CONTRACT TESTS
+  // ==========================================
+
+  describe('executeManager() contracts', () => {
+    class ExampleManager {
+      static contracts = {
+        rename: {
+          params: Joi.object({ id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required() }),
+          query: Joi.object({ page: Joi.number().integer().min(1) }),
+          body: Joi.object({ name: Joi.string().trim().required() })
+        }
+      };
+
+      async rename(params) {
+        return { received: cortex.withoutMetadata(params) };
+      }
+    }
+
+    /**
+     * Run ExampleManager.rename with the given request parts
+     */
+    async function rename(parts) {
+      const req = { body: {}, query: {}, params: {}, headers: {}, ip: '127.0.0.1', ...parts };
+      const res = mockResponse();
+
+      await cortex.executeManager(ExampleManager, 'rename')(req, res);
+
+      return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+    }
+
+    it('should pass only the declared fields, coerced', async () => {
+      // Act
+      const result = await rename({
+        params: { id: '507f1f77bcf86cd799439011' },
+        query: { page: '2', isActive: 'false' },
+        body: { name: ' Grade 1-A ', schoolId: '507f1f77bcf86cd799439022', __token: { role: 'superadmin' } }
+      });
+
+      // Assert
+      expect(result.status).toBe(200);
+      expect(result.body.received).toEqual({ id: '507f1f77bcf86cd799439011', page: 2, name: 'Grade 1-A' });
+    });
+
+    it('should reject invalid parts with the location of each problem', async () => {
+      // Act
+      const result = await rename({
+        params: { id: 'not-an-id' },
+        query: { page: '0' },
+        body: { name: 'Grade 1-A' }
+      });
+
+      // Assert
+      expect(result.status).toBe(400);
+      expect(result.body).toHaveProperty('code', 'VALIDATION_ERROR');
+      expect(result.body.details.map(detail => `${detail.location}.${detail.field}`)).toEqual(['query.page', 'params.id']);
+    });
+
+    it('should keep undeclared fields out of updates', async () => {
+      // Arrange
+      const [school, other] = [await createTestSchool(), await createTestSchool()];
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const student = await createTestStudent({ schoolId: school._id, classroomId: classroom._id });
+
+      // Act
+      const result = await executeManager(StudentManager, 'update', {
+        __token: generateMockToken({ role: 'superadmin' }),
+        id: student._id.toString(),
+        firstName: 'Renamed',
+        schoolId: other._id.toString()
+      });
+
+      // Assert
+      expect(result.status).toBe(200);
+      const updated = await Student.findById(student._id);
+      expect(updated.firstName).toBe('Renamed');
+      expect(updated.schoolId.toString()).toBe(school._id.toString());
+    });
+  });
+
+  describe('canAccessSchool()', () => {
+    const schoolId = '507f1f77bcf86cd799439011';
+
+    it('should let school-scoped users into their own school only', () => {
+      const token = { role: 'school_admin', schoolId };
+
+      expect(cortex.canAccessSchool(token, schoolId)).toBe(true);
+      expect(cortex.canAccessSchool(token, '507f1f77bcf86cd799439012')).toBe(false);
+    });
+
+    it('should let users with school:access_all into any school', () => {
+      expect(cortex.canAccessSchool({ role: 'superadmin' }, schoolId)).toBe(true);
+    });
+
+    it('should deny unknown roles', () => {
+      expect(cortex.canAccessSchool({ role: 'janitor', schoolId }, schoolId)).toBe(false);
+    });
+
+    it('should let users into every school they are a member of', () => {
+      const other = '507f1f77bcf86cd799439012';
+      const token = {
+        role: 'school_admin',
+        schoolId,
+        memberships: [{ schoolId, role: 'school_admin' }, { schoolId: other, role: 'teacher' }]
+      };
+
+      expect(cortex.canAccessSchool(token, schoolId)).toBe(true);
+      expect(cortex.canAccessSchool(token, other)).toBe(true);
+      expect(cortex.canAccessSchool(token, '507f1f77bcf86cd799439013')).toBe(false);
+    });
+  });
+
+  describe('schoolFilter()', () => {
+    const [first, second] = ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012'];
+    const token = {
+      role: 'school_admin',
+      schoolId: first,
+      memberships: [{ schoolId: first, role: 'school_admin' }, { schoolId: second, role: 'school_admin' }]
+    };
+
+    it('should limit listings to the user\'s schools', () => {
+      expect(cortex.schoolFilter(token)).toEqual({ $in: [first, second] });
+      expect(cortex.schoolFilter(token, second)).toBe(second);
+    });
+
+    it('should refuse schools the user is not a member of', () => {
+      expect(cortex.schoolFilter(token, '507f1f77bcf86cd799439013')).toBeNull();
+    });
+
+    it('should not limit users with school:access_all', () => {
+      expect(cortex.schoolFilter({ role: 'superadmin' })).toBeUndefined();
+      expect(cortex.schoolFilter({ role: 'superadmin' }, second)).toBe(second);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Error Registry Unit Tests
+ *
+ * Every error code in the source must be registered in libs/errors.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ERRORS,
+  AppError,
+  NotFoundError,
+  BusinessRuleError,
+  ForbiddenError,
+  statusFor
+} = require('../../libs/errors');
+const cortex = require('../../libs/cortex');
+const { executeManager } = require('../helpers/cortex');
+
+const ROOT = path.join(__dirname, '../..');
+const SOURCES = ['app.js', 'libs', 'loaders', 'managers', 'mws'];
+
+/**
+ * Read every source file of the app
+ * @returns {Array<{ file: string, source: string }>}
+ */
+function readSources() {
+  const files = [];
+  const walk = (relative) => {
+    const absolute = path.join(ROOT, relative);
+    if (fs.statSync(absolute).isDirectory()) {
+      fs.readdirSync(absolute).forEach(entry => walk(path.join(relative, entry)));
+    } else if (relative.endsWith('.js')) {
+      files.push({ file: relative, source: fs.readFileSync(absolute, 'utf8') });
+    }
+  };
+  SOURCES.forEach(walk);
+  return files;
+}
+
+describe('Error Registry', () => {
+  // ==========================================
+  // REGISTRY TESTS
+  // ==========================================
+
+  describe('registry', () => {
+    it('should register every error code used in the source', () => {
+      // Arrange
+      const pattern = /code: '([A-Z0-9_]+)'|new \w*Error\('([A-Z0-9_]+)'/g;
+      const unregistered = [];
+
+      // Act
+      for (const { file, source } of readSources()) {
+        for (const [, objectCode, classCode] of source.matchAll(pattern)) {
+          const code = objectCode || classCode;
+          if (!ERRORS[code]) unregistered.push(`${code} (${file})`);
+        }
+      }
+
+      // Assert
+      expect(unregistered).toEqual([]);
+    });
+
+    it('should answer with the registered status where it is set by hand', () => {
+      // Arrange
+      const pattern = /res\.status\((\d{3})\)\.json\(\{\s*error: [^}]*?code: '([A-Z0-9_]+)'/g;
+      const mismatched = [];
+
+      // Act
+      for (const { file, source } of readSources()) {
+        for (const [, status, code] of source.matchAll(pattern)) {
+          if (ERRORS[code] && ERRORS[code].status !== Number(status)) {
+            mismatched.push(`${code} answered with ${status} (${file})`);
+          }
+        }
+      }
+
+      // Assert
+      expect(mismatched).toEqual([]);
+    });
+
+    it('should build manager errors from the registry', () => {
+      // Arrange
+      const pattern = /\{\s*error: [^}]*?code: '([A-Z0-9_]+)'/g;
+      const adHoc = [];
+
+      // Act
+      for (const { file, source } of readSources().filter(({ file }) => file.startsWith('managers'))) {
+        for (const [, code] of source.matchAll(pattern)) {
+          adHoc.push(`${code} (${file})`);
+        }
+      }
+
+      // Assert
+      expect(adHoc).toEqual([]);
+    });
+
+    it('should describe every code', () => {
+      for (const [code, entry] of Object.entries(ERRORS)) {
+        expect({ code, status: typeof entry.status, message: Boolean(entry.message), description: Boolean(entry.description) })
+          .toEqual({ code, status: 'number', message: true, description: true });
+      }
+    });
+
+    it('should map account and auth errors to their status', () => {
+      expect(cortex.getStatusCode('ACCOUNT_INACTIVE')).toBe(401);
+      expect(cortex.getStatusCode('INVALID_PASSWORD')).toBe(401);
+      expect(cortex.getStatusCode('NO_AUTH')).toBe(401);
+    });
+
+    it('should fall back to 400 for unregistered codes', () => {
+      // Arrange
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      // Act
+      const status = statusFor('MADE_UP');
+
+      // Assert
+      expect(status).toBe(400);
+      expect(consoleError).toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+  });
+
+  // ==========================================
+  // ERROR CLASS TESTS
+  // ==========================================
+
+  describe('error classes', () => {
+    it('should fill the message template and keep params as details', () => {
+      // Act
+      const error = new BusinessRuleError('CAPACITY_FULL', { capacity: 30 });
+
+      // Assert
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.status).toBe(422);
+      expect(error.toJSON()).toEqual({
+        error: 'Classroom is at full capacity (30/30)',
+        code: 'CAPACITY_FULL',
+        capacity: 30
+      });
+    });
+
+    it('should default to the code of their kind', () => {
+      // Act
+      const error = new NotFoundError();
+
+      // Assert
+      expect(error).toMatchObject({ code: 'NOT_FOUND', status: 404, error: 'Resource not found' });
+    });
+
+    it('should refuse unregistered codes', () => {
+      expect(() => new AppError('MADE_UP')).toThrow('Unregistered error code: MADE_UP');
+    });
+  });
+
+  // ==========================================
+  // CORTEX TESTS
+  // ==========================================
+
+  describe('executeManager()', () => {
+    class ExampleManager {
+      async thrown() {
+        throw new ForbiddenError('FORBIDDEN', { message: 'Access denied to this classroom' });
+      }
+
+      async returned() {
+        return new NotFoundError('USER_NOT_FOUND');
+      }
+    }
+
+    it('should answer thrown errors with their status', async () => {
+      // Act
+      const result = await executeManager(ExampleManager, 'thrown');
+
+      // Assert
+      expect(result.status).toBe(403);
+      expect(result.body.toJSON()).toEqual({ error: 'Access denied to this classroom', code: 'FORBIDDEN' });
+    });
+
+    it('should answer returned errors with their status', async () => {
+      // Act
+      const result = await executeManager(ExampleManager, 'returned');
+
+      // Assert
+      expect(result.status).toBe(404);
+      expect(result.body.toJSON()).toEqual({ error: 'User not found', code: 'USER_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Guardian Manager Unit Tests
+ *
+ * Claim codes, guardian registration and read-only access to children
+ */
+
+const GuardianManager = require('../../managers/guardian/Guardian.manager');
+const StudentManager = require('../../managers/student/Student.manager');
+const AuthManager = require('../../managers/auth/Auth.manager');
+const { User } = require('../../loaders');
+const mailer = require('../../libs/mailer');
+const {
+  createTestUser,
+  createTestSchool,
+  createTestStudent,
+  generateMockToken
+} = require('../helpers/factories');
+const { executeManager } = require('../helpers/cortex');
+
+describe('Guardian Manager', () => {
+  let guardianManager;
+  let authManager;
+  let transport;
+
+  beforeEach(() => {
+    guardianManager = new GuardianManager();
+    authManager = new AuthManager();
+
+    transport = new mailer.MemoryTransport();
+    mailer.setTransport(transport);
+  });
+
+  /**
+   * Issue an email claim for a student and return the mailed code
+   */
+  async function issueEmailClaim(student) {
+    await guardianManager.issueClaim({
+      __token: generateMockToken({ role: 'school_admin', schoolId: student.schoolId.toString() }),
+      studentId: student._id.toString(),
+      channel: 'email'
+    });
+    return transport.outbox[transport.outbox.length - 1].text.match(/[A-Z0-9]{4}-[A-Z0-9]{4}/)[0];
+  }
+
+  // ==========================================
+  // ISSUE CLAIM TESTS
+  // ==========================================
+
+  describe('issueClaim()', () => {
+    it('should mail email codes to the guardian on file', async () => {
+      // Arrange
+      const student = await createTestStudent();
+
+      // Act
+      const result = await guardianManager.issueClaim({
+        __token: generateMockToken({ role: 'school_admin', schoolId: student.schoolId.toString() }),
+        studentId: student._id.toString(),
+        channel: 'email'
+      });
+
+      // Assert
+      expect(result).not.toHaveProperty('claimCode');
+      expect(transport.outbox[0].to).toBe(student.guardian.email);
+    });
+
+    it('should return phone codes to the school', async () => {
+      // Arrange
+      const student = await createTestStudent();
+
+      // Act
+      const result = await guardianManager.issueClaim({
+        __token: generateMockToken(),
+        studentId: student._id.toString(),
+        channel: 'phone'
+      });
+
+      // Assert
+      expect(result.claimCode).toMatch(/^[A-Z0-9]{4}-[A-Z0-9]{4}$/);
+      expect(result.claim.contact).toBe(student.guardian.phone);
+      expect(transport.outbox).toHaveLength(0);
+    });
+
+    it('should deny access to students of other schools', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const student = await createTestStudent();
+
+      // Act
+      const result = await guardianManager.issueClaim({
+        __token: generateMockToken({ role: 'school_admin', schoolId: school._id.toString() }),
+        studentId: student._id.toString()
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'FORBIDDEN');
+    });
+
+    it('should return error if no guardian email is on file', async () => {
+      // Arrange
+      const student = await createTestStudent({
+        guardian: { name: 'Guardian', phone: '+1-555-0100' }
+      });
+
+      // Act
+      const result = await guardianManager.issueClaim({
+        __token: generateMockToken(),
+        studentId: student._id.toString(),
+        channel: 'email'
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_OPERATION');
+    });
+  });
+
+  // ==========================================
+  // REGISTRATION TESTS
+  // ==========================================
+
+  describe('registerGuardian()', () => {
+    it('should create a verified guardian linked to the student', async () => {
+      // Arrange
+      const student = await createTestStudent();
+      const claimCode = await issueEmailClaim(student);
+
+      // Act
+      const result = await authManager.registerGuardian({
+        claimCode: claimCode.toLowerCase(),
+        email: student.guardian.email,
+        password: 'Guardian123!',
+        firstName: 'Grace',
+        lastName: 'Parent'
+      });
+
+      // Assert
+      expect(result).toHaveProperty('accessToken');
+      expect(result.user.role).toBe('guardian');
+      expect(result.user.emailVerified).toBe(true);
+      expect(result.user.studentIds.map(String)).toEqual([student._id.toString()]);
+    });
+
+    it('should require the email the code was sent to', async () => {
+      // Arrange
+      const student = await createTestStudent();
+      const claimCode = await issueEmailClaim(student);
+
+      // Act
+      const wrongEmail = await authManager.registerGuardian({
+        claimCode,
+        email: 'someone.else@test.com',
+        password: 'Guardian123!',
+        firstName: 'Grace',
+        lastName: 'Parent'
+      });
+      const rightEmail = await authManager.registerGuardian({
+        claimCode,
+        email: student.guardian.email,
+        password: 'Guardian123!',
+        firstName: 'Grace',
+        lastName: 'Parent'
+      });
+
+      // Assert
+      expect(wrongEmail).toHaveProperty('code', 'INVALID_CLAIM');
+      expect(rightEmail).toHaveProperty('accessToken');
+    });
+
+    it('should not accept a code twice', async () => {
+      // Arrange
+      const student = await createTestStudent();
+      const { claimCode } = await guardianManager.issueClaim({
+        __token: generateMockToken(),
+        studentId: student._id.toString(),
+        channel: 'phone'
+      });
+      const details = { claimCode, password: 'Guardian123!', firstName: 'Grace', lastName: 'Parent' };
+      await authManager.registerGuardian({ ...details, email: 'first@test.com' });
+
+      // Act
+      const result = await authManager.registerGuardian({ ...details, email: 'second@test.com' });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_CLAIM');
+    });
+  });
+
+  // ==========================================
+  // CHILDREN TESTS
+  // ==========================================
+
+  describe('linkChild() / getChildren()', () => {
+    it('should link another child to an existing guardian', async () => {
+      // Arrange
+      const [first, second] = [await createTestStudent(), await createTestStudent()];
+      const guardian = await createTestUser({
+        role: 'guardian',
+        email: second.guardian.email,
+        studentIds: [first._id]
+      });
+      const claimCode = await issueEmailClaim(second);
+      const __token = generateMockToken({ userId: guardian._id.toString(), role: 'guardian' });
+
+      // Act
+      const linked = await guardianManager.linkChild({ __token, claimCode });
+      const result = await guardianManager.getChildren({ __token });
+
+      // Assert
+      expect(linked.child._id.toString()).toBe(second._id.toString());
+      expect(result.children).toHaveLength(2);
+      expect(result.children[0].classroomId).toHaveProperty('name');
+      expect(result.children[0].toJSON()).not.toHaveProperty('guardian');
+    });
+
+    it('should only link email codes for the guardian they were sent to', async () => {
+      // Arrange
+      const student = await createTestStudent();
+      const stranger = await createTestUser({ role: 'guardian', email: 'stranger@test.com' });
+      const guardian = await createTestUser({ role: 'guardian', email: student.guardian.email });
+      const claimCode = await issueEmailClaim(student);
+      const tokenOf = user => generateMockToken({ userId: user._id.toString(), role: 'guardian' });
+
+      // Act
+      const denied = await guardianManager.linkChild({ __token: tokenOf(stranger), claimCode });
+      const linked = await guardianManager.linkChild({ __token: tokenOf(guardian), claimCode });
+
+      // Assert
+      expect(denied).toHaveProperty('code', 'INVALID_CLAIM');
+      expect((await User.findById(stranger._id)).studentIds).toHaveLength(0);
+      expect(linked.child._id.toString()).toBe(student._id.toString());
+    });
+
+    it('should deny access to students not linked to the guardian', async () => {
+      // Arrange
+      const [own, other] = [await createTestStudent(), await createTestStudent()];
+      const guardian = await createTestUser({ role: 'guardian', studentIds: [own._id] });
+
+      // Act
+      const result = await guardianManager.getChild({
+        __token: generateMockToken({ userId: guardian._id.toString(), role: 'guardian' }),
+        id: other._id.toString()
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'FORBIDDEN');
+    });
+
+    it('should deny guardians everything outside the portal', async () => {
+      // Arrange
+      const student = await createTestStudent();
+      const guardian = await createTestUser({ role: 'guardian', studentIds: [student._id] });
+      const __token = generateMockToken({ userId: guardian._id.toString(), role: 'guardian' });
+
+      // Act
+      const results = await Promise.all([
+        executeManager(StudentManager, 'getById', { __token, id: student._id.toString() }),
+        executeManager(StudentManager, 'update', { __token, id: student._id.toString(), firstName: 'X' }),
+        executeManager(GuardianManager, 'issueClaim', { __token, studentId: student._id.toString() })
+      ]);
+
+      // Assert
+      results.forEach(result => expect(result.status).toBe(403));
+      expect((await User.findById(guardian._id)).studentIds).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Keystore Unit Tests
+ *
+ * Asymmetric token signing, key rotation and the JWKS
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const keystore = require('../../libs/keystore');
+const cortex = require('../../libs/cortex');
+const { mockResponse } = require('../helpers/cortex');
+
+describe('Keystore', () => {
+  const pem = (key) => key.export({ type: 'pkcs8', format: 'pem' });
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  afterEach(() => {
+    // Back to HS256 with the secret
+    keystore.setKeys({});
+    cortex.config.jwt.legacyHs256Until = '';
+  });
+
+  it('should sign with the HS256 secret when no keys are configured', () => {
+    // Arrange
+    keystore.setKeys({});
+
+    // Act
+    const token = cortex.generateToken({ userId: 'user' });
+
+    // Assert
+    expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'HS256', typ: 'JWT' });
+    expect(cortex.verifyToken(token).userId).toBe('user');
+    expect(keystore.jwks()).toEqual({ keys: [] });
+  });
+
+  it('should sign with the last private key and a kid header', () => {
+    // Arrange
+    keystore.setKeys({ '2026-01': pem(rsa.privateKey), '2026-02': pem(ec.privateKey) });
+
+    // Act
+    const token = cortex.generateToken({ userId: 'user' });
+
+    // Assert
+    expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: '2026-02' });
+    expect(cortex.verifyToken(token).userId).toBe('user');
+  });
+
+  it('should keep verifying tokens of a key that no longer signs', () => {
+    // Arrange
+    keystore.setKeys({ old: pem(rsa.privateKey) });
+    const oldToken = cortex.generateToken({ userId: 'user' });
+
+    // Act
+    keystore.setKeys({ old: rsa.publicKey, new: pem(ec.privateKey) }, 'new');
+
+    // Assert
+    expect(cortex.verifyToken(oldToken).userId).toBe('user');
+    expect(jwt.decode(cortex.generateToken({}), { complete: true }).header.kid).toBe('new');
+  });
+
+  it('should reject tokens signed with an unknown key', () => {
+    // Arrange
+    keystore.setKeys({ old: pem(rsa.privateKey) });
+    const token = cortex.generateToken({ userId: 'user' });
+
+    // Act
+    keystore.setKeys({ new: pem(ec.privateKey) });
+
+    // Assert
+    expect(() => cortex.verifyToken(token)).toThrow('Unknown signing key');
+  });
+
+  it('should reject HS256 tokens without a kid once keys are configured', async () => {
+    // Arrange
+    keystore.setKeys({ k: pem(ec.privateKey) });
+    const token = jwt.sign({ userId: 'user' }, cortex.config.jwt.secret);
+    const req = { headers: { authorization: `Bearer ${token}` }, ip: '127.0.0.1' };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    // Act
+    await cortex.authenticate()(req, res, next);
+
+    // Assert
+    expect(() => cortex.verifyToken(token)).toThrow('Token has no signing key id');
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid token', code: 'INVALID_TOKEN' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should accept HS256 tokens without a kid until the legacy date', () => {
+    // Arrange
+    keystore.setKeys({ k: pem(ec.privateKey) });
+    const token = jwt.sign({ userId: 'user' }, cortex.config.jwt.secret);
+
+    // Act
+    cortex.config.jwt.legacyHs256Until = new Date(Date.now() + 60000).toISOString();
+    const during = cortex.verifyToken(token);
+    cortex.config.jwt.legacyHs256Until = new Date(Date.now() - 60000).toISOString();
+
+    // Assert
+    expect(during.userId).toBe('user');
+    expect(() => cortex.verifyToken(token)).toThrow('Token has no signing key id');
+  });
+
+  it('should refuse a signing key without a private key', () => {
+    expect(() => keystore.setKeys({ old: rsa.publicKey }, 'old')).toThrow(/not found/);
+    expect(() => keystore.setKeys({ old: rsa.publicKey })).toThrow(/No private key/);
+  });
+
+  it('should publish public keys that verify issued tokens', () => {
+    // Arrange
+    keystore.setKeys({ rsa: pem(rsa.privateKey), ec: pem(ec.privateKey) }, 'rsa');
+    const token = cortex.generateToken({ userId: 'user' });
+
+    // Act
+    const { keys } = keystore.jwks();
+    const jwk = keys.find(key => key.kid === jwt.decode(token, { complete: true }).header.kid);
+    const decoded = jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+
+    // Assert
+    expect(keys.map(key => [key.kid, key.alg, key.use])).toEqual([['ec', 'ES256', 'sig'], ['rsa', 'RS256', 'sig']]);
+    keys.forEach(key => expect(key).not.toHaveProperty('d'));
+    expect(decoded.userId).toBe('user');
+  });
+});
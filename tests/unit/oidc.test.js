@@ -0,0 +1,249 @@
+/**
+ * OpenID Connect Login Unit Tests
+ *
+ * Single sign-on through Auth.oidcAuthorize()/oidcCallback() against a
+ * local mock identity provider
+ */
+
+const http = require('http');
+const AuthManager = require('../../managers/auth/Auth.manager');
+const authRoutes = require('../../managers/auth/auth.routes');
+const { authLimiters } = require('../../mws/rateLimiter');
+const { User, OidcState } = require('../../loaders');
+const cortex = require('../../libs/cortex');
+const oidc = require('../../libs/oidc');
+const { createTestUser, createTestSchool } = require('../helpers/factories');
+const { MockOidcProvider } = require('../helpers/oidcProvider');
+
+describe('OIDC Login', () => {
+  let authManager;
+  let provider;
+  const originalConfig = { ...cortex.config.oidc };
+
+  beforeAll(async () => {
+    provider = await new MockOidcProvider().start();
+  });
+
+  afterAll(async () => {
+    await provider.stop();
+  });
+
+  beforeEach(() => {
+    authManager = new AuthManager();
+    Object.assign(cortex.config.oidc, {
+      issuer: provider.issuer,
+      clientId: provider.clientId,
+      clientSecret: provider.clientSecret,
+      provisionRole: '',
+      provisionSchoolId: ''
+    });
+    oidc.reset();
+  });
+
+  afterEach(() => {
+    Object.assign(cortex.config.oidc, originalConfig);
+    oidc.reset();
+  });
+
+  /**
+   * Run the whole flow for a user the provider vouches for
+   */
+  async function signIn(claims) {
+    const { authorizationUrl, state } = await authManager.oidcAuthorize();
+    const code = provider.issueCode(authorizationUrl, claims);
+    return authManager.oidcCallback({ code, state });
+  }
+
+  // ==========================================
+  // AUTHORIZE TESTS
+  // ==========================================
+
+  describe('oidcAuthorize()', () => {
+    it('should build a PKCE authorization URL for the provider', async () => {
+      // Act
+      const result = await authManager.oidcAuthorize();
+
+      // Assert
+      const url = new URL(result.authorizationUrl);
+      expect(url.origin + url.pathname).toBe(`${provider.issuer}/authorize`);
+      expect(url.searchParams.get('state')).toBe(result.state);
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(url.searchParams.get('nonce')).toBeTruthy();
+    });
+
+    it('should return error when single sign-on is not configured', async () => {
+      // Arrange
+      cortex.config.oidc.issuer = '';
+
+      // Act
+      const result = await authManager.oidcAuthorize();
+
+      // Assert
+      expect(result).toHaveProperty('code', 'SSO_NOT_CONFIGURED');
+    });
+
+    it('should be rate limited and keep pending logins only until they expire', () => {
+      // Arrange
+      const route = authRoutes.stack.find(layer => layer.route && layer.route.path === '/oidc/authorize').route;
+
+      // Assert
+      expect(route.stack.map(layer => layer.handle)).toContain(authLimiters.sso);
+      expect(OidcState.schema.indexes())
+        .toContainEqual([{ expiresAt: 1 }, expect.objectContaining({ expireAfterSeconds: 0 })]);
+    });
+  });
+
+  // ==========================================
+  // CALLBACK TESTS
+  // ==========================================
+
+  describe('oidcCallback()', () => {
+    it('should link an existing user by verified email', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'admin@district.org' });
+
+      // Act
+      const result = await signIn({ sub: 'idp-123', email: 'Admin@district.org', email_verified: true });
+      const again = await signIn({ sub: 'idp-123', email: 'renamed@district.org', email_verified: true });
+
+      // Assert
+      expect(result).toHaveProperty('accessToken');
+      expect(result.user._id.toString()).toBe(user._id.toString());
+      expect(again.user._id.toString()).toBe(user._id.toString());
+      expect((await User.findById(user._id)).oidcSubject).toBe('idp-123');
+    });
+
+    it('should not link by an unverified email', async () => {
+      // Arrange
+      await createTestUser({ email: 'admin@district.org' });
+
+      // Act
+      const result = await signIn({ sub: 'idp-123', email: 'admin@district.org', email_verified: false });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'SSO_NO_ACCOUNT');
+    });
+
+    it('should not relink an account tied to another subject', async () => {
+      // Arrange
+      await createTestUser({ email: 'admin@district.org', oidcSubject: 'idp-123' });
+
+      // Act
+      const result = await signIn({ sub: 'idp-999', email: 'admin@district.org', email_verified: true });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'SSO_FAILED');
+    });
+
+    it('should provision unknown users with the configured role', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      Object.assign(cortex.config.oidc, { provisionRole: 'teacher', provisionSchoolId: school._id.toString() });
+
+      // Act
+      const result = await signIn({
+        sub: 'idp-456',
+        email: 'new.teacher@district.org',
+        email_verified: true,
+        given_name: 'Nora',
+        family_name: 'Teach'
+      });
+
+      // Assert
+      expect(result).toHaveProperty('accessToken');
+      expect(result.user).toMatchObject({ role: 'teacher', firstName: 'Nora', emailVerified: true });
+      expect(result.user.schoolId.toString()).toBe(school._id.toString());
+    });
+
+    it('should not provision users unless a role is configured', async () => {
+      // Act
+      const result = await signIn({ sub: 'idp-456', email: 'stranger@district.org', email_verified: true });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'SSO_NO_ACCOUNT');
+      expect(await User.countDocuments()).toBe(0);
+    });
+
+    it('should accept each state once', async () => {
+      // Arrange
+      await createTestUser({ email: 'admin@district.org' });
+      const { authorizationUrl, state } = await authManager.oidcAuthorize();
+      const claims = { sub: 'idp-123', email: 'admin@district.org', email_verified: true };
+      await authManager.oidcCallback({ code: provider.issueCode(authorizationUrl, claims), state });
+
+      // Act
+      const result = await authManager.oidcCallback({ code: provider.issueCode(authorizationUrl, claims), state });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'SSO_FAILED');
+    });
+
+    it('should reject ID tokens with another nonce', async () => {
+      // Arrange
+      await createTestUser({ email: 'admin@district.org' });
+
+      // Act
+      const result = await signIn({ sub: 'idp-123', email: 'admin@district.org', email_verified: true, nonce: 'replayed' });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'SSO_FAILED');
+    });
+
+    it('should still ask for the second factor', async () => {
+      // Arrange
+      await createTestUser({ email: 'admin@district.org', twoFactor: { enabled: true } });
+
+      // Act
+      const result = await signIn({ sub: 'idp-123', email: 'admin@district.org', email_verified: true });
+
+      // Assert
+      expect(result.twoFactorRequired).toBe(true);
+      expect(cortex.verifyPurposeToken(result.challengeToken, 'mfa_challenge').sso).toBe(true);
+    });
+  });
+
+  // ==========================================
+  // PROVIDER FAILURE TESTS
+  // ==========================================
+
+  describe('provider failures', () => {
+    let server;
+
+    /**
+     * Serve every request with the handler and point the issuer at it
+     */
+    async function serve(handler) {
+      server = http.createServer(handler);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      cortex.config.oidc.issuer = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should reject a discovery document without an issuer', async () => {
+      // Arrange
+      await serve((req, res) => res.end(JSON.stringify({ jwks_uri: 'http://127.0.0.1/jwks' })));
+
+      // Act
+      const result = oidc.getMetadata();
+
+      // Assert
+      await expect(result).rejects.toMatchObject({ name: 'OidcError', message: 'Discovery document has no issuer' });
+    });
+
+    it('should give up on a provider that does not answer', async () => {
+      // Arrange
+      await serve(() => {});
+      cortex.config.oidc.requestTimeout = '100ms';
+
+      // Act
+      const result = oidc.getMetadata();
+
+      // Assert
+      await expect(result).rejects.toMatchObject({ name: 'OidcError', message: 'Identity provider did not respond in time' });
+    });
+  });
+});
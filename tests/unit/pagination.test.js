@@ -0,0 +1,146 @@
+/**
+ * Pagination Unit Tests
+ *
+ * Limits, cursor mode and Link headers of list endpoints
+ */
+
+const cortex = require('../../libs/cortex');
+const SchoolManager = require('../../managers/school/School.manager');
+const StudentManager = require('../../managers/student/Student.manager');
+const { pagingOptions, linkHeader } = require('../../libs/pagination');
+const {
+  createTestSchool,
+  createTestClassroom,
+  createTestStudent,
+  generateMockToken
+} = require('../helpers/factories');
+const { mockResponse, executeManager } = require('../helpers/cortex');
+
+describe('Pagination', () => {
+  // ==========================================
+  // LIMIT TESTS
+  // ==========================================
+
+  describe('pagingOptions()', () => {
+    it('should default to the first page of the configured size', () => {
+      expect(pagingOptions({})).toEqual({ page: 1, limit: 20 });
+    });
+
+    it('should reject limits above the maximum, negative and non-numeric values', () => {
+      expect(() => pagingOptions({ limit: 500 })).toThrow('limit must be an integer between 1 and 100');
+      expect(() => pagingOptions({ limit: -5 })).toThrow('limit must be an integer between 1 and 100');
+      expect(() => pagingOptions({ page: 'two' })).toThrow('page must be a positive integer');
+      expect(() => pagingOptions({ cursor: 'garbage' })).toThrow('Invalid cursor');
+      expect(() => pagingOptions({ page: 2, cursor: 'garbage' })).toThrow('Use either page or cursor, not both');
+    });
+
+    it('should answer out-of-range limits with a validation error', async () => {
+      // Act
+      const result = await executeManager(SchoolManager, 'getAll', {
+        __token: generateMockToken({ role: 'superadmin' }),
+        limit: '1000'
+      });
+
+      // Assert
+      expect(result.status).toBe(400);
+      expect(result.body).toHaveProperty('code', 'VALIDATION_ERROR');
+    });
+  });
+
+  // ==========================================
+  // CURSOR TESTS
+  // ==========================================
+
+  describe('cursor mode', () => {
+    it('should walk every record once, newest first', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const created = [];
+      for (let i = 0; i < 5; i++) {
+        created.push(await createTestStudent({ schoolId: school._id, classroomId: classroom._id }));
+      }
+      const studentManager = new StudentManager();
+      const __token = generateMockToken({ role: 'superadmin' });
+
+      // Act
+      const seen = [];
+      let result = await studentManager.getAll({ __token, limit: 2 });
+      seen.push(...result.students);
+      while (result.pagination.nextCursor) {
+        result = await studentManager.getAll({ __token, limit: 2, cursor: result.pagination.nextCursor });
+        seen.push(...result.students);
+      }
+
+      // Assert
+      expect(seen.map(student => student._id.toString()))
+        .toEqual(created.reverse().map(student => student._id.toString()));
+      expect(result.pagination).toEqual({ limit: 2, hasMore: false, nextCursor: null });
+    });
+
+    it('should keep the search of the list on later pages', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const enrolled = { schoolId: school._id, classroomId: classroom._id };
+      const matches = [];
+      for (let i = 0; i < 3; i++) {
+        matches.push(await createTestStudent({ ...enrolled, firstName: 'Marigold' }));
+        await createTestStudent({ ...enrolled, firstName: 'Other' });
+      }
+      const studentManager = new StudentManager();
+      const __token = generateMockToken({ role: 'superadmin' });
+
+      // Act
+      const first = await studentManager.getAll({ __token, search: 'marigold', limit: 2 });
+      const second = await studentManager.getAll({ __token, search: 'marigold', limit: 2, cursor: first.pagination.nextCursor });
+
+      // Assert
+      expect(first.students.map(student => student.firstName)).toEqual(['Marigold', 'Marigold']);
+      expect(second.students.map(student => student._id.toString())).toEqual([matches[0]._id.toString()]);
+      expect(second.pagination.hasMore).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // LINK HEADER TESTS
+  // ==========================================
+
+  describe('Link header', () => {
+    it('should link the neighbouring pages, keeping the other query params', () => {
+      // Act
+      const header = linkHeader('/api/v1/students?page=2&limit=2&status=active', { page: 2, limit: 2, pages: 3 });
+
+      // Assert
+      expect(header).toBe([
+        '</api/v1/students?page=3&limit=2&status=active>; rel="next"',
+        '</api/v1/students?page=1&limit=2&status=active>; rel="prev"',
+        '</api/v1/students?page=1&limit=2&status=active>; rel="first"',
+        '</api/v1/students?page=3&limit=2&status=active>; rel="last"'
+      ].join(', '));
+    });
+
+    it('should be set by executeManager() for paginated results', async () => {
+      // Arrange
+      await createTestSchool();
+      await createTestSchool();
+      const req = {
+        body: {},
+        query: { limit: '1' },
+        params: {},
+        headers: {},
+        ip: '127.0.0.1',
+        originalUrl: '/api/v1/schools?limit=1',
+        __token: generateMockToken({ role: 'superadmin' })
+      };
+      const res = mockResponse();
+
+      // Act
+      await cortex.executeManager(SchoolManager, 'getAll')(req, res);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.set).toHaveBeenCalledWith('Link', expect.stringContaining('</api/v1/schools?limit=1&page=2>; rel="next"'));
+    });
+  });
+});
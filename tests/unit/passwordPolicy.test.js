@@ -0,0 +1,45 @@
+/**
+ * Password Policy Unit Tests
+ */
+
+const { checkPassword, passwordSchema, isPasswordExpired } = require('../../libs/passwordPolicy');
+const config = require('../../config');
+
+describe('Password Policy', () => {
+  const policy = { ...config.auth.passwordPolicy, minLength: 10, requireSymbol: true };
+
+  it('should accept a password meeting every rule', () => {
+    expect(checkPassword('Lantern-Harbor7', policy)).toEqual([]);
+  });
+
+  it('should list each unmet rule', () => {
+    const problems = checkPassword('short', policy);
+
+    expect(problems).toEqual([
+      'be at least 10 characters long',
+      'contain an uppercase letter',
+      'contain a digit',
+      'contain a symbol'
+    ]);
+  });
+
+  it('should reject blocklisted passwords regardless of case', () => {
+    expect(checkPassword('PASSWORD123')).toContain('not be a commonly used password');
+  });
+
+  it('should report problems through the Joi schema', () => {
+    const { error } = passwordSchema().validate('alllowercase');
+
+    expect(error.message).toMatch(/^Password must /);
+    expect(error.message).toContain('contain an uppercase letter');
+    expect(passwordSchema().validate('Test123!').error).toBeUndefined();
+  });
+
+  it('should expire passwords older than the maximum age only', () => {
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    expect(isPasswordExpired(dayAgo, { maxAge: '12h' })).toBe(true);
+    expect(isPasswordExpired(dayAgo, { maxAge: '2d' })).toBe(false);
+    expect(isPasswordExpired(dayAgo, { maxAge: '' })).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Permission Registry Unit Tests
+ */
+
+const {
+  PERMISSIONS,
+  ROLES,
+  permissionsFor,
+  hasPermission,
+  isSchoolScoped
+} = require('../../libs/permissions');
+const AuthManager = require('../../managers/auth/Auth.manager');
+const SchoolManager = require('../../managers/school/School.manager');
+const ClassroomManager = require('../../managers/classroom/Classroom.manager');
+const StudentManager = require('../../managers/student/Student.manager');
+const UserManager = require('../../managers/user/User.manager');
+const GuardianManager = require('../../managers/guardian/Guardian.manager');
+const ApiKeyManager = require('../../managers/apiKey/ApiKey.manager');
+const AuditManager = require('../../managers/audit/Audit.manager');
+
+const MANAGERS = [AuthManager, SchoolManager, ClassroomManager, StudentManager, UserManager, GuardianManager, ApiKeyManager, AuditManager];
+
+describe('Permissions', () => {
+  it('should only bundle registered permissions into roles', () => {
+    for (const [role, { permissions }] of Object.entries(ROLES)) {
+      for (const permission of permissions) {
+        expect({ role, permission, registered: permission in PERMISSIONS })
+          .toEqual({ role, permission, registered: true });
+      }
+    }
+  });
+
+  it('should only declare registered permissions on managers', () => {
+    for (const Manager of MANAGERS) {
+      for (const [method, permission] of Object.entries(Manager.permissions)) {
+        expect(typeof Manager.prototype[method]).toBe('function');
+        expect(PERMISSIONS).toHaveProperty([permission]);
+      }
+    }
+  });
+
+  it('should only audit existing manager methods', () => {
+    for (const Manager of MANAGERS.filter(Manager => Manager.audit)) {
+      for (const method of Object.keys(Manager.audit.actions)) {
+        expect(typeof Manager.prototype[method]).toBe('function');
+      }
+    }
+  });
+
+  it('should grant superadmins every permission', () => {
+    expect(permissionsFor('superadmin').sort()).toEqual(Object.keys(PERMISSIONS).sort());
+  });
+
+  it('should limit school admins to their school', () => {
+    expect(isSchoolScoped('school_admin')).toBe(true);
+    expect(hasPermission('school_admin', 'student:transfer')).toBe(true);
+    expect(hasPermission('school_admin', 'school:create')).toBe(false);
+    expect(hasPermission('school_admin', 'school:access_all')).toBe(false);
+  });
+
+  it('should grant nothing to unknown roles', () => {
+    expect(permissionsFor('janitor')).toEqual([]);
+    expect(hasPermission('janitor', 'school:read')).toBe(false);
+  });
+});
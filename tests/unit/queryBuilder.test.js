@@ -0,0 +1,181 @@
+/**
+ * List Query Unit Tests
+ *
+ * Filter grammar, sort and field selection of list endpoints
+ */
+
+const app = require('../../app');
+const cortex = require('../../libs/cortex');
+const ClassroomManager = require('../../managers/classroom/Classroom.manager');
+const StudentManager = require('../../managers/student/Student.manager');
+const { buildListQuery } = require('../../libs/queryBuilder');
+const { studentListQuery } = require('../../managers/student/student.validators');
+const {
+  createTestUser,
+  createTestSchool,
+  createTestClassroom,
+  createTestStudent,
+  generateMockToken
+} = require('../helpers/factories');
+const { executeManager } = require('../helpers/cortex');
+
+describe('List Query', () => {
+  // ==========================================
+  // GRAMMAR TESTS
+  // ==========================================
+
+  describe('buildListQuery()', () => {
+    it('should translate operators, lists and sort orders', () => {
+      // Act
+      const query = buildListQuery(studentListQuery, {
+        status: { in: 'active,transferred' },
+        gradeLevel: { gte: '9' },
+        enrollmentDate: { lt: '2024-09-01' },
+        sort: '-enrollmentDate,lastName',
+        fields: 'firstName,lastName'
+      });
+
+      // Assert
+      expect(query).toEqual({
+        filter: {
+          status: { $in: ['active', 'transferred'] },
+          'academicInfo.gradeLevel': { $gte: 9 },
+          enrollmentDate: { $lt: new Date('2024-09-01') }
+        },
+        sort: { enrollmentDate: -1, lastName: 1 },
+        select: 'createdAt firstName lastName'
+      });
+    });
+
+    it('should treat plain values as equality and ignore undeclared params', () => {
+      // Act
+      const query = buildListQuery(studentListQuery, { status: 'active', isActive: 'false', __ip: '127.0.0.1' });
+
+      // Assert
+      expect(query).toEqual({ filter: { status: 'active' }, sort: undefined, select: undefined });
+    });
+
+    it('should reject fields, operators and values outside the whitelist', () => {
+      const invalid = [
+        { sort: '-guardian.phone' },
+        { fields: 'firstName,password' },
+        { status: { gt: 'active' } },
+        { gradeLevel: { $where: '1' } },
+        { status: 'expelled' }
+      ];
+
+      for (const params of invalid) {
+        expect(() => buildListQuery(studentListQuery, params)).toThrow('Validation failed');
+      }
+    });
+  });
+
+  // ==========================================
+  // LIST ENDPOINT TESTS
+  // ==========================================
+
+  describe('list endpoints', () => {
+    it('should filter and sort classrooms by grade', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      for (const grade of [7, 9, 12, 10]) {
+        await createTestClassroom({ schoolId: school._id, grade });
+      }
+
+      // Act
+      const result = await executeManager(ClassroomManager, 'getAll', {
+        __token: generateMockToken({ role: 'superadmin' }),
+        grade: { gte: '9' },
+        sort: '-grade'
+      });
+
+      // Assert
+      expect(result.status).toBe(200);
+      expect(result.body.classrooms.map(classroom => classroom.grade)).toEqual([12, 10, 9]);
+      expect(result.body.pagination.nextCursor).toBeNull();
+    });
+
+    it('should filter students by status list and enrollment date, with sparse fields', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const enrolled = { schoolId: school._id, classroomId: classroom._id };
+      const match = await createTestStudent({ ...enrolled, status: 'transferred', enrollmentDate: new Date('2023-09-01') });
+      await createTestStudent({ ...enrolled, status: 'graduated', enrollmentDate: new Date('2023-09-01') });
+      await createTestStudent({ ...enrolled, status: 'active', enrollmentDate: new Date('2025-09-01') });
+
+      // Act
+      const result = await new StudentManager().getAll({
+        __token: generateMockToken({ role: 'superadmin' }),
+        status: { in: 'active,transferred' },
+        enrollmentDate: { lt: '2024-09-01' },
+        fields: 'firstName,status'
+      });
+
+      // Assert
+      expect(result.students).toHaveLength(1);
+      const student = result.students[0].toObject();
+      expect(student._id.toString()).toBe(match._id.toString());
+      expect(student.status).toBe('transferred');
+      expect(student).not.toHaveProperty('guardian');
+    });
+
+    it('should answer unknown sort fields with a validation error', async () => {
+      // Act
+      const result = await executeManager(StudentManager, 'getAll', {
+        __token: generateMockToken({ role: 'superadmin' }),
+        sort: 'guardian.phone'
+      });
+
+      // Assert
+      expect(result.status).toBe(400);
+      expect(result.body).toHaveProperty('code', 'VALIDATION_ERROR');
+    });
+  });
+
+  // ==========================================
+  // HTTP TESTS
+  // ==========================================
+
+  describe('over HTTP', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    /**
+     * GET a path of the API as a superadmin
+     */
+    async function get(path) {
+      const admin = await createTestUser({ role: 'superadmin' });
+      const accessToken = cortex.generateToken({ userId: admin._id, role: 'superadmin', ver: admin.tokenVersion });
+      const response = await fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${accessToken}` } });
+      return { status: response.status, body: await response.json() };
+    }
+
+    it('should apply filters on nested fields through the whole middleware chain', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const enrolled = { schoolId: school._id, classroomId: classroom._id };
+      const senior = await createTestStudent({ ...enrolled, academicInfo: { gradeLevel: 11 } });
+      await createTestStudent({ ...enrolled, academicInfo: { gradeLevel: 7 } });
+
+      // Act
+      const result = await get('/students?gradeLevel[gte]=10');
+
+      // Assert
+      expect(result.status).toBe(200);
+      expect(result.body.students.map(student => student._id)).toEqual([senior._id.toString()]);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Rate Limiter Unit Tests
+ *
+ * Per-IP budgets of the authentication flows
+ */
+
+const config = require('../../config');
+const { authLimiters } = require('../../mws/rateLimiter');
+const authRoutes = require('../../managers/auth/auth.routes');
+const { mockResponse } = require('../helpers/cortex');
+
+describe('Rate Limiter', () => {
+  /**
+   * Send one request from the IP through a limiter
+   * @returns {Promise<boolean>} Whether the request was let through
+   */
+  async function attempt(limiter, ip) {
+    // Express app settings are read for the trust proxy check
+    const req = { ip, method: 'POST', headers: {}, app: { get: () => false } };
+    const res = { ...mockResponse(), setHeader: jest.fn(), append: jest.fn() };
+    const next = jest.fn();
+
+    await limiter(req, res, next);
+
+    return next.mock.calls.length > 0;
+  }
+
+  /**
+   * Limiters on an auth route, in order
+   */
+  function limitersOf(path) {
+    const route = authRoutes.stack.find(layer => layer.route && layer.route.path === path).route;
+    const all = Object.values(authLimiters);
+    return route.stack.map(layer => layer.handle).filter(handle => all.includes(handle));
+  }
+
+  it('should not use up the login budget when finishing a login with 2FA', async () => {
+    // Arrange
+    const ip = '10.0.0.1';
+    const { maxRequests } = config.rateLimit.auth;
+    for (let i = 0; i < maxRequests; i++) {
+      await attempt(authLimiters.login, ip);
+    }
+
+    // Act
+    const twoFactor = await attempt(authLimiters.twoFactor, ip);
+    const login = await attempt(authLimiters.login, ip);
+
+    // Assert
+    expect(twoFactor).toBe(true);
+    expect(login).toBe(false);
+  });
+
+  it('should give each auth flow its own limiter', () => {
+    // Act
+    const [login] = limitersOf('/login');
+    const [twoFactor] = limitersOf('/2fa/verify');
+    const [sso] = limitersOf('/oidc/callback');
+    const [recovery] = limitersOf('/forgot-password');
+
+    // Assert
+    expect(new Set([login, twoFactor, sso, recovery]).size).toBe(4);
+    expect(limitersOf('/reset-password')).toEqual([recovery]);
+  });
+});
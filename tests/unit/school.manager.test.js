@@ -8,6 +8,7 @@
 const SchoolManager = require('../../managers/school/School.manager');
 const { School } = require('../../loaders');
 const { createTestUser, createTestSchool, generateMockToken } = require('../helpers/factories');
+const { executeManager } = require('../helpers/cortex');
 
 describe('School Manager', () => {
   let schoolManager;
@@ -57,12 +58,11 @@ describe('School Manager', () => {
       };
 
       // Act
-      const result = await schoolManager.getAll(params);
+      const result = await executeManager(SchoolManager, 'getAll', params);
 
       // Assert
-      expect(result).toHaveProperty('error');
-      expect(result).toHaveProperty('code', 'FORBIDDEN');
-      expect(result.error).toContain('superadmin');
+      expect(result.status).toBe(403);
+      expect(result.body).toHaveProperty('code', 'FORBIDDEN');
     });
 
     it('should paginate results correctly', async () => {
@@ -251,13 +251,8 @@ describe('School Manager', () => {
 
     it('should deny school creation for school_admin', async () => {
       // Arrange
-      const schoolAdmin = await createTestUser({ role: 'school_admin' });
-
       const params = {
-        __token: {
-          userId: schoolAdmin._id.toString(),
-          role: 'school_admin'
-        },
+        __token: generateMockToken({ role: 'school_admin' }),
         name: 'Unauthorized School',
         contactInfo: {
           email: 'test@test.com'
@@ -265,11 +260,12 @@ describe('School Manager', () => {
       };
 
       // Act
-      const result = await schoolManager.create(params);
+      const result = await executeManager(SchoolManager, 'create', params);
 
       // Assert
-      expect(result).toHaveProperty('error');
-      expect(result).toHaveProperty('code', 'FORBIDDEN');
+      expect(result.status).toBe(403);
+      expect(result.body).toHaveProperty('code', 'FORBIDDEN');
+      expect(await School.countDocuments({ name: 'Unauthorized School' })).toBe(0);
     });
 
     it('should populate createdBy field', async () => {
@@ -341,11 +337,11 @@ describe('School Manager', () => {
       };
 
       // Act
-      const result = await schoolManager.update(params);
+      const result = await executeManager(SchoolManager, 'update', params);
 
       // Assert
-      expect(result).toHaveProperty('error');
-      expect(result).toHaveProperty('code', 'FORBIDDEN');
+      expect(result.status).toBe(403);
+      expect(result.body).toHaveProperty('code', 'FORBIDDEN');
     });
 
     it('should return error if school not found', async () => {
@@ -400,11 +396,11 @@ describe('School Manager', () => {
       };
 
       // Act
-      const result = await schoolManager.delete(params);
+      const result = await executeManager(SchoolManager, 'delete', params);
 
       // Assert
-      expect(result).toHaveProperty('error');
-      expect(result).toHaveProperty('code', 'FORBIDDEN');
+      expect(result.status).toBe(403);
+      expect(result.body).toHaveProperty('code', 'FORBIDDEN');
     });
   });
 
@@ -0,0 +1,256 @@
+/**
+ * Security Events Unit Tests
+ *
+ * Logins, password and profile changes recorded by the Auth manager,
+ * and reviewing them through getMySecurityEvents()/listUserSecurityEvents()
+ */
+
+const AuthManager = require('../../managers/auth/Auth.manager');
+const { SecurityEvent } = require('../../loaders');
+const { createTestUser, createTestSchool, generateMockToken } = require('../helpers/factories');
+const { executeManager } = require('../helpers/cortex');
+
+describe('Security Events', () => {
+  let authManager;
+  const context = { __ip: '10.0.0.7', __device: 'Mozilla/5.0 (Test)' };
+
+  beforeEach(() => {
+    authManager = new AuthManager();
+  });
+
+  /**
+   * Token of a signed-in user
+   */
+  function tokenFor(user) {
+    return generateMockToken({ userId: user._id.toString(), email: user.email, role: user.role });
+  }
+
+  // ==========================================
+  // RECORDING TESTS
+  // ==========================================
+
+  describe('recording', () => {
+    it('should record failed and successful logins with IP and device', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'TestPassword123!' });
+
+      // Act
+      await authManager.login({ email: 'user@test.com', password: 'WrongPassword123!', ...context });
+      await authManager.login({ email: 'user@test.com', password: 'TestPassword123!', ...context });
+
+      // Assert
+      const events = await SecurityEvent.find({ userId: user._id }).sort({ createdAt: 1, _id: 1 });
+      expect(events.map(event => [event.type, event.outcome, event.reason])).toEqual([
+        ['login', 'failure', 'INVALID_CREDENTIALS'],
+        ['login', 'success', undefined]
+      ]);
+      expect(events[1].toObject()).toMatchObject({ method: 'password', ip: '10.0.0.7', device: 'Mozilla/5.0 (Test)' });
+    });
+
+    it('should not record logins of unknown accounts', async () => {
+      // Act
+      await authManager.login({ email: 'nobody@test.com', password: 'TestPassword123!', ...context });
+
+      // Assert
+      expect(await SecurityEvent.countDocuments()).toBe(0);
+    });
+
+    it('should record changed profile fields', async () => {
+      // Arrange
+      const user = await createTestUser({ firstName: 'Old', lastName: 'Name' });
+
+      // Act
+      await authManager.updateProfile({ __token: tokenFor(user), firstName: 'New', lastName: 'Name', ...context });
+
+      // Assert
+      const event = await SecurityEvent.findOne({ userId: user._id, type: 'profile_update' });
+      expect(event.details).toEqual({ changes: { firstName: { from: 'Old', to: 'New' } } });
+    });
+
+    it('should record the superadmin behind an impersonated change', async () => {
+      // Arrange
+      const [admin, user] = [await createTestUser(), await createTestUser({ role: 'guardian' })];
+      const __token = { ...tokenFor(user), actor: { userId: admin._id.toString(), email: admin.email } };
+
+      // Act
+      await authManager.updateProfile({ __token, firstName: 'Changed', ...context });
+
+      // Assert
+      const event = await SecurityEvent.findOne({ userId: user._id });
+      expect(event.actorId.toString()).toBe(admin._id.toString());
+    });
+
+    it('should record failed password changes', async () => {
+      // Arrange
+      const user = await createTestUser();
+
+      // Act
+      await authManager.changePassword({
+        __token: tokenFor(user),
+        currentPassword: 'WrongPassword123!',
+        newPassword: 'NewPassword123!',
+        ...context
+      });
+
+      // Assert
+      const event = await SecurityEvent.findOne({ userId: user._id });
+      expect(event.toObject()).toMatchObject({ type: 'password_change', outcome: 'failure', reason: 'INVALID_PASSWORD' });
+    });
+  });
+
+  // ==========================================
+  // REVIEW TESTS
+  // ==========================================
+
+  describe('getMySecurityEvents()', () => {
+    it('should list only the caller\'s events matching the filters', async () => {
+      // Arrange
+      const [user, other] = [await createTestUser(), await createTestUser()];
+      await SecurityEvent.create([
+        { userId: user._id, type: 'login', outcome: 'failure', reason: 'INVALID_CREDENTIALS' },
+        { userId: user._id, type: 'login', outcome: 'success' },
+        { userId: other._id, type: 'login', outcome: 'failure' }
+      ]);
+
+      // Act
+      const result = await authManager.getMySecurityEvents({ __token: tokenFor(user), outcome: 'failure' });
+
+      // Assert
+      expect(result.events).toHaveLength(1);
+      expect(result.events[0].reason).toBe('INVALID_CREDENTIALS');
+      expect(result.pagination.total).toBe(1);
+    });
+
+    it('should filter by date range', async () => {
+      // Arrange
+      const user = await createTestUser();
+      await SecurityEvent.create([
+        { userId: user._id, type: 'login', outcome: 'success', createdAt: new Date('2024-01-10') },
+        { userId: user._id, type: 'login', outcome: 'success', createdAt: new Date('2024-03-10') }
+      ]);
+
+      // Act
+      const result = await authManager.getMySecurityEvents({
+        __token: tokenFor(user),
+        from: '2024-02-01',
+        to: '2024-04-01'
+      });
+
+      // Assert
+      expect(result.events).toHaveLength(1);
+      expect(result.events[0].createdAt.toISOString()).toBe('2024-03-10T00:00:00.000Z');
+    });
+
+    it('should return error for unknown event types', async () => {
+      // Arrange
+      const user = await createTestUser();
+
+      // Act
+      const result = await executeManager(AuthManager, 'getMySecurityEvents', {
+        __token: tokenFor(user),
+        type: 'nonsense'
+      });
+
+      // Assert
+      expect(result.status).toBe(400);
+      expect(result.body).toHaveProperty('code', 'VALIDATION_ERROR');
+    });
+
+    it('should export events as CSV', async () => {
+      // Arrange
+      const user = await createTestUser();
+      await SecurityEvent.create({
+        userId: user._id,
+        type: 'profile_update',
+        outcome: 'success',
+        ip: '10.0.0.7',
+        details: { changes: { firstName: { from: 'A', to: 'B' } } }
+      });
+
+      // Act
+      const result = await executeManager(AuthManager, 'getMySecurityEvents', {
+        __token: tokenFor(user),
+        format: 'csv'
+      });
+
+      // Assert
+      const [header, row] = result.body.trim().split('\r\n');
+      expect(result.status).toBe(200);
+      expect(header).toBe('timestamp,type,outcome,reason,method,ip,device,actorId,details');
+      expect(row).toContain('profile_update,success,,,10.0.0.7');
+    });
+
+    it('should reject unbounded page sizes', async () => {
+      // Arrange
+      const user = await createTestUser();
+
+      // Act
+      const results = await Promise.all(['0', '100000'].map(limit => executeManager(AuthManager, 'getMySecurityEvents', {
+        __token: tokenFor(user),
+        limit
+      })));
+
+      // Assert
+      for (const result of results) {
+        expect(result.status).toBe(400);
+        expect(result.body).toHaveProperty('code', 'VALIDATION_ERROR');
+      }
+    });
+
+    it('should cap CSV exports at the export limit', async () => {
+      // Arrange
+      const user = await createTestUser();
+      await SecurityEvent.create([1, 2, 3].map(() => ({ userId: user._id, type: 'login', outcome: 'success' })));
+      const { securityEvents } = authManager.cortex.config.auth;
+      const exportLimit = securityEvents.exportLimit;
+      securityEvents.exportLimit = 2;
+
+      try {
+        // Act
+        const result = await executeManager(AuthManager, 'getMySecurityEvents', {
+          __token: tokenFor(user),
+          format: 'csv',
+          limit: '1'
+        });
+
+        // Assert: header plus the capped rows; page params don't apply to exports
+        expect(result.body.trim().split('\r\n')).toHaveLength(3);
+      } finally {
+        securityEvents.exportLimit = exportLimit;
+      }
+    });
+  });
+
+  describe('listUserSecurityEvents()', () => {
+    it('should let superadmins review any user', async () => {
+      // Arrange
+      const [admin, user] = [await createTestUser(), await createTestUser({ role: 'guardian' })];
+      await SecurityEvent.create({ userId: user._id, type: 'login', outcome: 'success' });
+
+      // Act
+      const result = await executeManager(AuthManager, 'listUserSecurityEvents', {
+        __token: tokenFor(admin),
+        id: user._id.toString()
+      });
+
+      // Assert
+      expect(result.status).toBe(200);
+      expect(result.body.events).toHaveLength(1);
+    });
+
+    it('should deny school admins', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const user = await createTestUser({ role: 'guardian' });
+
+      // Act
+      const result = await executeManager(AuthManager, 'listUserSecurityEvents', {
+        __token: generateMockToken({ role: 'school_admin', schoolId: school._id.toString() }),
+        id: user._id.toString()
+      });
+
+      // Assert
+      expect(result.status).toBe(403);
+    });
+  });
+});
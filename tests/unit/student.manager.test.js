@@ -13,8 +13,10 @@ const {
   createTestUser,
   createTestSchool,
   createTestClassroom,
-  createTestStudent
+  createTestStudent,
+  generateMockToken
 } = require('../helpers/factories');
+const { executeManager } = require('../helpers/cortex');
 
 describe('Student Manager', () => {
   let studentManager;
@@ -579,4 +581,66 @@ describe('Student Manager', () => {
       expect(updatedStudent.status).toBe('withdrawn');
     });
   });
+
+  // ==========================================
+  // TEACHER ACCESS TESTS
+  // ==========================================
+
+  describe('Teacher access', () => {
+    it('should list students of assigned classrooms only', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const own = await createTestClassroom({ schoolId: school._id });
+      const other = await createTestClassroom({ schoolId: school._id });
+      await createTestStudent({ schoolId: school._id, classroomId: own._id });
+      await createTestStudent({ schoolId: school._id, classroomId: other._id });
+
+      const __token = generateMockToken({
+        role: 'teacher',
+        schoolId: school._id.toString(),
+        classroomIds: [own._id.toString()]
+      });
+
+      // Act
+      const ownResult = await executeManager(StudentManager, 'getByClassroom', {
+        __token,
+        classroomId: own._id.toString()
+      });
+      const otherResult = await executeManager(StudentManager, 'getByClassroom', {
+        __token,
+        classroomId: other._id.toString()
+      });
+
+      // Assert
+      expect(ownResult.status).toBe(200);
+      expect(ownResult.body.students).toHaveLength(1);
+      expect(otherResult.status).toBe(403);
+    });
+
+    it('should not let teachers enroll, transfer or withdraw students', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const student = await createTestStudent({ schoolId: school._id, classroomId: classroom._id });
+
+      const __token = generateMockToken({
+        role: 'teacher',
+        schoolId: school._id.toString(),
+        classroomIds: [classroom._id.toString()]
+      });
+
+      // Act
+      const results = await Promise.all([
+        executeManager(StudentManager, 'create', { __token, schoolId: school._id.toString() }),
+        executeManager(StudentManager, 'transfer', { __token, studentId: student._id.toString() }),
+        executeManager(StudentManager, 'delete', { __token, studentId: student._id.toString() })
+      ]);
+
+      // Assert
+      results.forEach(result => {
+        expect(result.status).toBe(403);
+        expect(result.body).toHaveProperty('code', 'FORBIDDEN');
+      });
+    });
+  });
 });
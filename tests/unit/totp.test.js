@@ -0,0 +1,40 @@
+/**
+ * TOTP Unit Tests
+ */
+
+const totp = require('../../libs/totp');
+
+describe('TOTP', () => {
+  // RFC 6238 Appendix B secret ("12345678901234567890")
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should round-trip base32', () => {
+    expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(rfcSecret).toString()).toBe('12345678901234567890');
+  });
+
+  it('should match the RFC 6238 SHA-1 test vectors', () => {
+    // RFC values are 8 digits; 6-digit codes are their last 6 digits
+    expect(totp.generate(rfcSecret, 59 * 1000)).toBe('287082');
+    expect(totp.generate(rfcSecret, 1111111109 * 1000)).toBe('081804');
+    expect(totp.generate(rfcSecret, 1234567890 * 1000)).toBe('005924');
+    expect(totp.generate(rfcSecret, 20000000000 * 1000)).toBe('353130');
+  });
+
+  it('should accept codes within the drift window only', () => {
+    const secret = totp.generateSecret();
+    const now = Date.now();
+
+    expect(totp.verify(totp.generate(secret, now), secret, { time: now })).not.toBeNull();
+    expect(totp.verify(totp.generate(secret, now - 30000), secret, { time: now })).not.toBeNull();
+    expect(totp.verify(totp.generate(secret, now - 90000), secret, { time: now })).toBeNull();
+  });
+
+  it('should build an otpauth provisioning URI', () => {
+    const uri = totp.keyUri({ secret: 'ABC', account: 'admin@test.com', issuer: 'Schools' });
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Schools:admin%40test\.com\?/);
+    expect(uri).toContain('secret=ABC');
+    expect(uri).toContain('issuer=Schools');
+  });
+});
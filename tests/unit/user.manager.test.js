@@ -0,0 +1,562 @@
+/**
+ * User Manager Unit Tests
+ */
+
+const UserManager = require('../../managers/user/User.manager');
+const AuthManager = require('../../managers/auth/Auth.manager');
+const { User } = require('../../loaders');
+const mailer = require('../../libs/mailer');
+const cortex = require('../../libs/cortex');
+const {
+  createTestUser,
+  createTestSchool,
+  createTestClassroom,
+  generateMockToken
+} = require('../helpers/factories');
+const { executeManager } = require('../helpers/cortex');
+
+describe('User Manager', () => {
+  let userManager;
+  let authManager;
+  let transport;
+
+  beforeEach(() => {
+    userManager = new UserManager();
+    authManager = new AuthManager();
+
+    transport = new mailer.MemoryTransport();
+    mailer.setTransport(transport);
+  });
+
+  // ==========================================
+  // GET ALL TESTS
+  // ==========================================
+
+  describe('getAll()', () => {
+    it('should list users for superadmin', async () => {
+      // Arrange
+      await createTestUser();
+      await createTestUser();
+
+      // Act
+      const result = await userManager.getAll({ __token: generateMockToken(), page: 1, limit: 20 });
+
+      // Assert
+      expect(result.users).toHaveLength(2);
+      expect(result.pagination.total).toBe(2);
+    });
+
+    it('should search by name or email', async () => {
+      // Arrange
+      await createTestUser({ email: 'jane@test.com', firstName: 'Jane' });
+      await createTestUser({ email: 'bob@test.com', lastName: 'Smith' });
+      await createTestUser({ email: 'other@test.com' });
+
+      // Act
+      const byEmail = await userManager.getAll({ __token: generateMockToken(), search: 'jane@' });
+      const byName = await userManager.getAll({ __token: generateMockToken(), search: 'smi' });
+
+      // Assert
+      expect(byEmail.users.map(user => user.email)).toEqual(['jane@test.com']);
+      expect(byName.users.map(user => user.email)).toEqual(['bob@test.com']);
+    });
+
+    it('should treat search input literally', async () => {
+      // Arrange
+      await createTestUser();
+
+      // Act
+      const result = await userManager.getAll({ __token: generateMockToken(), search: '.*' });
+
+      // Assert
+      expect(result.users).toHaveLength(0);
+    });
+
+    it('should filter by role and status', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      await createTestUser({ role: 'school_admin', schoolId: school._id });
+      await createTestUser({ role: 'school_admin', schoolId: school._id, isActive: false });
+
+      // Act
+      const result = await userManager.getAll({
+        __token: generateMockToken(),
+        role: 'school_admin',
+        isActive: 'false'
+      });
+
+      // Assert
+      expect(result.users).toHaveLength(1);
+      expect(result.users[0].isActive).toBe(false);
+    });
+
+    it('should reject limits above the maximum', async () => {
+      // Act
+      const result = await executeManager(UserManager, 'getAll', {
+        __token: generateMockToken(),
+        limit: '100000'
+      });
+
+      // Assert
+      expect(result.status).toBe(400);
+      expect(result.body).toHaveProperty('code', 'VALIDATION_ERROR');
+    });
+
+    it('should keep the search and school filter on cursor pages', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const matches = [];
+      for (let i = 0; i < 3; i++) {
+        matches.push(await createTestUser({ role: 'teacher', schoolId: school._id, lastName: 'Smith' }));
+        await createTestUser({ role: 'teacher', schoolId: school._id, lastName: 'Jones' });
+      }
+      const params = { __token: generateMockToken(), search: 'smith', schoolId: school._id.toString(), limit: 2 };
+
+      // Act
+      const first = await userManager.getAll(params);
+      const second = await userManager.getAll({ ...params, cursor: first.pagination.nextCursor });
+
+      // Assert
+      expect(first.users).toHaveLength(2);
+      expect(second.users.map(user => user._id.toString())).toEqual([matches[0]._id.toString()]);
+      expect(second.pagination.hasMore).toBe(false);
+    });
+
+    it('should return error if not superadmin', async () => {
+      // Act
+      const result = await executeManager(UserManager, 'getAll', {
+        __token: generateMockToken({ role: 'school_admin' })
+      });
+
+      // Assert
+      expect(result.status).toBe(403);
+      expect(result.body).toHaveProperty('code', 'FORBIDDEN');
+    });
+  });
+
+  // ==========================================
+  // ACTIVATE / DEACTIVATE TESTS
+  // ==========================================
+
+  describe('deactivate()', () => {
+    it('should deactivate the user and end their sessions', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act
+      const result = await userManager.deactivate({ __token: generateMockToken(), id: user._id });
+
+      // Assert
+      expect(result.user.isActive).toBe(false);
+      expect(await authManager.refresh({ refreshToken: login.refreshToken })).toHaveProperty('error');
+    });
+
+    it('should not let superadmins deactivate themselves', async () => {
+      // Arrange
+      const admin = await createTestUser();
+
+      // Act
+      const result = await userManager.deactivate({
+        __token: generateMockToken({ userId: admin._id.toString() }),
+        id: admin._id
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_OPERATION');
+    });
+
+    it('should return error for unknown user', async () => {
+      // Act
+      const result = await userManager.deactivate({
+        __token: generateMockToken(),
+        id: '507f1f77bcf86cd799439099'
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'USER_NOT_FOUND');
+    });
+  });
+
+  describe('activate()', () => {
+    it('should reactivate the user', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!', isActive: false });
+
+      // Act
+      const result = await userManager.activate({ __token: generateMockToken(), id: user._id });
+
+      // Assert
+      expect(result.user.isActive).toBe(true);
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+      expect(login).toHaveProperty('accessToken');
+    });
+  });
+
+  // ==========================================
+  // ROLE TESTS
+  // ==========================================
+
+  describe('updateRole()', () => {
+    it('should reassign a school admin to another school', async () => {
+      // Arrange
+      const [from, to] = [await createTestSchool(), await createTestSchool()];
+      const user = await createTestUser({ role: 'school_admin', schoolId: from._id });
+
+      // Act
+      const result = await userManager.updateRole({
+        __token: generateMockToken(),
+        id: user._id,
+        role: 'school_admin',
+        schoolId: to._id.toString()
+      });
+
+      // Assert
+      expect(result.user.schoolId._id.toString()).toBe(to._id.toString());
+      const updated = await User.findById(user._id);
+      expect(updated.tokenVersion).toBe(user.tokenVersion + 1);
+    });
+
+    it('should clear the school when promoting to superadmin', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const user = await createTestUser({ role: 'school_admin', schoolId: school._id });
+
+      // Act
+      const result = await userManager.updateRole({
+        __token: generateMockToken(),
+        id: user._id,
+        role: 'superadmin'
+      });
+
+      // Assert
+      expect(result.user.role).toBe('superadmin');
+      expect(result.user.schoolId).toBeUndefined();
+    });
+
+    it('should return error for unknown school', async () => {
+      // Arrange
+      const user = await createTestUser({ role: 'superadmin' });
+
+      // Act
+      const result = await userManager.updateRole({
+        __token: generateMockToken(),
+        id: user._id,
+        role: 'school_admin',
+        schoolId: '507f1f77bcf86cd799439099'
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'SCHOOL_NOT_FOUND');
+    });
+
+    it('should not let superadmins change their own role', async () => {
+      // Arrange
+      const admin = await createTestUser();
+      const school = await createTestSchool();
+
+      // Act
+      const result = await userManager.updateRole({
+        __token: generateMockToken({ userId: admin._id.toString() }),
+        id: admin._id,
+        role: 'school_admin',
+        schoolId: school._id.toString()
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_OPERATION');
+    });
+  });
+
+  // ==========================================
+  // SCHOOL MEMBERSHIP TESTS
+  // ==========================================
+
+  describe('updateMemberships()', () => {
+    it('should add schools that new tokens carry', async () => {
+      // Arrange
+      const [primary, second, third] = [await createTestSchool(), await createTestSchool(), await createTestSchool()];
+      const user = await createTestUser({
+        email: 'coordinator@test.com',
+        password: 'Test123!',
+        role: 'school_admin',
+        schoolId: primary._id
+      });
+
+      // Act
+      const result = await userManager.updateMemberships({
+        __token: generateMockToken(),
+        id: user._id,
+        memberships: [
+          { schoolId: second._id.toString() },
+          { schoolId: third._id.toString(), role: 'teacher' }
+        ]
+      });
+      const login = await authManager.login({ email: 'coordinator@test.com', password: 'Test123!' });
+
+      // Assert
+      expect(result.user.memberships).toHaveLength(2);
+      expect(cortex.decodeToken(login.accessToken).memberships).toEqual([
+        { schoolId: primary._id.toString(), role: 'school_admin' },
+        { schoolId: second._id.toString(), role: 'school_admin' },
+        { schoolId: third._id.toString(), role: 'teacher' }
+      ]);
+    });
+
+    it('should not repeat the primary school', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const user = await createTestUser({ role: 'school_admin', schoolId: school._id });
+
+      // Act
+      const result = await userManager.updateMemberships({
+        __token: generateMockToken(),
+        id: user._id,
+        memberships: [{ schoolId: school._id.toString() }]
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_OPERATION');
+    });
+
+    it('should only add schools to school-scoped users', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const user = await createTestUser({ role: 'superadmin' });
+
+      // Act
+      const result = await userManager.updateMemberships({
+        __token: generateMockToken(),
+        id: user._id,
+        memberships: [{ schoolId: school._id.toString() }]
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_OPERATION');
+    });
+
+    it('should return error for unknown school', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const user = await createTestUser({ role: 'school_admin', schoolId: school._id });
+
+      // Act
+      const result = await userManager.updateMemberships({
+        __token: generateMockToken(),
+        id: user._id,
+        memberships: [{ schoolId: '507f1f77bcf86cd799439099' }]
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'SCHOOL_NOT_FOUND');
+    });
+
+    it('should not let users change their own memberships', async () => {
+      // Arrange
+      const [own, other] = [await createTestSchool(), await createTestSchool()];
+      const admin = await createTestUser({ role: 'school_admin', schoolId: own._id });
+
+      // Act
+      const result = await userManager.updateMemberships({
+        __token: generateMockToken({ userId: admin._id.toString() }),
+        id: admin._id,
+        memberships: [{ schoolId: other._id.toString() }]
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_OPERATION');
+      expect((await User.findById(admin._id)).memberships).toHaveLength(0);
+    });
+  });
+
+  // ==========================================
+  // CLASSROOM ASSIGNMENT TESTS
+  // ==========================================
+
+  describe('assignClassrooms()', () => {
+    it('should assign classrooms of the teacher\'s school', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const teacher = await createTestUser({ role: 'teacher', schoolId: school._id });
+
+      // Act
+      const result = await userManager.assignClassrooms({
+        __token: generateMockToken({ role: 'school_admin', schoolId: school._id.toString() }),
+        id: teacher._id,
+        classroomIds: [classroom._id.toString()]
+      });
+
+      // Assert
+      expect(result.user.classroomIds.map(c => c._id.toString())).toEqual([classroom._id.toString()]);
+      const updated = await User.findById(teacher._id);
+      expect(updated.tokenVersion).toBe(teacher.tokenVersion + 1);
+    });
+
+    it('should reject classrooms from another school', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom();
+      const teacher = await createTestUser({ role: 'teacher', schoolId: school._id });
+
+      // Act
+      const result = await userManager.assignClassrooms({
+        __token: generateMockToken(),
+        id: teacher._id,
+        classroomIds: [classroom._id.toString()]
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_OPERATION');
+    });
+
+    it('should only assign classrooms to teachers', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const admin = await createTestUser({ role: 'school_admin', schoolId: school._id });
+
+      // Act
+      const result = await userManager.assignClassrooms({
+        __token: generateMockToken(),
+        id: admin._id,
+        classroomIds: [classroom._id.toString()]
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_OPERATION');
+    });
+
+    it('should deny school admins teachers of other schools', async () => {
+      // Arrange
+      const [own, other] = [await createTestSchool(), await createTestSchool()];
+      const teacher = await createTestUser({ role: 'teacher', schoolId: other._id });
+
+      // Act
+      const result = await userManager.assignClassrooms({
+        __token: generateMockToken({ role: 'school_admin', schoolId: own._id.toString() }),
+        id: teacher._id,
+        classroomIds: []
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'FORBIDDEN');
+    });
+
+    it('should not let users assign classrooms to themselves', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const admin = await createTestUser({
+        role: 'school_admin',
+        schoolId: school._id,
+        memberships: [{ schoolId: (await createTestSchool())._id, role: 'teacher' }]
+      });
+      const __token = generateMockToken({
+        userId: admin._id.toString(),
+        role: 'school_admin',
+        schoolId: school._id.toString()
+      });
+
+      // Act
+      const result = await userManager.assignClassrooms({
+        __token,
+        id: admin._id,
+        classroomIds: [classroom._id.toString()]
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_OPERATION');
+    });
+
+    it('should clear assignments when the role changes', async () => {
+      // Arrange
+      const school = await createTestSchool();
+      const classroom = await createTestClassroom({ schoolId: school._id });
+      const teacher = await createTestUser({
+        role: 'teacher',
+        schoolId: school._id,
+        classroomIds: [classroom._id]
+      });
+
+      // Act
+      const result = await userManager.updateRole({
+        __token: generateMockToken(),
+        id: teacher._id,
+        role: 'school_admin',
+        schoolId: school._id.toString()
+      });
+
+      // Assert
+      expect(result.user.classroomIds).toHaveLength(0);
+    });
+  });
+
+  // ==========================================
+  // FORCED PASSWORD RESET TESTS
+  // ==========================================
+
+  describe('forcePasswordReset()', () => {
+    it('should block login until the password is reset', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act
+      const result = await userManager.forcePasswordReset({ __token: generateMockToken(), id: user._id });
+      const blocked = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      const token = transport.outbox[0].text.match(/token=([\w-]+)/)[1];
+      await authManager.resetPassword({ token, newPassword: 'NewPassword123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'NewPassword123!' });
+
+      // Assert
+      expect(result).toHaveProperty('message');
+      expect(transport.outbox[0].to).toBe('user@test.com');
+      expect(blocked).toHaveProperty('code', 'PASSWORD_RESET_REQUIRED');
+      expect(login).toHaveProperty('accessToken');
+    });
+
+    it('should sign the user out', async () => {
+      // Arrange
+      const user = await createTestUser({ email: 'user@test.com', password: 'Test123!' });
+      const login = await authManager.login({ email: 'user@test.com', password: 'Test123!' });
+
+      // Act
+      await userManager.forcePasswordReset({ __token: generateMockToken(), id: user._id });
+
+      // Assert
+      expect(await authManager.refresh({ refreshToken: login.refreshToken })).toHaveProperty('error');
+    });
+
+    it('should not let superadmins force their own reset', async () => {
+      // Arrange
+      const admin = await createTestUser();
+
+      // Act
+      const result = await userManager.forcePasswordReset({
+        __token: generateMockToken({ userId: admin._id.toString() }),
+        id: admin._id
+      });
+
+      // Assert
+      expect(result).toHaveProperty('code', 'INVALID_OPERATION');
+      expect((await User.findById(admin._id)).passwordResetRequired).toBe(false);
+    });
+
+    it('should return error if not superadmin', async () => {
+      // Arrange
+      const user = await createTestUser();
+
+      // Act
+      const result = await executeManager(UserManager, 'forcePasswordReset', {
+        __token: generateMockToken({ role: 'school_admin' }),
+        id: user._id.toString()
+      });
+
+      // Assert
+      expect(result.status).toBe(403);
+      expect(result.body).toHaveProperty('code', 'FORBIDDEN');
+      expect(transport.outbox).toHaveLength(0);
+    });
+  });
+});